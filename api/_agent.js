@@ -0,0 +1,236 @@
+/**
+ * Tool-using chat agent behind /api/chat-agent, for questions one search
+ * can't answer ("compare repair cafes in Berlin and Munich", "food co-ops
+ * and community gardens near Leeds"). The model gets search, similar and
+ * count tools over the shared engine (api/_search.js), may call them
+ * several times, and then answers.
+ *
+ * Every organisation a tool returns gets a `ref` number, its position in
+ * the combined list sent to the client as cards, so the answer can cite
+ * "[3]" across searches. Citations are checked against that list by
+ * api/_citations.js.
+ *
+ * runAgent() reports progress through `send(event)`:
+ *   { text }      a piece of the answer
+ *   { citation }  { ref, id, name, profile_url } the first time a ref is cited
+ *   { tool }      { name, label } as each tool starts
+ *   { profiles }  the combined list so far, after each round of tools
+ */
+
+const { stream } = require("./_llm");
+const { search, similarProfiles, getProfileById } = require("./_search");
+const { parseSimilarQuery } = require("./_org");
+const { citationStream } = require("./_citations");
+
+const MAX_ROUNDS = 4;          // tool rounds before the model must answer
+const MAX_PROFILES = 40;       // cards sent to the client
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+const placesSchema = {
+  type: "array",
+  items: { type: "string" },
+  description: "Standard place names: cities, regions or countries (e.g. [\"Berlin\"], [\"France\"]). Empty for anywhere.",
+};
+const topicSchema = {
+  type: "string",
+  description: "What to look for, e.g. \"repair cafes\" or \"housing co-ops\". Empty to browse everything in the places.",
+};
+
+const TOOLS = [
+  {
+    name: "search_organisations",
+    description: "Search the directory by topic and/or place. Returns the total number of matches and the best few, each with a ref number.",
+    input_schema: {
+      type: "object",
+      properties: {
+        topic: topicSchema,
+        places: placesSchema,
+        limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT, description: `How many organisations to return (default ${DEFAULT_LIMIT}).` },
+      },
+    },
+  },
+  {
+    name: "similar_organisations",
+    description: "Organisations most similar in purpose to one already found, optionally near it.",
+    input_schema: {
+      type: "object",
+      properties: {
+        ref: { type: "integer", description: "ref number of an organisation from an earlier result." },
+        near: { type: "string", description: "\"country\" for the same country, or a radius in km (e.g. \"50\"). Omit for anywhere." },
+        limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+      },
+      required: ["ref"],
+    },
+  },
+  {
+    name: "count_organisations",
+    description: "Count matches for a topic and/or place without listing them, with the top categories and countries among them.",
+    input_schema: {
+      type: "object",
+      properties: { topic: topicSchema, places: placesSchema },
+    },
+  },
+];
+
+function buildSystemPrompt({ totalProfiles, totalCountries }) {
+  return `You are CoBot, a search tool for a directory of ${totalProfiles} co-ops, commons, community organisations, repair cafes, makerspaces, food co-ops, community gardens and similar groups across ${totalCountries} countries, from the Murmurations network, OpenStreetMap and other directories.
+
+Answer by calling the tools: search_organisations (split comparisons and lists of topics or places into one search each), count_organisations for "how many" questions, and similar_organisations for "more like [n]". Then answer in at most 60 words of plain text: no emoji, no markdown, no lists. Compare and summarise; the user sees every organisation the tools returned as numbered cards and map markers, so cite them by ref in square brackets like [3] instead of repeating their details. Only cite refs the tools returned.
+
+Only state what the tool results show. Never refer users to other websites or search engines. When suggesting another search, wrap it in quotes like "renewable energy cooperatives" so users can click it.`;
+}
+
+// The answer when the model ends a turn without one
+function fallbackSummary(profiles) {
+  if (profiles.length === 0) return "I couldn't find organisations for that. Try a broader search.";
+  const named = profiles.slice(0, 3).map((p, i) => `${p.name} [${i + 1}]`);
+  const more = profiles.length > 3 ? ` and ${profiles.length - 3} more` : "";
+  return `I found ${profiles.length} organisation${profiles.length === 1 ? "" : "s"}: ${named.join(", ")}${more}.`;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter((v) => typeof v === "string" && v.trim()).map((v) => v.trim());
+  return typeof value === "string" && value.trim() ? [value.trim()] : [];
+}
+
+function clampLimit(limit) {
+  return Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+}
+
+// Search parameters the way /api/understand would set them
+function searchParams({ topic, places }) {
+  const t = typeof topic === "string" ? topic.trim() : "";
+  const geo = toList(places);
+  const queryType = geo.length > 0 && t ? "geo+topic" : geo.length > 0 ? "geo-only" : "topic-only";
+  return { query: [t, ...geo].join(" "), geo, topic: t, queryType, showAll: !t };
+}
+
+function describeCall(name, input, profiles) {
+  const where = toList(input.places);
+  const topic = (typeof input.topic === "string" && input.topic.trim()) || "organisations";
+  const suffix = where.length > 0 ? ` in ${where.join(", ")}` : "";
+  if (name === "search_organisations") return `Searching ${topic}${suffix}`;
+  if (name === "count_organisations") return `Counting ${topic}${suffix}`;
+  const p = profiles[(parseInt(input.ref, 10) || 0) - 1];
+  return p ? `Finding organisations like ${p.name}` : "Finding similar organisations";
+}
+
+/**
+ * Answer `query` with tools. `history` is earlier { role, content } turns,
+ * `stats` { totalProfiles, totalCountries } for the prompt. Resolves to
+ * { text, profiles, toolCalls, cited, rejected } once the answer is
+ * complete, where `cited` and `rejected` are the refs the answer cited.
+ */
+async function runAgent({ query, history = [], userProfiles, stats, send }) {
+  const profiles = [];              // combined list; ref = index + 1
+  const refs = new Map();           // profile_url -> ref
+  const toolCalls = [];
+
+  // Add profiles to the combined list; returns them as the model sees them
+  function refer(results) {
+    return results.map((p) => {
+      let ref = refs.get(p.profile_url);
+      if (ref === undefined && profiles.length < MAX_PROFILES) {
+        profiles.push(p);
+        ref = profiles.length;
+        refs.set(p.profile_url, ref);
+      }
+      const out = {
+        ref: ref ?? null,
+        name: p.name,
+        location: [p.locality, p.region, p.country].filter(Boolean).join(", ") || "unknown",
+        tags: (p.tags || []).slice(0, 6),
+        description: (p.description || "").slice(0, 300),
+      };
+      if (p._relevance != null) out.relevance = `${p._relevance}%`;
+      if (p.distance != null) out.distanceKm = p.distance;
+      return out;
+    });
+  }
+
+  async function runTool(name, input) {
+    if (name === "search_organisations") {
+      const found = await search({ ...searchParams(input), limit: clampLimit(input.limit), userProfiles });
+      return {
+        total: found.totalResults,
+        ...(found.geoNote ? { note: found.geoNote } : {}),
+        organisations: refer(found.results),
+      };
+    }
+    if (name === "count_organisations") {
+      const found = await search({ ...searchParams(input), limit: 1, userProfiles });
+      const top = (facet) => (found.facets?.[facet] || []).slice(0, 5).map(({ value, count }) => ({ value, count }));
+      return {
+        total: found.totalResults,
+        ...(found.geoNote ? { note: found.geoNote } : {}),
+        categories: top("category"),
+        countries: top("country"),
+      };
+    }
+    if (name === "similar_organisations") {
+      const p = profiles[(parseInt(input.ref, 10) || 0) - 1];
+      const profile = p?.id ? getProfileById(p.id) : null;
+      if (!profile) return { error: "No organisation with that ref can be compared; use a ref from an earlier result." };
+      const { options, error } = parseSimilarQuery(profile, { near: input.near, limit: clampLimit(input.limit) });
+      if (error) return { error };
+      return { similarTo: p.name, organisations: refer(similarProfiles(profile.id, options) || []) };
+    }
+    return { error: `Unknown tool ${name}` };
+  }
+
+  const messages = history.slice(-10).map((m) => ({ role: m.role, content: m.content }));
+  messages.push({ role: "user", content: query });
+  const system = buildSystemPrompt(stats);
+  const answer = citationStream((ref) => profiles[ref - 1], send);
+  let text = "";
+
+  for (let round = 0; ; round++) {
+    // The last round has to answer with what it has; tools stay defined
+    // because earlier turns used them
+    const final = round >= MAX_ROUNDS;
+    const result = await stream({
+      purpose: "agent",
+      system: final ? `${system}\n\nYou have run enough searches: answer now without calling tools.` : system,
+      messages,
+      tools: TOOLS,
+      ...(final ? { toolChoice: "none" } : {}),
+      maxTokens: 400,
+      onText: (chunk) => {
+        text += chunk;
+        answer.write(chunk);
+      },
+    });
+    if (result.toolCalls.length === 0 || final) break;
+
+    messages.push({ role: "assistant", content: result.content });
+    const toolResults = [];
+    for (const call of result.toolCalls) {
+      const input = call.input && typeof call.input === "object" ? call.input : {};
+      send({ tool: { name: call.name, label: describeCall(call.name, input, profiles) } });
+      let output;
+      try {
+        output = await runTool(call.name, input);
+      } catch (err) {
+        output = { error: err.message };
+      }
+      toolCalls.push({ name: call.name, input });
+      toolResults.push({ type: "tool_result", tool_use_id: call.id, content: JSON.stringify(output) });
+    }
+    messages.push({ role: "user", content: toolResults });
+    send({ profiles });
+    // Keep streamed text from separate rounds apart
+    if (text && !/\s$/.test(text)) {
+      text += " ";
+      answer.write(" ");
+    }
+  }
+
+  // Never end a turn blank, e.g. when the model only called tools
+  if (!text.trim()) answer.write(fallbackSummary(profiles));
+  const { text: cleaned, cited, rejected } = answer.end();
+  if (rejected.length > 0) console.warn(`[agent] Rejected citations: ${rejected.join(", ")}`);
+  return { text: cleaned.trim(), profiles, toolCalls, cited, rejected };
+}
+
+module.exports = { TOOLS, runAgent };
@@ -0,0 +1,94 @@
+/**
+ * Approximate nearest-neighbour index over the embeddings: an inverted file
+ * (IVF). Vectors are clustered around `nlist` centroids at build time
+ * (scripts/lib/ann-build.js, run by build-index.js); a query is compared
+ * with the centroids and only the vectors in the `nprobe` closest clusters
+ * are scored, instead of every vector in the dataset.
+ *
+ *   ann-index.json  { type: "ivf", model, dim, count, embeddings, nlist, nprobe, recall }
+ *   ann-index.bin   Float32 centroids (nlist * dim)
+ *                   Uint32 list offsets (nlist + 1)
+ *                   Uint32 profile indices, grouped by list (count)
+ *
+ * nprobe is picked at build time as the smallest that reaches the target
+ * recall against a brute-force scan; `recall` records the measurements.
+ * `embeddings` is a hash of embeddings-int8.bin, so an index left over from
+ * other vectors is never used, even for a dataset of the same size.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const META_FILE = "ann-index.json";
+const BIN_FILE = "ann-index.bin";
+
+// Hash of the Int8 embeddings file the index was built from
+function embeddingsHash(int8Buf) {
+  return crypto.createHash("sha1").update(int8Buf).digest("hex");
+}
+
+/**
+ * Load the index from `dataDir`, or null if it's missing or was built for
+ * different embeddings (another model, another size or other vectors;
+ * `int8Buf` is the contents of embeddings-int8.bin).
+ */
+function loadAnnIndex(dataDir, { model, dim, count, int8Buf }) {
+  const metaPath = path.join(dataDir, META_FILE);
+  const binPath = path.join(dataDir, BIN_FILE);
+  if (!fs.existsSync(metaPath) || !fs.existsSync(binPath)) return null;
+
+  const meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+  if (meta.type !== "ivf" || meta.model !== model || meta.dim !== dim || meta.count !== count ||
+      meta.embeddings !== embeddingsHash(int8Buf)) {
+    console.warn(`  ${META_FILE} doesn't match the embeddings — using a full scan. Run: node scripts/build-index.js`);
+    return null;
+  }
+  const buf = fs.readFileSync(binPath);
+  const words = new Uint32Array(buf.buffer, buf.byteOffset, buf.length / 4);
+  const centroidWords = meta.nlist * dim;
+  return {
+    ...meta,
+    centroids: new Float32Array(buf.buffer, buf.byteOffset, centroidWords),
+    offsets: words.subarray(centroidWords, centroidWords + meta.nlist + 1),
+    ids: words.subarray(centroidWords + meta.nlist + 1),
+  };
+}
+
+// Index of the `n` largest values, best first
+function topN(values, n) {
+  const order = Array.from(values.keys());
+  order.sort((a, b) => values[b] - values[a]);
+  return order.slice(0, n);
+}
+
+/**
+ * Lists (clusters) to scan for a query vector: the `nprobe` with the most
+ * similar centroids.
+ */
+function probeLists(index, queryVec, nprobe = index.nprobe) {
+  const { centroids, dim, nlist } = index;
+  const sims = new Float32Array(nlist);
+  for (let c = 0; c < nlist; c++) {
+    let dot = 0;
+    const offset = c * dim;
+    for (let i = 0; i < dim; i++) dot += queryVec[i] * centroids[offset + i];
+    sims[c] = dot;
+  }
+  return topN(sims, Math.min(nprobe, nlist));
+}
+
+/**
+ * Profile indices worth scoring for a query vector: everything in the
+ * probed lists.
+ */
+function annCandidates(index, queryVec, nprobe = index.nprobe) {
+  const out = [];
+  for (const c of probeLists(index, queryVec, nprobe)) {
+    const { offsets, ids } = index;
+    for (let j = offsets[c]; j < offsets[c + 1]; j++) out.push(ids[j]);
+  }
+  return out;
+}
+
+module.exports = { META_FILE, BIN_FILE, embeddingsHash, loadAnnIndex, annCandidates };
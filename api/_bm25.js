@@ -0,0 +1,200 @@
+/**
+ * Keyword relevance: an inverted index over tokenised, stemmed profile
+ * fields scored with BM25F (BM25 over several weighted fields).
+ *
+ * Words match whole tokens after Porter stemming, so "art" finds "arts"
+ * but not "parts" or "earth". A name hit counts more than a tag hit, and a
+ * tag hit more than one in the description; longer fields count each hit
+ * for less.
+ *
+ * keywordScorer() normalises scores to 0..1: a document that mentions every
+ * query term once in an average-length description scores 1, and missing
+ * terms cost in proportion to their idf.
+ */
+
+const FIELDS = [
+  { name: "name", weight: 3, text: (p) => p.name },
+  { name: "tags", weight: 2, text: (p) => (p.tags || []).join(" ") },
+  { name: "description", weight: 1, text: (p) => p.description },
+];
+const K1 = 1.2;
+const B = 0.75;
+
+// -------------------------------------------------------------------
+// Porter stemmer (M. F. Porter, 1980)
+// -------------------------------------------------------------------
+
+const C = "[^aeiou][^aeiouy]*";   // consonant sequence
+const V = "[aeiouy][aeiou]*";     // vowel sequence
+const MGR0 = new RegExp(`^(${C})?${V}${C}`);                 // measure > 0
+const MEQ1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);         // measure = 1
+const MGR1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);         // measure > 1
+const HAS_VOWEL = new RegExp(`^(${C})?[aeiouy]`);
+const CVC = new RegExp(`^${C}[aeiouy][^aeiouwxy]$`);  // consonant-vowel-consonant, not w/x/y
+
+const STEP2 = {
+  ational: "ate", tional: "tion", enci: "ence", anci: "ance", izer: "ize", bli: "ble",
+  alli: "al", entli: "ent", eli: "e", ousli: "ous", ization: "ize", ation: "ate",
+  ator: "ate", alism: "al", iveness: "ive", fulness: "ful", ousness: "ous", aliti: "al",
+  iviti: "ive", biliti: "ble", logi: "log",
+};
+const STEP3 = { icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "" };
+const STEP2_RE = new RegExp(`^(.+?)(${Object.keys(STEP2).join("|")})$`);
+const STEP3_RE = new RegExp(`^(.+?)(${Object.keys(STEP3).join("|")})$`);
+const STEP4_RE = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+function porterStem(word) {
+  if (word.length < 3) return word;
+  let w = word;
+  let m;
+
+  // "y" at the start acts as a consonant
+  const leadingY = w[0] === "y";
+  if (leadingY) w = "Y" + w.slice(1);
+
+  // Step 1a: plurals
+  if (/(ss|i)es$/.test(w)) w = w.slice(0, -2);
+  else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+  // Step 1b: -eed, -ed, -ing
+  if ((m = /^(.+?)eed$/.exec(w))) {
+    if (MGR0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += "e";
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (CVC.test(w)) w += "e";
+  }
+
+  // Step 1c: -y to -i
+  if ((m = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(m[1])) w = m[1] + "i";
+
+  // Steps 2-4: derivational suffixes
+  if ((m = STEP2_RE.exec(w)) && MGR0.test(m[1])) w = m[1] + STEP2[m[2]];
+  if ((m = STEP3_RE.exec(w)) && MGR0.test(m[1])) w = m[1] + STEP3[m[2]];
+  if ((m = STEP4_RE.exec(w))) {
+    if (MGR1.test(m[1])) w = m[1];
+  } else if ((m = /^(.+?)(s|t)(ion)$/.exec(w)) && MGR1.test(m[1] + m[2])) {
+    w = m[1] + m[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((m = /^(.+?)e$/.exec(w))) {
+    const stem = m[1];
+    if (MGR1.test(stem) || (MEQ1.test(stem) && !CVC.test(stem))) w = stem;
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  return leadingY ? "y" + w.slice(1) : w;
+}
+
+// -------------------------------------------------------------------
+// Tokenising
+// -------------------------------------------------------------------
+
+const stemCache = new Map();
+
+function stem(token) {
+  let s = stemCache.get(token);
+  if (s === undefined) {
+    s = porterStem(token);
+    stemCache.set(token, s);
+  }
+  return s;
+}
+
+// Lowercased letter/digit runs; apostrophes inside words are dropped
+function tokenize(text) {
+  if (!text) return [];
+  return String(text).toLowerCase().replace(/['’]/g, "").match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function terms(text) {
+  return tokenize(text).filter((t) => t.length >= 2).map(stem);
+}
+
+// -------------------------------------------------------------------
+// Index
+// -------------------------------------------------------------------
+
+function fieldTerms(profile) {
+  return FIELDS.map((f) => terms(f.text(profile)));
+}
+
+// Term -> length-normalised, field-weighted term frequency for one document
+function documentWeights(perField, avgLength) {
+  const weights = new Map();
+  perField.forEach((list, f) => {
+    if (list.length === 0) return;
+    const norm = 1 - B + B * (list.length / (avgLength[f] || 1));
+    const w = FIELDS[f].weight / norm;
+    for (const t of list) weights.set(t, (weights.get(t) || 0) + w);
+  });
+  return weights;
+}
+
+/**
+ * Build the index over `profiles` (their array positions are the document
+ * ids). Returns { postings: Map term -> { docs, weights }, docCount, avgLength }.
+ */
+function buildKeywordIndex(profiles) {
+  const docs = profiles.map(fieldTerms);
+  const avgLength = FIELDS.map((_, f) => docs.reduce((s, d) => s + d[f].length, 0) / (docs.length || 1));
+
+  const postings = new Map();
+  docs.forEach((perField, doc) => {
+    for (const [t, w] of documentWeights(perField, avgLength)) {
+      let list = postings.get(t);
+      if (!list) postings.set(t, (list = { docs: [], weights: [] }));
+      list.docs.push(doc);
+      list.weights.push(w);
+    }
+  });
+  return { postings, docCount: docs.length, avgLength };
+}
+
+/**
+ * Scores for a query's topic words. Returns null when no word survives
+ * tokenising, else { scores, scoreProfile }: `scores` maps the id of every
+ * indexed document containing at least one term to its score (so its size
+ * is the exact number of keyword matches), and scoreProfile() scores a
+ * profile outside the index (e.g. a user submission) against the same
+ * statistics.
+ */
+function keywordScorer(index, words) {
+  const queryTerms = [...new Set(terms(words.join(" ")))];
+  if (queryTerms.length === 0) return null;
+
+  const N = index.docCount;
+  const idf = queryTerms.map((t) => {
+    const df = index.postings.get(t)?.docs.length || 0;
+    return Math.log(1 + (N - df + 0.5) / (df + 0.5));
+  });
+  // An average-length description mention of every term scores 1
+  const ideal = idf.reduce((s, x) => s + x, 0);
+  const termScore = (i, tf) => idf[i] * (tf * (K1 + 1)) / (K1 + tf) / ideal;
+
+  const scores = new Map();
+  queryTerms.forEach((t, i) => {
+    const list = index.postings.get(t);
+    if (!list) return;
+    for (let j = 0; j < list.docs.length; j++) {
+      const doc = list.docs[j];
+      scores.set(doc, (scores.get(doc) || 0) + termScore(i, list.weights[j]));
+    }
+  });
+  for (const [doc, s] of scores) scores.set(doc, Math.min(1, s));
+
+  function scoreProfile(profile) {
+    const weights = documentWeights(fieldTerms(profile), index.avgLength);
+    let s = 0;
+    queryTerms.forEach((t, i) => {
+      if (weights.has(t)) s += termScore(i, weights.get(t));
+    });
+    return Math.min(1, s);
+  }
+
+  return { scores, scoreProfile };
+}
+
+module.exports = { porterStem, tokenize, buildKeywordIndex, keywordScorer };
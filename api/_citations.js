@@ -0,0 +1,89 @@
+/**
+ * Grounded citations for streamed chat answers. The model is given a
+ * numbered list of organisations and cites them by number ("[2]");
+ * citationStream() sits between the LLM stream and the SSE response, checks
+ * every marker against that list and:
+ *   - sends { citation: { ref, id, name, profile_url } } the first time a
+ *     valid ref appears, before the text that contains it
+ *   - drops markers that don't match a provided profile, so the client only
+ *     ever links to cards it was actually shown
+ *
+ * "[1, 3]" is split into "[1][3]". Markers split across stream chunks are
+ * held back until they are complete.
+ */
+
+const MARKER = /\[(\d{1,3}(?:\s*,\s*\d{1,3})*)\]/g;
+const PARTIAL_MARKER = /\[[\d,\s]{0,16}$/;   // a marker that may continue in the next chunk
+
+/**
+ * `profileAt(ref)` returns the profile for a 1-based ref, or nothing if the
+ * model had no such result. Text and citation events go to `send(event)`.
+ * end() flushes held-back text and returns { text, cited, rejected }: the
+ * answer as sent, and the valid and rejected refs in order of appearance.
+ */
+function citationStream(profileAt, send) {
+  const cited = new Map();   // ref -> profile
+  const rejected = [];
+  let pending = "";
+  let text = "";
+  let trimNext = false;   // a dropped marker followed whitespace already sent
+
+  function cite(ref) {
+    const profile = profileAt(ref);
+    if (!profile) {
+      rejected.push(ref);
+      return false;
+    }
+    if (!cited.has(ref)) {
+      cited.set(ref, profile);
+      send({ citation: { ref, id: profile.id || null, name: profile.name, profile_url: profile.profile_url } });
+    }
+    return true;
+  }
+
+  function emit(chunk, flush) {
+    let s = pending + chunk;
+    pending = "";
+    const partial = flush ? null : PARTIAL_MARKER.exec(s);
+    if (partial) {
+      pending = partial[0];
+      s = s.slice(0, partial.index);
+    }
+
+    let out = "";
+    let last = 0;
+    const trimStart = (str) => {
+      if (!trimNext || !str) return str;
+      trimNext = false;
+      return str.replace(/^[ \t]+/, "");
+    };
+    for (const m of s.matchAll(MARKER)) {
+      out += trimStart(s.slice(last, m.index));
+      last = m.index + m[0].length;
+      const refs = m[1].split(",").map((r) => parseInt(r, 10)).filter(cite);
+      if (refs.length > 0) {
+        out += refs.map((r) => `[${r}]`).join("");
+      } else {
+        out = out.replace(/[ \t]+$/, "");
+        if (out === "" && /[ \t]$/.test(text)) trimNext = true;
+      }
+    }
+    out += trimStart(s.slice(last));
+    if (out) {
+      text += out;
+      send({ text: out });
+    }
+  }
+
+  return {
+    write(chunk) {
+      emit(chunk, false);
+    },
+    end() {
+      if (pending) emit("", true);
+      return { text, cited: [...cited.keys()], rejected };
+    },
+  };
+}
+
+module.exports = { citationStream };
@@ -0,0 +1,164 @@
+/**
+ * Search exports: every match of a search as CSV, GeoJSON or JSON-LD
+ * (schema.org Organization + Place), streamed row by row.
+ *
+ * Shared by the Express server and api/export.js. Profiles keep their
+ * `license` and `attribution` (see api/_sources.js) so an export can be
+ * republished with proper credit.
+ */
+
+const { hasCoords } = require("./_spatial");
+
+const CHUNK_ROWS = 200;
+
+const CSV_COLUMNS = [
+  "name", "primary_url", "description", "locality", "region", "country", "country_code",
+  "latitude", "longitude", "tags", "source", "license", "attribution", "profile_url",
+  "relevance", "distance_km",
+];
+
+function csvCell(value) {
+  if (value == null) return "";
+  let s = Array.isArray(value) ? value.join("; ") : String(value);
+  // Spreadsheets evaluate cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(s) && typeof value !== "number") s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRow(p) {
+  const values = {
+    ...p,
+    relevance: p._relevance,
+    distance_km: p.distance,
+  };
+  return CSV_COLUMNS.map((c) => csvCell(values[c])).join(",") + "\r\n";
+}
+
+function geoFeature(p) {
+  return {
+    type: "Feature",
+    geometry: hasCoords(p) ? { type: "Point", coordinates: [p.longitude, p.latitude] } : null,
+    properties: {
+      name: p.name || null,
+      primary_url: p.primary_url || null,
+      description: p.description || null,
+      locality: p.locality || null,
+      region: p.region || null,
+      country: p.country || null,
+      country_code: p.country_code || null,
+      tags: p.tags || [],
+      source: p.source || null,
+      license: p.license || null,
+      attribution: p.attribution || null,
+      profile_url: p.profile_url || null,
+      relevance: p._relevance ?? null,
+      distance_km: p.distance ?? null,
+    },
+  };
+}
+
+// schema.org Organization with its location as a Place
+function organizationJsonLd(p) {
+  const org = { "@type": "Organization", name: p.name || null };
+  if (p.primary_url) org.url = p.primary_url;
+  if (p.description) org.description = p.description;
+  if (p.tags && p.tags.length > 0) org.keywords = p.tags.join(", ");
+  if (p.profile_url && /^https?:\/\//.test(p.profile_url)) org.sameAs = p.profile_url;
+
+  const address = {};
+  if (p.locality) address.addressLocality = p.locality;
+  if (p.region_name || p.region) address.addressRegion = p.region_name || p.region;
+  if (p.country_code || p.country) address.addressCountry = p.country_code || p.country;
+  if (hasCoords(p) || Object.keys(address).length > 0) {
+    org.location = { "@type": "Place" };
+    if (Object.keys(address).length > 0) org.location.address = { "@type": "PostalAddress", ...address };
+    if (hasCoords(p)) org.location.geo = { "@type": "GeoCoordinates", latitude: p.latitude, longitude: p.longitude };
+  }
+  return org;
+}
+
+// start/item/end return strings; items are joined with `separator`
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    separator: "",
+    start: () => "\ufeff" + CSV_COLUMNS.join(",") + "\r\n",
+    item: (p) => csvRow(p),
+    end: () => "",
+  },
+  geojson: {
+    contentType: "application/geo+json; charset=utf-8",
+    extension: "geojson",
+    separator: ",\n",
+    start: () => '{"type":"FeatureCollection","features":[\n',
+    item: (p) => JSON.stringify(geoFeature(p)),
+    end: () => "\n]}\n",
+  },
+  jsonld: {
+    contentType: "application/ld+json; charset=utf-8",
+    extension: "jsonld",
+    separator: ",\n",
+    start: ({ name, total }) => `{"@context":"https://schema.org","@type":"ItemList","name":${JSON.stringify(name)},"numberOfItems":${total},"itemListElement":[\n`,
+    item: (p, i) => JSON.stringify({ "@type": "ListItem", position: i + 1, item: organizationJsonLd(p) }),
+    end: () => "\n]}\n",
+  },
+};
+
+function exportFormat(format) {
+  return EXPORT_FORMATS[String(format || "").toLowerCase()] || null;
+}
+
+// "cobot-repair-cafes-berlin" from the query
+function exportFilename(query, format) {
+  const slug = String(query || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60);
+  return `cobot-${slug || "export"}.${format.extension}`;
+}
+
+// Resolves once `res` can take more, or when the client has gone away
+function write(res, chunk) {
+  if (!chunk || res.destroyed) return Promise.resolve();
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      res.off("error", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+    res.on("error", done);
+  });
+}
+
+/**
+ * Stream `results` (an iterable of search results, see searchAll() in
+ * api/_search.js) to `res` in the given format. Returns the row count, or
+ * the rows sent so far if the client disconnects.
+ */
+async function streamExport(res, format, results, { query, total }) {
+  res.setHeader("Content-Type", format.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${exportFilename(query, format)}"`);
+  res.setHeader("X-Total-Count", String(total));
+
+  await write(res, format.start({ name: query ? `CoBot search: ${query}` : "CoBot search", total }));
+  let count = 0;
+  let chunk = "";
+  for (const p of results) {
+    chunk += (count > 0 ? format.separator : "") + format.item(p, count);
+    count++;
+    if (count % CHUNK_ROWS === 0) {
+      await write(res, chunk);
+      chunk = "";
+      if (res.destroyed) return count;
+    }
+  }
+  if (res.destroyed) return count;
+  await write(res, chunk + format.end());
+  res.end();
+  return count;
+}
+
+module.exports = { EXPORT_FORMATS, exportFormat, streamExport, organizationJsonLd };
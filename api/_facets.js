@@ -0,0 +1,115 @@
+/**
+ * Facets: source, category and country.
+ *
+ * /api/search takes `filters: { source: [], category: [], country: [] }`.
+ * Values within a facet are OR'd, facets are AND'd. Counts are disjunctive:
+ * each facet is counted over results narrowed by the *other* facets'
+ * filters, so a count is what the result set becomes when that value is
+ * toggled on.
+ */
+
+// Tag -> human category (also used for the category counts in the chat prompt)
+const TAG_CATEGORIES = {
+  "nature reserve": "nature reserves",
+  "farm shop": "farm shops",
+  "ngo": "NGOs",
+  "charity shop": "charity shops",
+  "second hand shop": "second hand shops",
+  "free shop": "free shops",
+  "organic shop": "organic shops",
+  "organic": "organic shops",
+  "coworking": "coworking spaces",
+  "hackerspace": "hackerspaces",
+  "makerspace": "makerspaces",
+  "cooperative": "cooperatives",
+  "coop": "cooperatives",
+  "repair cafe": "repair cafes",
+  "zero waste": "zero waste shops",
+  "fair trade": "fair trade shops",
+  "marketplace": "marketplaces",
+  "market": "marketplaces",
+  "social centre": "social centres",
+  "health food shop": "health food shops",
+  "food bank": "food banks",
+  "soup kitchen": "food banks",
+  "vegetarian restaurant": "vegetarian restaurants",
+  "vegan restaurant": "vegan restaurants",
+  "botanical garden": "botanical gardens",
+  "tool library": "tool libraries",
+  "bike workshop": "bike workshops",
+  "bicycle repair": "bike workshops",
+  "national park": "national parks",
+  "bird hide": "bird hides",
+  "birdwatching": "bird hides",
+  "give box": "give boxes",
+  "wildlife sanctuary": "wildlife sanctuaries",
+  "eco campsite": "eco campsites",
+  "citizen network": "citizen network",
+};
+
+const FACETS = ["source", "category", "country"];
+const MAX_FACET_VALUES = 20;
+const MAX_FILTER_VALUES = 50;
+
+function profileCategories(profile) {
+  const cats = new Set();
+  for (const t of (profile.tags || [])) {
+    const cat = TAG_CATEGORIES[String(t).toLowerCase()];
+    if (cat) cats.add(cat);
+  }
+  return [...cats];
+}
+
+function facetValues(profile, facet) {
+  if (facet === "source") return profile.source ? [profile.source] : [];
+  if (facet === "category") return profileCategories(profile);
+  const country = (profile.country_name || profile.country || "").trim();
+  return country ? [country] : [];
+}
+
+// Request filters -> { facet: Set } with only non-empty facets, or null
+function normalizeFilters(filters) {
+  if (!filters || typeof filters !== "object") return null;
+  const out = {};
+  for (const facet of FACETS) {
+    const values = Array.isArray(filters[facet])
+      ? filters[facet].filter(v => typeof v === "string" && v).slice(0, MAX_FILTER_VALUES)
+      : [];
+    if (values.length > 0) out[facet] = new Set(values);
+  }
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+function matchesFilters(profile, filters, skipFacet = null) {
+  if (!filters) return true;
+  for (const [facet, wanted] of Object.entries(filters)) {
+    if (facet === skipFacet) continue;
+    if (!facetValues(profile, facet).some(v => wanted.has(v))) return false;
+  }
+  return true;
+}
+
+/**
+ * Facet counts over `profiles` as { source: [{ value, count, selected }], ... },
+ * busiest values first. Selected values are always listed, even past the cap.
+ */
+function countFacets(profiles, filters) {
+  const facets = {};
+  for (const facet of FACETS) {
+    const counts = new Map();
+    for (const p of profiles) {
+      if (!matchesFilters(p, filters, facet)) continue;
+      for (const v of facetValues(p, facet)) counts.set(v, (counts.get(v) || 0) + 1);
+    }
+    const selected = filters?.[facet] || new Set();
+    for (const v of selected) if (!counts.has(v)) counts.set(v, 0);
+
+    const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    facets[facet] = sorted
+      .filter(([v], i) => i < MAX_FACET_VALUES || selected.has(v))
+      .map(([value, count]) => ({ value, count, selected: selected.has(value) }));
+  }
+  return facets;
+}
+
+module.exports = { TAG_CATEGORIES, profileCategories, normalizeFilters, matchesFilters, countFacets };
@@ -0,0 +1,189 @@
+/**
+ * Offline gazetteer: free-text country/region -> canonical codes and names.
+ *
+ * Countries resolve to ISO 3166-1 alpha-2 plus the English name, matching
+ * names in the major European languages the sources use ("Deutschland",
+ * "Allemagne", "Vereinigte Staaten von Amerika"…) as well as alpha-2/alpha-3
+ * codes. Regions resolve to the country's first-level subdivision (ISO
+ * 3166-2 style code, e.g. "DE-BY") from the bundled country-region-data
+ * list, by name or short code, falling back to the locality for city-states
+ * like Berlin or Hamburg.
+ *
+ * merge-profiles.js writes the results onto each profile as country_code,
+ * country_name, region_code and region_name; the original free-text
+ * fields are kept for display.
+ *
+ * Search queries are read more cautiously (lookupCountryName): English
+ * names, multi-word names in other languages and a few common native names
+ * ("deutschland"), since single foreign words are often ordinary English
+ * ("island" is Iceland in German). Names that are also common words
+ * ("turkey", "jersey") only count after a word like "in" (needsPlaceContext).
+ */
+
+const countries = require("i18n-iso-countries");
+const regionData = require("country-region-data/data.json");
+
+// Languages whose country names show up in the source data
+const NAME_LOCALES = ["en", "de", "fr", "es", "it", "nl", "pt", "sv", "da", "nb", "fi", "pl", "cs", "ca"];
+
+// Names the locale files don't carry. England etc. are only used for
+// profile data — in a query they mean the nation, not the whole UK.
+const EXTRA_NAMES = {
+  GB: ["britain", "great britain", "united kingdom of great britain and northern ireland"],
+  US: ["america", "united states", "estados unidos de america"],
+  NL: ["holland"],
+  CZ: ["czech republic"],
+  TR: ["turkiye"],
+  CI: ["ivory coast"],
+};
+const SUBNATIONAL_NAMES = {
+  GB: ["england", "scotland", "wales", "northern ireland"],
+};
+
+// Single-word non-English names that are safe to read in a query
+const QUERY_NATIVE_NAMES = {
+  DE: ["deutschland"], AT: ["osterreich"], CH: ["schweiz", "suisse", "svizzera"], ES: ["espana"],
+  IT: ["italia"], NL: ["nederland"], BE: ["belgie", "belgique"], PL: ["polska"], CZ: ["cesko"],
+  SE: ["sverige"], DK: ["danmark"], NO: ["norge"], FI: ["suomi"], BR: ["brasil"], IE: ["eire"],
+};
+
+// Country names that are also everyday words
+const AMBIGUOUS_NAMES = new Set(["turkey", "jersey", "chad", "guinea", "georgia", "jordan", "china"]);
+
+// English names for subdivisions the region list only has in the local language
+const EXTRA_REGION_NAMES = {
+  "DE-BY": ["bavaria"], "DE-NI": ["lower saxony"], "DE-NW": ["north rhine westphalia"],
+  "DE-RP": ["rhineland palatinate"], "DE-SN": ["saxony"], "DE-ST": ["saxony anhalt"],
+  "DE-TH": ["thuringia"], "DE-HE": ["hesse"], "DE-MV": ["mecklenburg western pomerania"],
+};
+
+let nameIndex = null;      // folded name -> alpha-2 (query-safe)
+let profileIndex = null;   // names in every locale + codes + subnational names
+let regionIndex = null;    // alpha-2 -> Map(folded name/short code -> { code, name })
+
+function fold(s) {
+  return String(s).normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/&amp;/g, "&").replace(/[.'’]/g, "").replace(/[\s\-_]+/g, " ").trim();
+}
+
+function buildIndexes() {
+  nameIndex = new Map();
+  profileIndex = new Map();
+  for (const lang of NAME_LOCALES) {
+    countries.registerLocale(require(`i18n-iso-countries/langs/${lang}.json`));
+    for (const [code, names] of Object.entries(countries.getNames(lang, { select: "all" }))) {
+      for (const n of names) {
+        const key = fold(n);
+        // Two-letter names ("US") are too ambiguous for free text
+        if (key.length <= 2) continue;
+        if (!profileIndex.has(key)) profileIndex.set(key, code);
+        if ((lang === "en" || key.includes(" ")) && !nameIndex.has(key)) nameIndex.set(key, code);
+      }
+    }
+  }
+  for (const [code, names] of Object.entries(QUERY_NATIVE_NAMES)) for (const n of names) nameIndex.set(n, code);
+  for (const [code, names] of Object.entries(EXTRA_NAMES)) {
+    for (const n of names) {
+      nameIndex.set(fold(n), code);
+      profileIndex.set(fold(n), code);
+    }
+  }
+  nameIndex.set("uk", "GB");
+  profileIndex.set("uk", "GB");
+
+  for (const code of Object.keys(countries.getAlpha2Codes())) {
+    profileIndex.set(code.toLowerCase(), code);
+    profileIndex.set(countries.alpha2ToAlpha3(code).toLowerCase(), code);
+  }
+  for (const [code, names] of Object.entries(SUBNATIONAL_NAMES)) for (const n of names) profileIndex.set(fold(n), code);
+
+  regionIndex = new Map();
+  for (const c of regionData) {
+    const map = new Map();
+    for (const r of c.regions) {
+      const entry = { code: r.shortCode ? `${c.countryShortCode}-${r.shortCode}` : null, name: r.name };
+      map.set(fold(r.name), entry);
+      if (r.shortCode) map.set(fold(r.shortCode), entry);
+    }
+    regionIndex.set(c.countryShortCode, map);
+  }
+  for (const [code, names] of Object.entries(EXTRA_REGION_NAMES)) {
+    const map = regionIndex.get(code.slice(0, 2));
+    const entry = [...map.values()].find(e => e.code === code);
+    for (const n of names) map.set(fold(n), entry);
+  }
+}
+
+function countryName(code) {
+  return countries.getName(code, "en") || null;
+}
+
+// Composite values like "Deutschland | Germany" or "Spain: Catalonia"
+function segments(value) {
+  return String(value).split(/[:|;/,]/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve a profile's free-text country. Returns { code, name } or null.
+ */
+function normalizeCountry(value) {
+  if (!value) return null;
+  if (!profileIndex) buildIndexes();
+  for (const candidate of [value, ...segments(value)]) {
+    const code = profileIndex.get(fold(candidate));
+    if (code) return { code, name: countryName(code) };
+  }
+  return null;
+}
+
+/**
+ * Country named by a place phrase from a search query ("germany",
+ * "deutschland", "uk"). Codes, UK nations and single foreign words other
+ * than QUERY_NATIVE_NAMES are not matched. Returns { code, name } or null.
+ */
+function lookupCountryName(phrase) {
+  if (!phrase) return null;
+  if (!nameIndex) buildIndexes();
+  const code = nameIndex.get(fold(phrase));
+  return code ? { code, name: countryName(code) } : null;
+}
+
+// Whether a query phrase is a place only when introduced as one ("in jersey")
+function needsPlaceContext(phrase) {
+  return AMBIGUOUS_NAMES.has(fold(phrase));
+}
+
+/**
+ * Resolve a region within a country (alpha-2) from the region text, or
+ * the locality when the region doesn't match. Returns { code, name } or null.
+ */
+function normalizeRegion(countryCode, region, locality) {
+  if (!countryCode) return null;
+  if (!regionIndex) buildIndexes();
+  const map = regionIndex.get(countryCode);
+  if (!map) return null;
+  for (const value of [region, locality]) {
+    if (!value) continue;
+    for (const candidate of [value, ...segments(value)]) {
+      const hit = map.get(fold(candidate));
+      if (hit) return hit;
+    }
+  }
+  return null;
+}
+
+/**
+ * Set country_code, country_name, region_code and region_name on a profile
+ * (null when unresolved). Returns the profile.
+ */
+function normalizeLocation(profile) {
+  const country = normalizeCountry(profile.country) || normalizeCountry(profile.region);
+  const region = country ? normalizeRegion(country.code, profile.region, profile.locality) : null;
+  profile.country_code = country ? country.code : null;
+  profile.country_name = country ? country.name : null;
+  profile.region_code = region ? region.code : null;
+  profile.region_name = region ? region.name : null;
+  return profile;
+}
+
+module.exports = { normalizeCountry, normalizeRegion, normalizeLocation, lookupCountryName, needsPlaceContext, countryName };
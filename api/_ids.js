@@ -0,0 +1,93 @@
+/**
+ * Profile IDs that survive dataset rebuilds.
+ *
+ * An ID is derived from what identifies the organisation rather than where
+ * it sits in the dataset: its normalised name plus its website (or, without
+ * one, its source record URL or rounded coordinates). Array positions and
+ * profile_url both change between rebuilds or are shared across records;
+ * this doesn't, unless the organisation is renamed or moves site.
+ *
+ *   profileId({ name: "Repair Café Kreuzberg", primary_url: "https://www.rck.de/" })
+ *   // -> "zog3nui75dgx" (12 base32 characters)
+ */
+
+const crypto = require("crypto");
+
+const ID_LENGTH = 12;
+const ID_PATTERN = /^[a-z2-7]{12}(-\d+)?$/;
+const BASE32 = "abcdefghijklmnopqrstuvwxyz234567";
+
+function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// "https://www.Example.org/path/" -> "example.org/path"
+function siteKey(url) {
+  if (!url) return null;
+  try {
+    const u = new URL(/^[a-z]+:\/\//i.test(url) ? url : `https://${url}`);
+    const host = u.hostname.toLowerCase().replace(/^www\./, "");
+    const pathname = u.pathname.replace(/\/+$/, "").toLowerCase();
+    return host + pathname;
+  } catch {
+    return null;
+  }
+}
+
+function identityKey(p) {
+  const name = normalizeName(p.name);
+  const site = siteKey(p.primary_url);
+  if (site) return `${name}|${site}`;
+  if (p.profile_url) return `${name}|${p.profile_url}`;
+  if (Number.isFinite(p.latitude) && Number.isFinite(p.longitude)) {
+    return `${name}|${p.latitude.toFixed(3)},${p.longitude.toFixed(3)}`;
+  }
+  return name;
+}
+
+function base32(bytes, length) {
+  let out = "";
+  let bits = 0, value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5 && out.length < length) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    if (out.length >= length) break;
+  }
+  return out;
+}
+
+function profileId(p) {
+  return base32(crypto.createHash("sha1").update(identityKey(p)).digest(), ID_LENGTH);
+}
+
+/**
+ * Set `id` on every profile that doesn't have one. Records with the same
+ * identity (e.g. two branches listed under one website and name) get "-2",
+ * "-3"… in dataset order. Returns a Map id -> index.
+ */
+function assignIds(profiles) {
+  const byId = new Map();
+  for (let i = 0; i < profiles.length; i++) {
+    const p = profiles[i];
+    const base = p.id || profileId(p);
+    let id = base;
+    for (let n = 2; byId.has(id); n++) id = `${base}-${n}`;
+    p.id = id;
+    byId.set(id, i);
+  }
+  return byId;
+}
+
+function isProfileId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+module.exports = { profileId, assignIds, isProfileId };
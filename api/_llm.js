@@ -0,0 +1,424 @@
+/**
+ * LLM provider layer shared by /api/chat, /api/chat-agent, /api/understand,
+ * /api/rewrite and /api/chat-conversational (Vercel functions and
+ * server/index.js), so every route gets the same provider choice, timeouts,
+ * retries and token accounting.
+ *
+ * Providers, picked by LLM_PROVIDER (default: "anthropic" when
+ * ANTHROPIC_API_KEY is set, else "openai" when LLM_BASE_URL is set):
+ *
+ *   anthropic  Anthropic Messages API (ANTHROPIC_API_KEY)
+ *   openai     any OpenAI-compatible /chat/completions endpoint at
+ *              LLM_BASE_URL (Ollama, llama.cpp, vLLM…), with LLM_API_KEY
+ *              as an optional bearer token
+ *   mock       replays canned responses from LLM_FIXTURES (default
+ *              fixtures/llm.json), for running offline and in tests
+ *
+ * LLM_MODEL overrides the model, LLM_TIMEOUT_MS (default 20000) limits each
+ * attempt (for a stream, the wait for its first or next piece of text, so a
+ * long answer that keeps arriving isn't cut off) and LLM_MAX_RETRIES
+ * (default 2) retries timeouts, network errors,
+ * 429s and 5xx responses with exponential backoff. LLM_RECORD names a
+ * fixtures file to append every real response to, so the mock can replay a
+ * session later.
+ *
+ * Public API: llmAvailable(), llmInfo(), complete({ purpose, system,
+ * messages, maxTokens, tools, toolChoice, schema }) and stream({ …, onText }); both resolve to
+ * { text, content, toolCalls, usage: { inputTokens, outputTokens }, provider, model }.
+ *
+ * `schema` ({ name, description, schema }) asks for structured output: a
+ * forced tool call on Anthropic, a JSON-schema response_format on OpenAI
+ * endpoints. The result then also has `data`, the parsed object (read from
+ * the text when a provider answers in plain JSON instead), or undefined.
+ *
+ * Messages and tools use the Anthropic shapes whatever the provider:
+ * content is a string or an array of text / tool_use / tool_result blocks,
+ * and a tool is { name, description, input_schema }. `content` in the
+ * result is the assistant turn as blocks (to send back after running the
+ * tools) and `toolCalls` lists its tool_use blocks as { id, name, input }.
+ * `toolChoice: "none"` keeps the tools defined (earlier turns may use them)
+ * but makes the model answer in text.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { logLlmUsage } = require("./_log");
+
+const DEFAULT_MODELS = { anthropic: "claude-haiku-4-5-20251001", openai: "default", mock: "fixtures" };
+const DEFAULT_FIXTURES = path.join(__dirname, "..", "fixtures", "llm.json");
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_RETRIES = 2;
+const BACKOFF_MS = 500;
+
+let provider = null;
+let providerKey = "";
+
+function providerName() {
+  const name = (process.env.LLM_PROVIDER || "").trim().toLowerCase();
+  if (name) return name;
+  if (process.env.ANTHROPIC_API_KEY) return "anthropic";
+  if (process.env.LLM_BASE_URL) return "openai";
+  return null;
+}
+
+// The configured provider, rebuilt if its environment changed
+function getProvider() {
+  const name = providerName();
+  if (!name) return null;
+  const model = process.env.LLM_MODEL || DEFAULT_MODELS[name];
+  const key = [name, model, process.env.LLM_BASE_URL, process.env.LLM_FIXTURES].join("|");
+  if (provider && providerKey === key) return provider;
+  if (name === "anthropic") provider = anthropicProvider(model);
+  else if (name === "openai") provider = openaiProvider(model);
+  else if (name === "mock") provider = mockProvider(process.env.LLM_FIXTURES || DEFAULT_FIXTURES);
+  else throw new Error(`Unknown LLM_PROVIDER "${name}" (expected anthropic, openai or mock)`);
+  providerKey = key;
+  return provider;
+}
+
+function llmAvailable() {
+  const name = providerName();
+  if (name === "anthropic") return !!process.env.ANTHROPIC_API_KEY;
+  if (name === "openai") return !!process.env.LLM_BASE_URL;
+  return name === "mock";
+}
+
+// { provider, model } of the configured provider, or null
+function llmInfo() {
+  if (!llmAvailable()) return null;
+  const p = getProvider();
+  return { provider: p.name, model: p.model };
+}
+
+// Rough token count for providers that don't report usage
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+function promptText(system, messages) {
+  return [system, ...messages.map((m) => (typeof m.content === "string" ? m.content : JSON.stringify(m.content)))].join("\n");
+}
+
+// Text of the last message the user typed (skipping tool results)
+function lastUserText(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    if (m.role !== "user") continue;
+    if (typeof m.content === "string") return m.content;
+    const text = m.content.filter((b) => b.type === "text").map((b) => b.text).join("");
+    if (text) return text;
+  }
+  return "";
+}
+
+// Result fields shared by every provider, from the assistant's blocks
+function resultOf(content, usage) {
+  const text = content.filter((b) => b.type === "text").map((b) => b.text).join("");
+  const toolCalls = content.filter((b) => b.type === "tool_use").map(({ id, name, input }) => ({ id, name, input }));
+  return { text, content, toolCalls, usage };
+}
+
+// The structured output of a `schema` call: the forced tool's input, else
+// the first JSON object in the text
+function structuredData(result, name) {
+  const call = result.toolCalls.find((c) => c.name === name);
+  if (call) return call.input;
+  const json = result.text.match(/\{[\s\S]*\}/);
+  if (!json) return undefined;
+  try {
+    return JSON.parse(json[0]);
+  } catch {
+    return undefined;
+  }
+}
+
+// -------------------------------------------------------------------
+// Providers
+// -------------------------------------------------------------------
+
+function anthropicProvider(model) {
+  const Anthropic = require("@anthropic-ai/sdk");
+  // Retries and timeouts are handled below, the same way for every provider
+  const client = new Anthropic({ maxRetries: 0 });
+  const request = ({ system, messages, maxTokens, tools, toolChoice, schema }) => ({
+    model, max_tokens: maxTokens, system, messages, ...(tools ? { tools } : {}),
+    ...(tools && toolChoice === "none" ? { tool_choice: { type: "none" } } : {}),
+    ...(schema ? {
+      tools: [...(tools || []), { name: schema.name, description: schema.description, input_schema: schema.schema }],
+      tool_choice: { type: "tool", name: schema.name },
+    } : {}),
+  });
+  const resultOfMessage = (msg) => resultOf(msg.content, {
+    inputTokens: msg.usage?.input_tokens || 0,
+    outputTokens: msg.usage?.output_tokens || 0,
+  });
+
+  return {
+    name: "anthropic",
+    model,
+    async complete(params, signal) {
+      return resultOfMessage(await client.messages.create(request(params), { signal }));
+    },
+    async stream(params, signal, onText) {
+      const s = client.messages.stream(request(params), { signal });
+      s.on("text", onText);
+      return resultOfMessage(await s.finalMessage());
+    },
+  };
+}
+
+function openaiProvider(model) {
+  const baseUrl = (process.env.LLM_BASE_URL || "").replace(/\/+$/, "");
+
+  async function post(body, signal) {
+    const headers = { "Content-Type": "application/json" };
+    if (process.env.LLM_API_KEY) headers.Authorization = `Bearer ${process.env.LLM_API_KEY}`;
+    const res = await fetch(`${baseUrl}/chat/completions`, { method: "POST", headers, body: JSON.stringify(body), signal });
+    if (!res.ok) {
+      const err = new Error(`${res.status} ${(await res.text().catch(() => "")).slice(0, 200)}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res;
+  }
+
+  // Blocks -> chat messages: tool_use becomes tool_calls, tool_result a "tool" message
+  function toMessages(system, messages) {
+    const out = [{ role: "system", content: system }];
+    for (const m of messages) {
+      if (typeof m.content === "string") {
+        out.push({ role: m.role, content: m.content });
+        continue;
+      }
+      const text = m.content.filter((b) => b.type === "text").map((b) => b.text).join("");
+      for (const b of m.content.filter((b) => b.type === "tool_result")) {
+        out.push({ role: "tool", tool_call_id: b.tool_use_id, content: typeof b.content === "string" ? b.content : JSON.stringify(b.content) });
+      }
+      const uses = m.content.filter((b) => b.type === "tool_use");
+      if (uses.length > 0) {
+        out.push({
+          role: "assistant",
+          content: text || null,
+          tool_calls: uses.map((b) => ({ id: b.id, type: "function", function: { name: b.name, arguments: JSON.stringify(b.input) } })),
+        });
+      } else if (text) {
+        out.push({ role: m.role, content: text });
+      }
+    }
+    return out;
+  }
+
+  const request = ({ system, messages, maxTokens, tools, toolChoice, schema }, stream) => ({
+    model,
+    max_tokens: maxTokens,
+    messages: toMessages(system, messages),
+    ...(tools ? { tools: tools.map((t) => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.input_schema } })) } : {}),
+    ...(tools && toolChoice === "none" ? { tool_choice: "none" } : {}),
+    ...(schema ? { response_format: { type: "json_schema", json_schema: { name: schema.name, schema: schema.schema, strict: true } } } : {}),
+    ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+  });
+
+  function resultOfChoice(text, calls, usage, params) {
+    const content = text ? [{ type: "text", text }] : [];
+    for (const c of calls) {
+      let input = {};
+      try {
+        input = JSON.parse(c.function.arguments || "{}");
+      } catch {}
+      content.push({ type: "tool_use", id: c.id, name: c.function.name, input });
+    }
+    return resultOf(content, {
+      inputTokens: usage?.prompt_tokens ?? estimateTokens(promptText(params.system, params.messages)),
+      outputTokens: usage?.completion_tokens ?? estimateTokens(text + calls.map((c) => c.function.arguments || "").join("")),
+    });
+  }
+
+  return {
+    name: "openai",
+    model,
+    async complete(params, signal) {
+      const data = await (await post(request(params, false), signal)).json();
+      const message = data.choices?.[0]?.message || {};
+      return resultOfChoice(message.content || "", message.tool_calls || [], data.usage, params);
+    },
+    async stream(params, signal, onText) {
+      const res = await post(request(params, true), signal);
+      const decoder = new TextDecoder();
+      let buffer = "", text = "", usage = null;
+      const calls = [];   // tool calls arrive in pieces, by index
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+          const event = JSON.parse(data);
+          if (event.usage) usage = event.usage;
+          const delta = event.choices?.[0]?.delta || {};
+          if (delta.content) {
+            text += delta.content;
+            onText(delta.content);
+          }
+          for (const d of delta.tool_calls || []) {
+            const c = calls[d.index ?? calls.length] ||= { id: "", function: { name: "", arguments: "" } };
+            if (d.id) c.id = d.id;
+            if (d.function?.name) c.function.name += d.function.name;
+            if (d.function?.arguments) c.function.arguments += d.function.arguments;
+          }
+        }
+      }
+      return resultOfChoice(text, calls.filter(Boolean), usage, params);
+    },
+  };
+}
+
+/**
+ * Fixture replay. The fixtures file is a JSON array of
+ *   { purpose?, match?, text, toolCalls? }
+ * and a call gets the first entry whose purpose equals the call's (when
+ * given) and whose `match` appears in the last user message (case
+ * insensitive; no match matches anything). `text` is a string or a JSON
+ * value; "{{message}}" in it (and in tool inputs) is replaced with the
+ * last user message. An entry with `toolCalls` ([{ name, input }]) returns them first and its
+ * text once their results come back (or straight away with toolChoice "none").
+ */
+function mockProvider(file) {
+  const fixtures = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  function reply({ purpose, messages, toolChoice }) {
+    const last = lastUserText(messages);
+    const lower = last.toLowerCase();
+    const entry = fixtures.find((f) =>
+      (!f.purpose || f.purpose === purpose) && (!f.match || lower.includes(f.match.toLowerCase())));
+    if (!entry) throw new Error(`No ${path.basename(file)} fixture for ${purpose}: "${last.slice(0, 80)}"`);
+
+    const fill = (s) => s.split("{{message}}").join(last);
+    const fillAll = (value) => JSON.parse(JSON.stringify(value, (k, v) => (typeof v === "string" ? fill(v) : v)));
+    const final = messages[messages.length - 1];
+    const answered = Array.isArray(final?.content) && final.content.some((b) => b.type === "tool_result");
+    if (entry.toolCalls && !answered && toolChoice !== "none") {
+      return entry.toolCalls.map((c, i) => ({ type: "tool_use", id: `mock_${i + 1}`, name: c.name, input: fillAll(c.input || {}) }));
+    }
+    const text = typeof entry.text === "string" ? fill(entry.text) : JSON.stringify(fillAll(entry.text));
+    return [{ type: "text", text }];
+  }
+
+  const resultOfReply = (system, messages, content) => {
+    const result = resultOf(content, { inputTokens: estimateTokens(promptText(system, messages)), outputTokens: 0 });
+    result.usage.outputTokens = estimateTokens(result.text + JSON.stringify(result.toolCalls));
+    return result;
+  };
+
+  return {
+    name: "mock",
+    model: path.basename(file),
+    async complete(params) {
+      return resultOfReply(params.system, params.messages, reply(params));
+    },
+    async stream(params, signal, onText) {
+      const result = resultOfReply(params.system, params.messages, reply(params));
+      for (const piece of result.text.match(/\S+\s*/g) || []) onText(piece);
+      return result;
+    },
+  };
+}
+
+// -------------------------------------------------------------------
+// Calls
+// -------------------------------------------------------------------
+
+function isRetryable(err) {
+  if (err.timedOut) return true;
+  if (err.status) return err.status === 408 || err.status === 409 || err.status === 429 || err.status >= 500;
+  // fetch and SDK connection failures carry no status
+  return err.name === "TypeError" || err.name === "APIConnectionError" || /ECONNRESET|ETIMEDOUT|ECONNREFUSED|socket/i.test(err.message);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Append a real response to the LLM_RECORD fixtures file
+function record(purpose, messages, result) {
+  const file = process.env.LLM_RECORD;
+  if (!file) return;
+  try {
+    const fixtures = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : [];
+    const entry = { purpose, match: lastUserText(messages), text: result.text };
+    // The mock replays a fixture's tool calls first, then its text
+    const previous = fixtures[fixtures.length - 1];
+    if (result.toolCalls.length > 0) {
+      fixtures.push({ ...entry, toolCalls: result.toolCalls.map(({ name, input }) => ({ name, input })) });
+    } else if (previous?.toolCalls && previous.purpose === purpose && previous.match === entry.match) {
+      previous.text = result.text;
+    } else {
+      fixtures.push(entry);
+    }
+    fs.writeFileSync(file, JSON.stringify(fixtures, null, 2) + "\n");
+  } catch (err) {
+    console.error("[llm] Failed to record fixture:", err.message);
+  }
+}
+
+async function call(kind, { purpose, system = "", messages, maxTokens = 200, tools, toolChoice, schema, onText }) {
+  const p = getProvider();
+  if (!p) throw new Error("No LLM provider configured");
+  const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  const maxRetries = Math.max(0, parseInt(process.env.LLM_MAX_RETRIES ?? DEFAULT_MAX_RETRIES, 10) || 0);
+  const params = { purpose, system, messages, maxTokens, tools, toolChoice, schema };
+  const started = Date.now();
+
+  let streamed = false;
+  let timer = null;
+  let restartTimer = null;
+  const emit = (text) => {
+    streamed = true;
+    restartTimer();   // streams time out when idle, not by total length
+    onText(text);
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), timeoutMs);
+    };
+    restartTimer();
+    try {
+      const result = kind === "stream"
+        ? await p.stream(params, controller.signal, emit)
+        : await p.complete(params, controller.signal);
+      clearTimeout(timer);
+      const { inputTokens, outputTokens } = result.usage;
+      console.log(`[llm] ${purpose} ${p.name}/${p.model} ${inputTokens}+${outputTokens} tokens ${Date.now() - started}ms${attempt ? ` (${attempt} retr${attempt === 1 ? "y" : "ies"})` : ""}`);
+      logLlmUsage({ purpose, inputTokens, outputTokens }).catch(() => {});
+      if (p.name !== "mock") record(purpose, messages, result);
+      if (schema) result.data = structuredData(result, schema.name);
+      return { ...result, provider: p.name, model: p.model };
+    } catch (err) {
+      clearTimeout(timer);
+      if (controller.signal.aborted) {
+        const what = streamed ? "stream stalled for" : "request timed out after";
+        err = Object.assign(new Error(`LLM ${what} ${timeoutMs}ms`), { timedOut: true });
+      }
+      // A stream that has already sent text can't be replayed
+      if (attempt >= maxRetries || streamed || !isRetryable(err)) {
+        console.error(`[llm] ${purpose} ${p.name}/${p.model} failed: ${err.message}`);
+        logLlmUsage({ purpose, failed: true }).catch(() => {});
+        throw err;
+      }
+      await sleep(BACKOFF_MS * 2 ** attempt);
+    }
+  }
+}
+
+// One response, as text
+function complete(options) {
+  return call("complete", options);
+}
+
+// Streamed response: onText(chunk) for each piece as it arrives
+function stream(options) {
+  return call("stream", options);
+}
+
+module.exports = { llmAvailable, llmInfo, complete, stream };
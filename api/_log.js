@@ -1,6 +1,7 @@
 /**
  * Query logging via Upstash Redis.
- * Logs search and chat queries with timestamps.
+ * Logs search and chat queries with timestamps, and LLM token usage per day
+ * (see api/_llm.js).
  *
  * Env vars needed:
  *   KV_REST_API_URL  — Upstash Redis REST URL
@@ -12,6 +13,8 @@ const { Redis } = require("@upstash/redis");
 
 const LOG_KEY = "cobot:query_log";
 const MAX_ENTRIES = 5000;
+const USAGE_KEY = "cobot:llm_usage";   // + ":YYYY-MM-DD", a hash of <purpose>:<counter>
+const USAGE_TTL = 90 * 86400;
 
 let redis = null;
 
@@ -25,7 +28,8 @@ function getRedis() {
   return redis;
 }
 
-async function logQuery({ type, query, geo, topic, queryType, resultCount, ip }) {
+// `error` records why a step failed (e.g. type "understand_failed")
+async function logQuery({ type, query, geo, topic, queryType, resultCount, ip, error }) {
   const r = getRedis();
   if (!r) return;
   try {
@@ -39,6 +43,7 @@ async function logQuery({ type, query, geo, topic, queryType, resultCount, ip })
       ip: ip ? ip.replace(/^::ffff:/, "") : "",
       ts: new Date().toISOString(),
     };
+    if (error) entry.error = String(error).slice(0, 300);
     await r.lpush(LOG_KEY, JSON.stringify(entry));
     await r.ltrim(LOG_KEY, 0, MAX_ENTRIES - 1);
   } catch (err) {
@@ -58,4 +63,50 @@ async function getQueryLogs(count = 200) {
   }
 }
 
-module.exports = { logQuery, getQueryLogs };
+// Add one LLM call to today's totals: calls, failures and tokens per purpose
+async function logLlmUsage({ purpose, inputTokens = 0, outputTokens = 0, failed = false }) {
+  const r = getRedis();
+  if (!r) return;
+  try {
+    const key = `${USAGE_KEY}:${new Date().toISOString().slice(0, 10)}`;
+    const p = r.pipeline();
+    if (failed) {
+      p.hincrby(key, `${purpose}:failed`, 1);
+    } else {
+      p.hincrby(key, `${purpose}:calls`, 1);
+      p.hincrby(key, `${purpose}:input`, inputTokens);
+      p.hincrby(key, `${purpose}:output`, outputTokens);
+    }
+    p.expire(key, USAGE_TTL);
+    await p.exec();
+  } catch (err) {
+    console.error("[log] Failed to log LLM usage:", err.message);
+  }
+}
+
+// Usage for the last `days` days, newest first:
+// [{ date, purposes: { chat: { calls, failed, input, output }, … } }]
+async function getLlmUsage(days = 14) {
+  const r = getRedis();
+  if (!r) return [];
+  const out = [];
+  try {
+    for (let i = 0; i < days; i++) {
+      const date = new Date(Date.now() - i * 86400000).toISOString().slice(0, 10);
+      const hash = await r.hgetall(`${USAGE_KEY}:${date}`);
+      if (!hash) continue;
+      const purposes = {};
+      for (const [field, value] of Object.entries(hash)) {
+        const [purpose, counter] = field.split(":");
+        purposes[purpose] = purposes[purpose] || { calls: 0, failed: 0, input: 0, output: 0 };
+        purposes[purpose][counter] = Number(value) || 0;
+      }
+      out.push({ date, purposes });
+    }
+  } catch (err) {
+    console.error("[log] Failed to read LLM usage:", err.message);
+  }
+  return out;
+}
+
+module.exports = { logQuery, getQueryLogs, logLlmUsage, getLlmUsage };
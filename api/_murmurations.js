@@ -0,0 +1,132 @@
+/**
+ * Publishing our profiles back to the Murmurations network.
+ *
+ * Profiles that came from OpenStreetMap, CartEco, ic.org and the other
+ * directories aren't in the Murmurations index, so other aggregators can't
+ * find them. Each one is served at /profiles/<id>.json (id from api/_ids.js)
+ * as an organizations_schema-v1.0.0 document, and
+ * scripts/register-murmurations.js submits those URLs to an index.
+ * Murmurations and KVM profiles are already in the index and aren't
+ * republished.
+ */
+
+const SCHEMA = "organizations_schema-v1.0.0";
+const DEFAULT_BASE_URL = "https://cobot.murmurations.network";
+
+// Sources whose profiles come from the Murmurations index
+const MURMURATIONS_SOURCES = new Set(["murmurations", "kvm", "user-submitted"]);
+
+// Field limits from organizations_schema-v1.0.0
+const MAX_NAME = 200;
+const MAX_URL = 2000;
+const MAX_TAGS = 100;
+const MAX_TAG = 100;
+
+function isHttpUrl(url) {
+  return typeof url === "string" && /^https?:\/\/[^\s/]+\.[^\s]+$/i.test(url) && url.length <= MAX_URL;
+}
+
+function profileTags(p) {
+  const seen = new Set();
+  for (const t of p.tags || []) {
+    if (typeof t !== "string") continue;
+    const tag = t.trim().slice(0, MAX_TAG);
+    if (tag) seen.add(tag);
+  }
+  return [...seen].slice(0, MAX_TAGS);
+}
+
+// Human-readable page for an OSM record ("osm:node/123")
+function sourcePageUrl(p) {
+  const osm = /^osm:(node|way|relation)\/(\d+)$/.exec(p.profile_url || "");
+  if (osm) return `https://www.openstreetmap.org/${osm[1]}/${osm[2]}`;
+  return isHttpUrl(p.profile_url) ? p.profile_url : null;
+}
+
+/**
+ * Whether a dataset profile should be published: not already in the
+ * Murmurations index (directly or via a merged record) and carrying the
+ * fields the schema requires.
+ */
+function isPublishable(p) {
+  if (!p || !p.id || !p.name) return false;
+  const sources = p.sources || [p.source || "murmurations"];
+  if (sources.some((s) => MURMURATIONS_SOURCES.has(s))) return false;
+  return isHttpUrl(p.primary_url) && profileTags(p).length > 0;
+}
+
+/**
+ * organizations_schema-v1.0.0 document for a profile. The source record
+ * (with its licence and attribution) is linked from `urls`.
+ */
+function toMurmurationsProfile(p) {
+  const doc = {
+    linked_schemas: [SCHEMA],
+    name: p.name.slice(0, MAX_NAME),
+    primary_url: p.primary_url,
+    tags: profileTags(p),
+  };
+  if (p.description) doc.description = p.description;
+
+  const urls = [{ name: "Website", url: p.primary_url }];
+  const sourceUrl = sourcePageUrl(p);
+  if (sourceUrl && sourceUrl !== p.primary_url) {
+    const credit = [p.attribution, p.license].filter(Boolean).join(", ");
+    urls.push({ name: credit ? `Source (${credit})` : "Source", url: sourceUrl });
+  }
+  doc.urls = urls;
+
+  if (Number.isFinite(p.latitude) && Number.isFinite(p.longitude)) {
+    doc.geolocation = { lat: p.latitude, lon: p.longitude };
+  }
+  if (p.locality) doc.locality = p.locality;
+  if (p.region_name || p.region) doc.region = p.region_name || p.region;
+  if (p.country_name || p.country) doc.country_name = p.country_name || p.country;
+  if (p.country_code) doc.country_iso_3166 = p.country_code;
+  if (isHttpUrl(p.image)) doc.image = p.image;
+  return doc;
+}
+
+/**
+ * Check a document against the parts of organizations_schema-v1.0.0 we
+ * fill in. Returns a list of problems (empty when valid).
+ */
+function validateMurmurationsProfile(doc) {
+  const errors = [];
+  if (!Array.isArray(doc.linked_schemas) || !doc.linked_schemas.includes(SCHEMA)) {
+    errors.push(`linked_schemas must include ${SCHEMA}`);
+  }
+  if (typeof doc.name !== "string" || !doc.name || doc.name.length > MAX_NAME) errors.push("name is required (max 200 characters)");
+  if (!isHttpUrl(doc.primary_url)) errors.push("primary_url must be an http(s) URL");
+  if (!Array.isArray(doc.tags) || doc.tags.length === 0 || doc.tags.length > MAX_TAGS
+      || doc.tags.some((t) => typeof t !== "string" || !t || t.length > MAX_TAG)) {
+    errors.push("tags must be 1-100 non-empty strings");
+  }
+  if (doc.urls !== undefined && (!Array.isArray(doc.urls) || doc.urls.some((u) => !u || typeof u.name !== "string" || !isHttpUrl(u.url)))) {
+    errors.push("urls must be { name, url } entries");
+  }
+  if (doc.geolocation !== undefined) {
+    const { lat, lon } = doc.geolocation || {};
+    if (!(Number.isFinite(lat) && lat >= -90 && lat <= 90 && Number.isFinite(lon) && lon >= -180 && lon <= 180)) {
+      errors.push("geolocation must have lat -90..90 and lon -180..180");
+    }
+  }
+  if (doc.country_iso_3166 !== undefined && !/^[A-Z]{2}$/.test(doc.country_iso_3166)) {
+    errors.push("country_iso_3166 must be a two-letter code");
+  }
+  return errors;
+}
+
+// Public URL of a published profile
+function publishedProfileUrl(p, baseUrl = DEFAULT_BASE_URL) {
+  return `${baseUrl.replace(/\/+$/, "")}/profiles/${p.id}.json`;
+}
+
+module.exports = {
+  SCHEMA,
+  DEFAULT_BASE_URL,
+  isPublishable,
+  toMurmurationsProfile,
+  validateMurmurationsProfile,
+  publishedProfileUrl,
+};
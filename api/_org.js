@@ -0,0 +1,229 @@
+/**
+ * Organisation detail: the profile behind /api/profile/:id, its nearest
+ * neighbours for /api/similar/:id, and the server-rendered /org/:id page (full description, tags, sources with their
+ * licences, a mini map and similar organisations nearby).
+ *
+ * The page is plain HTML with schema.org JSON-LD so it can be indexed and
+ * linked to; only the mini map needs JavaScript.
+ */
+
+const { similarProfiles } = require("./_search");
+const { allSources } = require("./_sources");
+const { hasCoords, parseArea } = require("./_spatial");
+const { organizationJsonLd } = require("./_export");
+const { DEFAULT_BASE_URL, isPublishable } = require("./_murmurations");
+
+const NEARBY_KM = 50;
+const SIMILAR_LIMIT = 6;
+const MIN_NEARBY = 3;   // fewer than this within NEARBY_KM widens to the country
+const DEFAULT_SIMILAR = 10;
+const MAX_SIMILAR = 50;
+
+/**
+ * Organisations most like `profile` near it: within NEARBY_KM, else in the
+ * same country, else anywhere.
+ */
+function similarNearby(profile, limit = SIMILAR_LIMIT) {
+  if (hasCoords(profile)) {
+    const area = { type: "near", lat: profile.latitude, lon: profile.longitude, radiusKm: NEARBY_KM };
+    const near = similarProfiles(profile.id, { area, limit });
+    if (near.length >= MIN_NEARBY) return near;
+  }
+  if (profile.country_code) {
+    return similarProfiles(profile.id, { country: profile.country_code, limit });
+  }
+  return similarProfiles(profile.id, { limit });
+}
+
+/**
+ * similarProfiles() options from the /api/similar/:id query. `near` is
+ * "country" (the profile's country) or a radius in km around the profile;
+ * without it the whole dataset is searched. Returns { options } or { error }.
+ */
+function parseSimilarQuery(profile, { near, limit } = {}) {
+  const options = { limit: Math.min(MAX_SIMILAR, Math.max(1, parseInt(limit, 10) || DEFAULT_SIMILAR)) };
+  if (near == null || near === "") return { options };
+  if (near === "country") {
+    if (!profile.country_code) return { error: "This profile has no country" };
+    return { options: { ...options, country: profile.country_code } };
+  }
+  if (!hasCoords(profile)) return { error: "This profile has no coordinates" };
+  const { area, error } = parseArea({ lat: profile.latitude, lon: profile.longitude, radiusKm: near });
+  if (error) return { error: "near must be \"country\" or a radius in km" };
+  return { options: { ...options, area } };
+}
+
+// Source id -> manifest entry (licence, attribution, link)
+function sourceEntry(source) {
+  return allSources().find((s) => s.source === source) || null;
+}
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// JSON inside <script>: keep "</script>" and friends out of the markup
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+function fullUrl(url) {
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+function locationOf(p) {
+  return [p.locality, p.region_name || p.region, p.country_name || p.country].filter(Boolean).join(", ");
+}
+
+function sourcesHtml(p) {
+  const rows = (p.sources || [p.source || "murmurations"]).map((source) => {
+    const entry = sourceEntry(source);
+    const credit = entry?.attribution
+      ? entry.attribution_url
+        ? `<a href="${esc(entry.attribution_url)}" target="_blank" rel="noopener">${esc(entry.attribution)}</a>`
+        : esc(entry.attribution)
+      : esc(source);
+    const license = entry?.license
+      ? ` · <a href="https://spdx.org/licenses/${encodeURIComponent(entry.license)}.html" target="_blank" rel="noopener">${esc(entry.license)}</a>`
+      : "";
+    return `<li>${credit}${license}</li>`;
+  });
+  return `<ul class="org-sources">${rows.join("")}</ul>`;
+}
+
+function similarHtml(similar) {
+  if (similar.length === 0) return "";
+  const items = similar.map((s) => {
+    const loc = locationOf(s);
+    const distance = s.distance != null ? ` · ${s.distance} km` : "";
+    return `<li><a href="/org/${esc(s.id)}">${esc(s.name)}</a>${loc || distance ? `<span class="org-similar-loc">${esc(loc)}${distance}</span>` : ""}</li>`;
+  });
+  return `<h3>Similar organisations nearby</h3><ul class="org-similar">${items.join("")}</ul>`;
+}
+
+// Mini map: the organisation plus its similar neighbours
+function mapHtml(p, similar) {
+  if (!hasCoords(p)) return "";
+  const points = [p, ...similar.filter(hasCoords)].map((s, i) => ({
+    lat: s.latitude, lon: s.longitude, name: s.name, id: s.id, self: i === 0,
+  }));
+  return `<div id="org-map" class="org-map"></div>
+  <script>
+    (function () {
+      var points = ${scriptJson(points)};
+      var map = new maplibregl.Map({
+        container: "org-map",
+        style: {
+          version: 8,
+          sources: {
+            "carto-dark": {
+              type: "raster",
+              tiles: ["https://a.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}@2x.png", "https://b.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}@2x.png"],
+              tileSize: 256,
+              attribution: '&copy; <a href="https://carto.com">CARTO</a> &copy; <a href="https://www.openstreetmap.org/copyright">OSM</a>',
+            },
+          },
+          layers: [{ id: "carto-dark", type: "raster", source: "carto-dark" }],
+        },
+        center: [points[0].lon, points[0].lat],
+        zoom: 11,
+      });
+      var bounds = new maplibregl.LngLatBounds();
+      points.forEach(function (pt) {
+        var el = document.createElement(pt.self ? "div" : "a");
+        el.className = pt.self ? "org-marker self" : "org-marker";
+        el.title = pt.name;
+        if (!pt.self) el.href = "/org/" + pt.id;
+        new maplibregl.Marker({ element: el }).setLngLat([pt.lon, pt.lat]).addTo(map);
+        bounds.extend([pt.lon, pt.lat]);
+      });
+      if (points.length > 1) map.fitBounds(bounds, { padding: 40, maxZoom: 13, duration: 0 });
+    })();
+  </script>`;
+}
+
+/**
+ * Full HTML page for /org/:id. `similar` comes from similarNearby().
+ */
+function renderOrgPage(p, similar) {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  const pageUrl = `${baseUrl}/org/${p.id}`;
+  const loc = locationOf(p);
+  const summary = (p.description || [p.name, loc].filter(Boolean).join(" — ")).slice(0, 300);
+  const tags = (p.tags || []).map((t) => `<span class="tag">${esc(t)}</span>`).join("");
+  const jsonLd = { "@context": "https://schema.org", ...organizationJsonLd(p), "@id": pageUrl };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${esc(p.name)} — CoBot</title>
+  <meta name="description" content="${esc(summary)}">
+  <link rel="canonical" href="${esc(pageUrl)}">
+  ${isPublishable(p) ? `<link rel="alternate" type="application/json" href="/profiles/${esc(p.id)}.json" title="Murmurations profile">` : ""}
+  <meta property="og:type" content="website">
+  <meta property="og:title" content="${esc(p.name)}">
+  <meta property="og:description" content="${esc(summary)}">
+  <meta property="og:url" content="${esc(pageUrl)}">
+  <script type="application/ld+json">${scriptJson(jsonLd)}</script>
+  <link rel="stylesheet" href="/style.css">
+  ${hasCoords(p) ? `<link rel="stylesheet" href="https://unpkg.com/maplibre-gl@4.1.2/dist/maplibre-gl.css">
+  <script src="https://unpkg.com/maplibre-gl@4.1.2/dist/maplibre-gl.js"></script>` : ""}
+</head>
+<body class="page-body">
+  <header id="header">
+    <div class="header-left">
+      <a href="/" class="logo-link"><h1>Co<span class="accent">Bot</span></h1></a>
+      <span class="tagline">find co-ops, commons & community organisations worldwide</span>
+    </div>
+    <div class="header-right">
+      <nav class="header-nav">
+        <a href="/about.html" class="nav-link">About</a>
+        <a href="/add-data.html" class="nav-link">Add data</a>
+        <a href="https://opencollective.com/murmurations" target="_blank" rel="noopener" class="nav-link">Donate</a>
+      </nav>
+    </div>
+  </header>
+
+  <div class="page-content">
+    <div class="page-inner org-page">
+      <h2>${esc(p.name)}</h2>
+      ${loc ? `<div class="org-location">${esc(loc)}</div>` : ""}
+      ${p.primary_url ? `<div class="org-url"><a href="${esc(fullUrl(p.primary_url))}" target="_blank" rel="noopener">${esc(p.primary_url)}</a></div>` : ""}
+      ${p.description ? `<p class="org-desc">${esc(p.description)}</p>` : ""}
+      ${tags ? `<div class="card-tags">${tags}</div>` : ""}
+      ${mapHtml(p, similar)}
+      ${similarHtml(similar)}
+      <h3>Sources</h3>
+      ${sourcesHtml(p)}
+      <p><a href="/">Back to CoBot</a></p>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+function renderNotFoundPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Not found — CoBot</title>
+  <meta name="robots" content="noindex">
+  <link rel="stylesheet" href="/style.css">
+</head>
+<body class="page-body">
+  <div class="page-content">
+    <div class="page-inner">
+      <h2>Organisation not found</h2>
+      <p>This organisation is no longer in the dataset. <a href="/">Search CoBot</a></p>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = { similarNearby, parseSimilarQuery, renderOrgPage, renderNotFoundPage };
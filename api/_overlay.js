@@ -0,0 +1,140 @@
+/**
+ * Overlay index for user-submitted profiles.
+ *
+ * Profiles added via /api/add-profile are searchable straight away, without
+ * rebuilding the Int8 dataset. Each overlay entry is { profile, embedding }
+ * with a Float32 embedding (or null until embedded), and sits after the
+ * main dataset in index space: idx >= profilesMeta.length.
+ *
+ * Locally the overlay is data/user-profiles.json. On Vercel there is no
+ * writable disk, so the browser keeps submissions in localStorage and sends
+ * them with each search; they're embedded here and cached per warm instance.
+ */
+
+const { normalizeLocation } = require("./_gazetteer");
+
+// Cap on client-supplied profiles per request, so a search can't be turned
+// into a bulk embedding job
+const MAX_CLIENT_PROFILES = 50;
+
+// profile_url -> { text, embedding }, least recently used first. Keys come
+// from clients, so the cache is capped rather than growing per request.
+const MAX_CACHED_EMBEDDINGS = 5000;
+const embedCache = new Map();
+
+function cachedEmbedding(url, text) {
+  const cached = embedCache.get(url);
+  if (!cached || cached.text !== text) return null;
+  // Re-insert to mark it most recently used
+  embedCache.delete(url);
+  embedCache.set(url, cached);
+  return cached.embedding;
+}
+
+function cacheEmbedding(url, text, embedding) {
+  embedCache.delete(url);
+  embedCache.set(url, { text, embedding });
+  while (embedCache.size > MAX_CACHED_EMBEDDINGS) {
+    embedCache.delete(embedCache.keys().next().value);
+  }
+}
+
+// Text a profile is embedded from. The dataset index (scripts/build-index.js)
+// uses the same text, so overlay and dataset vectors are comparable.
+function buildEmbeddingText(profile) {
+  return [
+    profile.name,
+    profile.description,
+    (profile.tags || []).join(" "),
+    profile.locality,
+    profile.region,
+    profile.country,
+  ].filter(Boolean).join(" ");
+}
+
+// Normalize a fetched Murmurations profile to our schema
+function normalizeSubmittedProfile(url, profileData) {
+  const geo = profileData.geolocation || {};
+  const tags = profileData.tags || profileData.keywords || [];
+  return normalizeLocation({
+    profile_url: url,
+    name: profileData.name || profileData.title || "Unknown",
+    description: profileData.description || profileData.mission || null,
+    latitude: geo.lat != null ? Number(geo.lat) : (profileData.latitude != null ? Number(profileData.latitude) : null),
+    longitude: geo.lon != null ? Number(geo.lon) : (profileData.longitude != null ? Number(profileData.longitude) : null),
+    locality: profileData.locality || null,
+    region: profileData.region || null,
+    country: profileData.country_name || profileData.country || null,
+    tags: Array.isArray(tags) ? tags : [],
+    primary_url: profileData.primary_url || profileData.url || null,
+    image: profileData.image || null,
+    source: "user-submitted",
+  });
+}
+
+// Client-supplied profiles are untrusted — keep only the fields we index
+function sanitizeClientProfile(p) {
+  if (!p || typeof p !== "object" || typeof p.profile_url !== "string" || !p.profile_url) return null;
+  const str = (v) => (typeof v === "string" && v.trim() ? v.slice(0, 2000) : null);
+  const num = (v) => (v != null && Number.isFinite(Number(v)) ? Number(v) : null);
+  return normalizeLocation({
+    profile_url: p.profile_url.slice(0, 500),
+    name: str(p.name) || "Unknown",
+    description: str(p.description),
+    latitude: num(p.latitude),
+    longitude: num(p.longitude),
+    locality: str(p.locality),
+    region: str(p.region),
+    country: str(p.country),
+    tags: Array.isArray(p.tags) ? p.tags.filter(t => typeof t === "string").slice(0, 30) : [],
+    primary_url: str(p.primary_url),
+    image: str(p.image),
+    source: "user-submitted",
+  });
+}
+
+/**
+ * Turn client-supplied profiles into overlay entries. Embeddings are only
+ * computed when `embed` is true (i.e. the query itself has an embedding).
+ */
+async function buildClientOverlay(profiles, getEmbedder, { embed = true } = {}) {
+  if (!Array.isArray(profiles) || profiles.length === 0) return [];
+  const entries = [];
+  const seen = new Set();
+  for (const raw of profiles.slice(0, MAX_CLIENT_PROFILES)) {
+    const profile = sanitizeClientProfile(raw);
+    if (!profile || seen.has(profile.profile_url)) continue;
+    seen.add(profile.profile_url);
+    entries.push({ profile, embedding: null });
+  }
+  if (!embed) return entries;
+
+  for (const entry of entries) {
+    const text = buildEmbeddingText(entry.profile);
+    const cached = cachedEmbedding(entry.profile.profile_url, text);
+    if (cached) {
+      entry.embedding = cached;
+      continue;
+    }
+    const embedder = await getEmbedder();
+    const output = await embedder(text, { pooling: "mean", normalize: true });
+    entry.embedding = Array.from(output.data);
+    cacheEmbedding(entry.profile.profile_url, text, entry.embedding);
+  }
+  return entries;
+}
+
+// Float32 cosine similarity (both vectors are pre-normalized)
+function cosineSimilarityFloat(queryVec, embedding) {
+  if (!embedding) return 0;
+  let dot = 0;
+  for (let i = 0; i < queryVec.length; i++) dot += queryVec[i] * embedding[i];
+  return dot;
+}
+
+module.exports = {
+  buildEmbeddingText,
+  normalizeSubmittedProfile,
+  buildClientOverlay,
+  cosineSimilarityFloat,
+};
@@ -0,0 +1,103 @@
+/**
+ * Report-based ranking penalties.
+ *
+ * Reports submitted through /api/report (dead links, "not relevant" flags)
+ * turn into a profile_url -> multiplier map that the search engine applies
+ * to scores. Locally the Express server computes it from data/reports.json;
+ * on Vercel the reports live in the Redis list cobot:reports, so the map is
+ * read from there and cached per warm instance for PENALTY_TTL_MS.
+ *
+ * Env vars needed (Vercel):
+ *   KV_REST_API_URL  — Upstash Redis REST URL
+ *   KV_REST_API_TOKEN — Upstash Redis REST token
+ */
+
+const { Redis } = require("@upstash/redis");
+
+const REPORTS_KEY = "cobot:reports";
+const PENALTY_TTL_MS = 60 * 1000;
+
+let redis = null;
+let cached = null;   // { map, expires }
+
+function getRedis() {
+  if (redis) return redis;
+  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) return null;
+  redis = new Redis({
+    url: process.env.KV_REST_API_URL,
+    token: process.env.KV_REST_API_TOKEN,
+  });
+  return redis;
+}
+
+// Compute penalty map: profile_url -> multiplier
+function computePenalties(reports) {
+  const penaltyMap = {};
+  const deadLinks = {};     // profile_url -> count
+  const irrelevantQs = {};  // profile_url -> Set of unique queries
+
+  for (const r of reports) {
+    if (!r || !r.profile_url) continue;
+    if (r.report_type === "dead_link") {
+      deadLinks[r.profile_url] = (deadLinks[r.profile_url] || 0) + 1;
+    } else if (r.report_type === "irrelevant") {
+      if (!irrelevantQs[r.profile_url]) irrelevantQs[r.profile_url] = new Set();
+      irrelevantQs[r.profile_url].add(r.query || "");
+    }
+  }
+
+  for (const url of Object.keys(deadLinks)) {
+    penaltyMap[url] = 0.1; // dead links get buried
+  }
+
+  for (const [url, queries] of Object.entries(irrelevantQs)) {
+    const factor = Math.max(0.5, Math.pow(0.9, queries.size));
+    penaltyMap[url] = Math.min(penaltyMap[url] ?? 1, factor);
+  }
+
+  return penaltyMap;
+}
+
+// Report list entries as objects. A malformed entry is skipped so it can't
+// keep every other report (and later dismissals) from taking effect.
+function parseReports(raw) {
+  const reports = [];
+  let skipped = 0;
+  for (const entry of raw) {
+    try {
+      reports.push(typeof entry === "string" ? JSON.parse(entry) : entry);
+    } catch {
+      skipped++;
+    }
+  }
+  if (skipped > 0) console.error(`[penalties] Skipped ${skipped} malformed report${skipped === 1 ? "" : "s"}`);
+  return reports;
+}
+
+/**
+ * Penalty map built from the Redis report list. Served from cache while
+ * fresh; on a Redis error the last good map (or {}) is kept so search
+ * never fails because of reports.
+ */
+async function getPenalties() {
+  if (cached && cached.expires > Date.now()) return cached.map;
+  const r = getRedis();
+  if (!r) return {};
+
+  let map = cached ? cached.map : {};
+  try {
+    const raw = await r.lrange(REPORTS_KEY, 0, -1);
+    map = computePenalties(parseReports(raw));
+  } catch (err) {
+    console.error("[penalties] Failed to read reports:", err.message);
+  }
+  cached = { map, expires: Date.now() + PENALTY_TTL_MS };
+  return map;
+}
+
+// Drop the cached map so this instance picks up a new/dismissed report
+function invalidatePenalties() {
+  cached = null;
+}
+
+module.exports = { computePenalties, getPenalties, invalidatePenalties };
@@ -0,0 +1,664 @@
+/**
+ * Search engine shared by the Express server (server/index.js) and the
+ * Vercel functions (api/search.js, api/chat.js), so ranking is identical
+ * in local dev and production.
+ *
+ * Data loads lazily from public/data (the Vercel bundle); the local server
+ * points it at data/ with configure(). Runtime state that only one side
+ * owns — the report penalties map and the persisted user-profile overlay —
+ * is pushed in with setPenalties() / setOverlay().
+ *
+ * Public API: search({ query, geo, topic, queryType, showAll, area, filters, offset, limit, userProfiles }),
+ * searchAll() (same parameters, every match, for exports), getProfileById(id)
+ * and similarProfiles(id, { area, country, limit }); extractGeoTerms(),
+ * extractTopicWords() and hasKeywordMatches() for reading queries without an
+ * LLM (api/_understand.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { buildClientOverlay, cosineSimilarityFloat } = require("./_overlay");
+const { normalizeLocation, lookupCountryName, needsPlaceContext } = require("./_gazetteer");
+const { assignIds } = require("./_ids");
+const { loadAnnIndex, annCandidates } = require("./_ann");
+const { buildKeywordIndex, keywordScorer } = require("./_bm25");
+const { normalizeFilters, matchesFilters, countFacets } = require("./_facets");
+const { haversineKm, areaCenter, areaScaleKm, inArea, buildSpatialIndex, queryArea } = require("./_spatial");
+
+const EMBED_DIM = 384;
+const EMBED_MODEL = "Xenova/all-MiniLM-L6-v2";
+const TOP_K_DISPLAY = 20;
+const TOP_K_GEO_BROWSE = 50;
+const MAX_PAGE_SIZE = 100;
+const GEO_FILTER_MIN = 5;
+const RELEVANCE_THRESHOLD = 0.35;
+const STRONG_SEMANTIC = 0.5;  // enough without a keyword match, for topic-only searches
+// Weighted fusion: relevance = semantic + KEYWORD_WEIGHT * bm25 + NAME_WEIGHT * name match
+const KEYWORD_WEIGHT = 0.3;
+const NAME_WEIGHT = 0.6;
+
+let dataDir = path.join(__dirname, "..", "public", "data");
+
+// Lazy-loaded data (persists across warm invocations)
+let profilesMeta = null;
+let idIndex = null;      // profile id -> index in profilesMeta
+let embInt8 = null;
+let embScales = null;
+let knownLocations = null;
+let spatialIndex = null;
+let geoSample = "";
+let penalties = {};
+let overlay = [];
+let embedder = null;
+let annIndex = null;     // IVF index over the embeddings (api/_ann.js), if built
+let keywordIndex = null; // BM25 inverted index over profilesMeta (api/_bm25.js)
+let useAnn = true;
+
+// `ann: false` always scans every vector (for measuring recall)
+function configure(options = {}) {
+  if (options.dataDir) dataDir = options.dataDir;
+  if (options.ann !== undefined) useAnn = options.ann;
+}
+
+function loadData() {
+  if (profilesMeta) return;
+  const meta = JSON.parse(fs.readFileSync(path.join(dataDir, "profiles-meta.json"), "utf8"));
+  // Data built before merge-profiles.js normalised locations
+  for (const p of meta) if (p.country_code === undefined) normalizeLocation(p);
+  // Small files are read into a shared pool, so respect the Buffer's offset
+  const int8Buf = fs.readFileSync(path.join(dataDir, "embeddings-int8.bin"));
+  const scalesBuf = fs.readFileSync(path.join(dataDir, "embeddings-scales.bin"));
+  embInt8 = new Int8Array(int8Buf.buffer, int8Buf.byteOffset, int8Buf.length);
+  embScales = new Float32Array(scalesBuf.buffer, scalesBuf.byteOffset, scalesBuf.length / 4);
+  idIndex = assignIds(meta);
+  annIndex = useAnn ? loadAnnIndex(dataDir, { model: EMBED_MODEL, dim: EMBED_DIM, count: meta.length, int8Buf }) : null;
+  profilesMeta = meta;
+  spatialIndex = buildSpatialIndex(profilesMeta);
+  keywordIndex = buildKeywordIndex(profilesMeta);
+  buildLocationIndex();
+  buildGeoSample();
+}
+
+function getProfiles() {
+  loadData();
+  return profilesMeta;
+}
+
+// Dataset profile by its stable id (see api/_ids.js), or null
+function getProfileById(id) {
+  loadData();
+  const i = idIndex.get(id);
+  return i === undefined ? null : profilesMeta[i];
+}
+
+function setPenalties(map) {
+  penalties = map || {};
+}
+
+// Persisted user-submitted profiles ({ profile, embedding } entries)
+function setOverlay(entries) {
+  overlay = entries || [];
+  if (profilesMeta) buildLocationIndex();
+}
+
+async function getEmbedder() {
+  if (embedder) return embedder;
+  const { pipeline } = await import("@xenova/transformers");
+  embedder = await pipeline("feature-extraction", EMBED_MODEL);
+  return embedder;
+}
+
+async function embedQuery(topic) {
+  const embed = await getEmbedder();
+  const output = await embed("Organisation or project related to: " + topic, { pooling: "mean", normalize: true });
+  return Array.from(output.data);
+}
+
+// -------------------------------------------------------------------
+// Geo utilities
+// -------------------------------------------------------------------
+
+// Places that aren't a single country or first-level region. Country names
+// in any language are resolved by the gazetteer (api/_gazetteer.js).
+const GEO_ALIASES = {
+  england: ["england"], scotland: ["scotland"], wales: ["wales"],
+  "northern ireland": ["northern ireland"],
+  "east anglia": ["norfolk", "suffolk", "cambridgeshire", "east anglia"],
+  "west country": ["devon", "cornwall", "somerset", "dorset"],
+  "home counties": ["surrey", "kent", "essex", "hertfordshire", "buckinghamshire", "berkshire"],
+  midlands: ["west midlands", "east midlands", "warwickshire", "staffordshire", "derbyshire", "nottinghamshire", "leicestershire"],
+  "south east": ["surrey", "kent", "sussex", "hampshire"],
+  "north west": ["lancashire", "cumbria", "merseyside", "greater manchester", "cheshire"],
+  "north east": ["northumberland", "tyne and wear", "county durham"],
+  "greater london": ["london"],
+};
+
+function splitLocationSegments(value) {
+  return value.replace(/&amp;/g, "&").split(/[:|&|]/).map(s => s.trim().toLowerCase()).filter(s => s.length >= 2);
+}
+
+function addProfileLocations(set, p) {
+  if (p.locality) splitLocationSegments(p.locality).forEach(s => set.add(s));
+  if (p.region) splitLocationSegments(p.region).forEach(s => set.add(s));
+  if (p.region_name) set.add(p.region_name.toLowerCase());
+  if (p.country) splitLocationSegments(p.country).forEach(s => set.add(s));
+}
+
+function buildLocationIndex() {
+  knownLocations = new Set();
+  for (const p of profilesMeta) addProfileLocations(knownLocations, p);
+  for (const e of overlay) addProfileLocations(knownLocations, e.profile);
+}
+
+// Sample of known places for the query-understanding prompt
+function buildGeoSample() {
+  const countries = new Set();
+  const regionCounts = {};
+  const cityCounts = {};
+  const countRegion = (s) => regionCounts[s] = (regionCounts[s] || 0) + 1;
+  for (const p of profilesMeta) {
+    if (p.country_name) countries.add(p.country_name.toLowerCase());
+    else if (p.country) splitLocationSegments(p.country).forEach(s => countries.add(s));
+    if (p.region_name) countRegion(p.region_name.toLowerCase());
+    else if (p.region) splitLocationSegments(p.region).forEach(countRegion);
+    if (p.locality) splitLocationSegments(p.locality).forEach(s => cityCounts[s] = (cityCounts[s] || 0) + 1);
+  }
+  const topRegions = Object.entries(regionCounts).sort((a, b) => b[1] - a[1]).slice(0, 100).map(([name]) => name);
+  const topCities = Object.entries(cityCounts).sort((a, b) => b[1] - a[1]).slice(0, 100).map(([name]) => name);
+  geoSample = `Countries: ${[...countries].sort().join(", ")}. Regions: ${topRegions.join(", ")}. Cities: ${topCities.join(", ")}`;
+}
+
+function getGeoSample() {
+  try { loadData(); } catch { return ""; }
+  return geoSample;
+}
+
+// Words that introduce a place
+const PLACE_CONTEXT = new Set(["in", "near", "around", "across", "from", "of", "to", "throughout"]);
+
+// extraLocations: places from a visitor's client-side profiles, checked per
+// request rather than merged into knownLocations
+function extractGeoTerms(query, extraLocations = null) {
+  const q = query.toLowerCase().replace(/['']/g, "");
+  const terms = [];
+  const aliasKeys = Object.keys(GEO_ALIASES).sort((a, b) => b.length - a.length);
+  const matched = new Set();
+  for (const key of aliasKeys) {
+    if (q.includes(key) && !matched.has(key)) {
+      terms.push(...GEO_ALIASES[key]);
+      key.split(/\s+/).forEach(w => matched.add(w));
+      matched.add(key);
+    }
+  }
+
+  // Countries and known places, longest phrase first so "united states"
+  // isn't also read as "states" nor "new jersey" as "jersey". Country names
+  // that are everyday words ("turkey") need a word like "in" before them
+  // unless the directory has a place by that name.
+  if (!knownLocations) loadData();
+  const isKnown = (loc) => knownLocations.has(loc) || (extraLocations ? extraLocations.has(loc) : false);
+  const words = q.replace(/[?!,;:()"]/g, " ").split(/\s+/).filter(Boolean);
+  for (const size of [3, 2, 1]) {
+    for (let i = 0; i + size <= words.length; i++) {
+      const phrase = words.slice(i, i + size).join(" ");
+      if (matched.has(phrase) || phrase.split(" ").some(w => matched.has(w))) continue;
+      const asCountry = !needsPlaceContext(phrase) || PLACE_CONTEXT.has(words[i - 1]);
+      const country = asCountry ? lookupCountryName(phrase) : null;
+      if (country) {
+        terms.push(phrase);
+        const name = country.name.toLowerCase();
+        if (name !== phrase) terms.push(name);
+      } else if ((size > 1 || phrase.length >= 3) && isKnown(phrase)) {
+        if (!terms.includes(phrase)) terms.push(phrase);
+      } else {
+        continue;
+      }
+      phrase.split(" ").forEach(w => matched.add(w));
+      matched.add(phrase);
+    }
+  }
+  return terms;
+}
+
+function includesAny(field, terms) {
+  if (!field) return false;
+  const f = field.toLowerCase();
+  return terms.some(t => f.includes(t));
+}
+
+// Predicate for profiles in any of the places. Country terms compare the
+// normalised country_code; every term is also substring-matched against the
+// locality and region, so "georgia" finds the country and the US state.
+function geoMatcher(geoTerms) {
+  const countryCodes = new Set();
+  const countryTerms = [];
+  const placeTerms = [];
+  for (const term of geoTerms) {
+    const country = lookupCountryName(term);
+    if (country) {
+      countryCodes.add(country.code);
+      countryTerms.push(term);
+    } else {
+      placeTerms.push(term);
+    }
+  }
+  return (profile) => {
+    if (profile.country_code ? countryCodes.has(profile.country_code) : includesAny(profile.country, countryTerms)) return true;
+    if ([profile.locality, profile.region, profile.region_name].some(f => includesAny(f, geoTerms))) return true;
+    return includesAny(profile.country, placeTerms);
+  };
+}
+
+// -------------------------------------------------------------------
+// Topic keywords
+// -------------------------------------------------------------------
+
+const STOPWORDS = new Set([
+  "the","and","for","are","but","not","you","all","can","has","her","was","one","our","out","his","how","its","may","who",
+  "did","get","let","say","she","too","use","with","that","this","from","they","been","have","many","some","them","than","each",
+  "make","like","into","over","such","here","what","about","which","when","there","their","will","would","could","should",
+  "any","does","please","help","want","need","looking","much","got","your","every","most","these","those",
+  "shall","might","just","also","very","really","quite","what's","whats",
+  "show","find","search","list","give","tell","see","orgs","org","know","where",
+  "everything","anything","things","places","stuff",
+  "projects","organisations","organizations","groups","initiatives","based","near","nearby","around","related",
+]);
+
+// Whether any dataset profile contains `word` (as BM25 matches it), so
+// callers can tell the directory's vocabulary from words it never uses
+function hasKeywordMatches(word) {
+  loadData();
+  const keywords = keywordScorer(keywordIndex, [word]);
+  return !!keywords && keywords.scores.size > 0;
+}
+
+function extractTopicWords(query, geoTerms) {
+  const geoAliasWords = new Set();
+  for (const [key, vals] of Object.entries(GEO_ALIASES)) {
+    key.split(/\s+/).forEach(w => geoAliasWords.add(w));
+    vals.forEach(v => v.split(/\s+/).forEach(w => geoAliasWords.add(w)));
+  }
+  if (geoTerms) {
+    for (const t of geoTerms) t.split(/\s+/).forEach(w => geoAliasWords.add(w));
+  }
+  return query.toLowerCase().replace(/['']/g, "").split(/\s+/)
+    .filter(w => w.length >= 3 && !STOPWORDS.has(w) && !geoAliasWords.has(w));
+}
+
+// Int8 cosine similarity with dequantization
+function cosineSimilarityInt8(queryVec, idx) {
+  const offset = idx * EMBED_DIM;
+  const scaleOffset = idx * 2;
+  const mn = embScales[scaleOffset];
+  const mx = embScales[scaleOffset + 1];
+  const range = mx - mn || 1;
+  const scale = range / 255;
+  let dot = 0;
+  for (let i = 0; i < EMBED_DIM; i++) {
+    const dequant = (embInt8[offset + i] + 128) * scale + mn;
+    dot += queryVec[i] * dequant;
+  }
+  return dot;
+}
+
+// -------------------------------------------------------------------
+// Ranking
+// -------------------------------------------------------------------
+
+// Best first; equal scores fall back to index order so pages are stable
+function byScore(a, b) {
+  return b.score - a.score || a.idx - b.idx;
+}
+
+/**
+ * Rank every match for the query. Returns the full ordered list — search()
+ * cuts it into pages — plus `pageSize`, the default page length for the
+ * branch that produced it.
+ */
+function rankProfiles(queryEmbedding, query, llmParams, entries, area) {
+  let geoTerms, topicWords, queryType;
+
+  // Indices past the end of profilesMeta address the user-profile overlay
+  const totalIndexed = profilesMeta.length + entries.length;
+  const profileAt = (idx) => idx < profilesMeta.length ? profilesMeta[idx] : entries[idx - profilesMeta.length].profile;
+  const similarityAt = (vec, idx) => idx < profilesMeta.length
+    ? cosineSimilarityInt8(vec, idx)
+    : cosineSimilarityFloat(vec, entries[idx - profilesMeta.length].embedding);
+
+  if (llmParams && llmParams.geo) {
+    geoTerms = llmParams.geo.map(g => g.toLowerCase());
+    topicWords = llmParams.topic ? extractTopicWords(llmParams.topic, []) : [];
+    queryType = llmParams.queryType || (geoTerms.length > 0 && topicWords.length > 0 ? "geo+topic" : geoTerms.length > 0 ? "geo-only" : "topic-only");
+  } else {
+    const extraLocations = new Set();
+    for (const e of entries) addProfileLocations(extraLocations, e.profile);
+    geoTerms = extractGeoTerms(query, extraLocations);
+    topicWords = extractTopicWords(query, geoTerms);
+    const hasTopic = topicWords.length > 0;
+    queryType = geoTerms.length > 0 && !hasTopic ? "geo-only" : geoTerms.length > 0 && hasTopic ? "geo+topic" : "topic-only";
+  }
+
+  let geoNote = null;
+  const hasTopicWords = topicWords.length > 0;
+
+  // BM25 over the topic words: dataset matches come straight from the
+  // postings, overlay profiles are scored one by one
+  const keywords = hasTopicWords ? keywordScorer(keywordIndex, topicWords) : null;
+  const keywordAt = (idx) => !keywords ? 0
+    : idx < profilesMeta.length ? keywords.scores.get(idx) || 0
+    : keywords.scoreProfile(profileAt(idx));
+
+  // Check if the raw query closely matches a profile name
+  const queryLower = (query || "").toLowerCase().replace(/[''"""]/g, "").trim();
+  function nameMatch(profile) {
+    if (!queryLower || queryLower.length < 4) return 0;
+    const name = (profile.name || "").toLowerCase();
+    if (name === queryLower) return 1;
+    if (name.includes(queryLower) || queryLower.includes(name)) return 0.75;
+    return 0;
+  }
+
+  function scoreProfile(idx, geoMultiplier) {
+    const profile = profileAt(idx);
+    const semantic = queryEmbedding ? similarityAt(queryEmbedding, idx) : 0;
+    const keyword = keywordAt(idx);
+    const named = nameMatch(profile);
+    const relevance = Math.min(1, semantic + KEYWORD_WEIGHT * keyword + NAME_WEIGHT * named);
+    const penaltyVal = penalties[profile.profile_url] ?? 1;
+    return {
+      idx,
+      profile,
+      score: relevance * geoMultiplier * penaltyVal,
+      relevance,
+      semantic,
+      keywordMatch: keyword > 0 || named > 0,
+    };
+  }
+
+  // Browse order when there's nothing to rank on: longest descriptions first
+  function browseByDescription(indices) {
+    const results = indices.map(idx => {
+      const p = profileAt(idx);
+      return { idx, profile: p, score: (p.description || "").length, relevance: 0, keywordMatch: false };
+    });
+    results.sort(byScore);
+    return results;
+  }
+
+  // Map area (near/bbox): filter by coordinates instead of place names, and
+  // weight scores down with distance from the centre
+  if (area) {
+    const center = areaCenter(area);
+    const scaleKm = areaScaleKm(area);
+    const areaIndices = queryArea(spatialIndex, area);
+    for (let i = profilesMeta.length; i < totalIndexed; i++) {
+      if (inArea(profileAt(i), area)) areaIndices.push(i);
+    }
+    const distances = new Map(areaIndices.map(idx => {
+      const p = profileAt(idx);
+      return [idx, haversineKm(center.lat, center.lon, p.latitude, p.longitude)];
+    }));
+    const areaQueryType = hasTopicWords && queryEmbedding ? "geo+topic" : "geo-only";
+
+    if (areaIndices.length === 0) {
+      geoNote = "No organisations with map coordinates found in that area.";
+      return { matches: [], pageSize: TOP_K_DISPLAY, geoNote, geoTerms, topicWords, queryType: areaQueryType, distances };
+    }
+
+    // Nearest first
+    const byDistance = () => areaIndices
+      .map(idx => ({ idx, profile: profileAt(idx), score: -distances.get(idx), relevance: 0, keywordMatch: false }))
+      .sort(byScore);
+
+    if (areaQueryType === "geo-only") {
+      return { matches: byDistance(), pageSize: TOP_K_GEO_BROWSE, geoNote, geoTerms, topicWords, queryType: areaQueryType, distances };
+    }
+
+    const scored = areaIndices.map(idx => scoreProfile(idx, 1 / (1 + distances.get(idx) / scaleKm)));
+    scored.sort(byScore);
+
+    const kwMatches = scored.filter(r => r.keywordMatch);
+    if (kwMatches.length > 0) {
+      return { matches: kwMatches, pageSize: TOP_K_DISPLAY, geoNote, geoTerms, topicWords, queryType: areaQueryType, distances };
+    }
+    const semanticFallback = scored.filter(r => r.relevance >= RELEVANCE_THRESHOLD);
+    if (semanticFallback.length > 0) {
+      return { matches: semanticFallback, pageSize: TOP_K_DISPLAY, geoNote, geoTerms, topicWords, queryType: "geo+topic-fallback", distances, originalTopicWords: topicWords };
+    }
+    return { matches: byDistance(), pageSize: TOP_K_GEO_BROWSE, geoNote, geoTerms, topicWords, queryType: "geo+topic-fallback", distances, originalTopicWords: topicWords };
+  }
+
+  if (geoTerms.length > 0) {
+    const matchesGeo = geoMatcher(geoTerms);
+    const geoMatchIndices = [];
+    for (let i = 0; i < totalIndexed; i++) {
+      if (matchesGeo(profileAt(i))) geoMatchIndices.push(i);
+    }
+
+    if (geoMatchIndices.length >= GEO_FILTER_MIN) {
+      if (!hasTopicWords) {
+        const results = browseByDescription(geoMatchIndices);
+        return { matches: results, pageSize: TOP_K_GEO_BROWSE, geoNote, geoTerms, topicWords, queryType };
+      }
+
+      const scored = geoMatchIndices.map(idx => scoreProfile(idx, 1));
+      scored.sort(byScore);
+
+      // First try: keyword matches within geo (no semantic threshold needed — geo + keyword is strong enough)
+      const kwMatches = scored.filter(r => r.keywordMatch);
+      if (kwMatches.length > 0) {
+        return { matches: kwMatches, pageSize: TOP_K_DISPLAY, geoNote, geoTerms, topicWords, queryType };
+      }
+
+      // Fallback: use semantic relevance within geo results
+      const semanticFallback = scored.filter(r => r.relevance >= RELEVANCE_THRESHOLD);
+      if (semanticFallback.length > 0) {
+        return { matches: semanticFallback, pageSize: TOP_K_DISPLAY, geoNote, geoTerms, topicWords, queryType: "geo+topic-fallback", originalTopicWords: topicWords };
+      }
+      // Last resort: browse by description length
+      const fallbackResults = browseByDescription(geoMatchIndices);
+      return { matches: fallbackResults, pageSize: TOP_K_GEO_BROWSE, geoNote, geoTerms, topicWords, queryType: "geo+topic-fallback", originalTopicWords: topicWords };
+    }
+
+    const triedLocations = [...new Set(geoTerms)].map(t => t.charAt(0).toUpperCase() + t.slice(1));
+    geoNote = `No results found matching that location. Searched: ${triedLocations.join(", ")}.`;
+    return { matches: [], pageSize: TOP_K_DISPLAY, geoNote, geoTerms, topicWords, queryType };
+  }
+
+  // No geo terms — pure topic search. With an ANN index only the probed
+  // lists, every keyword match and the overlay are scored, otherwise every
+  // profile is; keyword matches are always counted exactly.
+  const allScored = [];
+  if (annIndex && queryEmbedding) {
+    const candidates = new Set(annCandidates(annIndex, queryEmbedding));
+    if (keywords) for (const i of keywords.scores.keys()) candidates.add(i);
+    for (const i of candidates) allScored.push(scoreProfile(i, 1));
+    for (let i = profilesMeta.length; i < totalIndexed; i++) allScored.push(scoreProfile(i, 1));
+  } else {
+    for (let i = 0; i < totalIndexed; i++) allScored.push(scoreProfile(i, 1));
+  }
+  allScored.sort(byScore);
+
+  const filtered = allScored.filter(r =>
+    r.relevance >= RELEVANCE_THRESHOLD && (!hasTopicWords || r.keywordMatch || r.semantic >= STRONG_SEMANTIC)
+  );
+  let totalTopicMatches = null;
+  if (keywords) {
+    totalTopicMatches = keywords.scores.size;
+    for (let i = profilesMeta.length; i < totalIndexed; i++) if (keywordAt(i) > 0) totalTopicMatches++;
+  }
+
+  return { matches: filtered, pageSize: TOP_K_DISPLAY, geoNote, geoTerms, topicWords, queryType, totalTopicMatches };
+}
+
+// Page bounds from request values: offset >= 0, 1 <= limit <= MAX_PAGE_SIZE
+function pageBounds(offset, limit, defaultLimit) {
+  const o = Math.max(0, Math.floor(Number(offset)) || 0);
+  const l = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(limit)) || defaultLimit));
+  return { offset: o, limit: l };
+}
+
+// Rank and filter; shared by search() and searchAll()
+async function findMatches({ query, geo, topic, queryType, showAll, area, filters, userProfiles }) {
+  loadData();
+
+  const searchTopic = topic || query || "";
+  const llmParams = (geo || topic || queryType) ? { geo: geo || [], topic: topic || "", queryType: queryType || null, showAll: showAll || false } : null;
+  const effectiveQueryType = llmParams?.queryType || "topic-only";
+
+  let queryEmbedding = null;
+  if (searchTopic && effectiveQueryType !== "geo-only") {
+    queryEmbedding = await embedQuery(searchTopic);
+  }
+
+  // Client-side submissions are only added if the server doesn't hold them already
+  const known = new Set(overlay.map(e => e.profile.profile_url));
+  const clientEntries = await buildClientOverlay(userProfiles, getEmbedder, { embed: !!queryEmbedding });
+  const entries = [...overlay, ...clientEntries.filter(e => !known.has(e.profile.profile_url))];
+
+  const ranked = rankProfiles(queryEmbedding, query || searchTopic, llmParams, entries, area || null);
+
+  const activeFilters = normalizeFilters(filters);
+  const matches = activeFilters ? ranked.matches.filter(r => matchesFilters(r.profile, activeFilters)) : ranked.matches;
+  return { ranked, activeFilters, matches };
+}
+
+function toResult(r, ranked) {
+  const result = {
+    ...r.profile,
+    _relevance: r.relevance > 0 ? Math.round(r.relevance * 100) : null,
+    _idx: r.idx,
+  };
+  if (ranked.distances) result.distance = Math.round(ranked.distances.get(r.idx) * 10) / 10;
+  return result;
+}
+
+/**
+ * Run a search. `geo`/`topic`/`queryType` come from /api/understand; when
+ * none are given the raw query is parsed for places and topic words.
+ * `userProfiles` are client-side submissions (see api/_overlay.js).
+ *
+ * `area` (from parseArea() in api/_spatial.js) restricts results to a
+ * radius or bbox instead of matching place names; results then carry
+ * `distance` (km from the centre).
+ *
+ * `filters` ({ source, category, country } arrays, see api/_facets.js)
+ * narrow the ranked matches; `facets` counts are computed over them.
+ *
+ * Results are paged with `offset`/`limit` (`topK` is an alias for limit).
+ * Without a limit, geo browsing returns 50 per page and everything else 20.
+ *
+ * Relevance fuses embedding similarity with BM25 keyword scores over the
+ * topic words (api/_bm25.js) and a bonus for a query that names the profile.
+ *
+ * Returns { results, totalResults, totalTopicMatches, offset, limit,
+ * nextOffset, facets, geoNote, queryType, geoTerms, topicWords } where each
+ * result is the profile plus _relevance and _idx. `nextOffset` is null on
+ * the last page. `totalTopicMatches` is the exact number of profiles
+ * containing any topic word, for topic-only searches (null otherwise).
+ */
+async function search({ query, geo, topic, queryType, showAll, area, filters, offset, limit, topK, userProfiles } = {}) {
+  const { ranked, activeFilters, matches } = await findMatches({ query, geo, topic, queryType, showAll, area, filters, userProfiles });
+  const facets = countFacets(ranked.matches.map(r => r.profile), activeFilters);
+
+  const page = pageBounds(offset, limit ?? topK, ranked.pageSize);
+  const end = page.offset + page.limit;
+  const results = matches.slice(page.offset, end).map(r => toResult(r, ranked));
+
+  return {
+    results,
+    totalResults: matches.length,
+    totalTopicMatches: ranked.totalTopicMatches ?? null,
+    offset: page.offset,
+    limit: page.limit,
+    nextOffset: end < matches.length ? end : null,
+    facets,
+    geoNote: ranked.geoNote,
+    queryType: ranked.queryType,
+    geoTerms: ranked.geoTerms,
+    topicWords: ranked.topicWords,
+  };
+}
+
+/**
+ * Same parameters and ranking as search(), without paging: `results` is an
+ * iterable over every match (built lazily, for streaming exports).
+ * Returns { results, totalResults, queryType, geoTerms, topicWords }.
+ */
+async function searchAll({ query, geo, topic, queryType, showAll, area, filters, userProfiles } = {}) {
+  const { ranked, matches } = await findMatches({ query, geo, topic, queryType, showAll, area, filters, userProfiles });
+  return {
+    results: (function* () { for (const r of matches) yield toResult(r, ranked); })(),
+    totalResults: matches.length,
+    queryType: ranked.queryType,
+    geoTerms: ranked.geoTerms,
+    topicWords: ranked.topicWords,
+  };
+}
+
+// -------------------------------------------------------------------
+// Similar profiles
+// -------------------------------------------------------------------
+
+// Dequantized embedding of a dataset profile
+function profileVector(idx) {
+  const vec = new Float32Array(EMBED_DIM);
+  const mn = embScales[idx * 2];
+  const scale = ((embScales[idx * 2 + 1] - mn) || 1) / 255;
+  const offset = idx * EMBED_DIM;
+  for (let i = 0; i < EMBED_DIM; i++) vec[i] = (embInt8[offset + i] + 128) * scale + mn;
+  return vec;
+}
+
+/**
+ * Dataset profiles closest in meaning to profile `id`, best first, without
+ * the profile itself. `area` (see api/_spatial.js) and `country` (ISO code)
+ * restrict the candidates. Results carry _relevance and, for a `near` area,
+ * distance. Returns null for an unknown id.
+ */
+function similarProfiles(id, { area = null, country = null, limit = 6 } = {}) {
+  loadData();
+  const self = idIndex.get(id);
+  if (self === undefined) return null;
+
+  const vec = profileVector(self);
+  const candidates = area ? queryArea(spatialIndex, area)
+    : annIndex && !country ? annCandidates(annIndex, vec)
+    : profilesMeta.keys();
+  const scored = [];
+  for (const idx of candidates) {
+    if (idx === self) continue;
+    const p = profilesMeta[idx];
+    if (country && p.country_code !== country) continue;
+    const score = cosineSimilarityInt8(vec, idx) * (penalties[p.profile_url] ?? 1);
+    scored.push({ idx, score });
+  }
+  scored.sort(byScore);
+
+  return scored.slice(0, limit).map(({ idx, score }) => {
+    const p = profilesMeta[idx];
+    const result = { ...p, _relevance: Math.round(score * 100), _idx: idx };
+    if (area?.type === "near") result.distance = Math.round(haversineKm(area.lat, area.lon, p.latitude, p.longitude) * 10) / 10;
+    return result;
+  });
+}
+
+module.exports = {
+  EMBED_DIM,
+  EMBED_MODEL,
+  RELEVANCE_THRESHOLD,
+  configure,
+  loadData,
+  getProfiles,
+  getProfileById,
+  setPenalties,
+  setOverlay,
+  getEmbedder,
+  getGeoSample,
+  extractGeoTerms,
+  extractTopicWords,
+  hasKeywordMatches,
+  search,
+  searchAll,
+  similarProfiles,
+};
@@ -0,0 +1,128 @@
+/**
+ * Source manifest (sources.json): every data file that makes up the
+ * dataset, with its source id, fetch command, merge priority, licence and
+ * attribution.
+ *
+ *   { "id": "osm-ngos", "label": "OpenStreetMap: ngos", "source": "openstreetmap",
+ *     "file": "enriched-ngos.json", "fetch": "node scripts/fetch-osm.js ngos && ...",
+ *     "priority": 2, "license": "ODbL-1.0", "attribution": "© OpenStreetMap contributors",
+ *     "attribution_url": "https://www.openstreetmap.org/copyright", "enabled": true }
+ *
+ * merge-profiles.js merges the enabled files (lower priority wins when
+ * sources disagree), nightcrawl.sh runs their fetch commands, the fetchers
+ * stamp `license` and `attribution` on each profile, and the stats and
+ * /api/sources count profiles per source in manifest order.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { sources: MANIFEST } = require("../sources.json");
+
+const STATUS_FILE = "sources-status.json";
+
+let dataDir = path.join(__dirname, "..", "public", "data");
+let status = null;   // id -> { fetched_at, records }, written by merge-profiles.js
+
+function configure(options = {}) {
+  if (options.dataDir) dataDir = options.dataDir;
+  status = null;
+}
+
+function allSources() {
+  return MANIFEST;
+}
+
+function enabledSources() {
+  return MANIFEST.filter((s) => s.enabled !== false);
+}
+
+// profile.source -> merge priority (best of its enabled files)
+function sourcePriorities() {
+  const priorities = new Map();
+  for (const s of enabledSources()) {
+    const p = s.priority ?? Infinity;
+    if (!priorities.has(s.source) || p < priorities.get(s.source)) priorities.set(s.source, p);
+  }
+  return priorities;
+}
+
+// { license, attribution } for a fetcher to set on each profile it writes
+function sourceAttribution(source) {
+  const entry = MANIFEST.find((s) => s.source === source);
+  return { license: entry?.license ?? null, attribution: entry?.attribution ?? null };
+}
+
+function sourceOrder(source) {
+  const i = [...new Set(MANIFEST.map((s) => s.source))].indexOf(source);
+  return i === -1 ? Infinity : i;
+}
+
+/**
+ * Profile counts per source: [{ source, count }], manifest sources first
+ * (in manifest order), then anything else (e.g. user-submitted) by count.
+ */
+function countBySource(profiles) {
+  const counts = new Map();
+  for (const p of profiles) {
+    const source = p.source || "murmurations";
+    counts.set(source, (counts.get(source) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([source, count]) => ({ source, count }))
+    .sort((a, b) => sourceOrder(a.source) - sourceOrder(b.source) || b.count - a.count);
+}
+
+function loadStatus() {
+  if (status) return status;
+  try {
+    status = JSON.parse(fs.readFileSync(path.join(dataDir, STATUS_FILE), "utf8"));
+  } catch {
+    status = {};
+  }
+  return status;
+}
+
+/**
+ * Enabled sources with licence, attribution, the number of profiles they
+ * contribute to (merged profiles count for each of their sources) and the
+ * last fetch date of their files.
+ */
+function describeSources(profiles) {
+  const counts = new Map();
+  for (const p of profiles) {
+    for (const source of p.sources || [p.source || "murmurations"]) {
+      counts.set(source, (counts.get(source) || 0) + 1);
+    }
+  }
+  const fetched = loadStatus();
+  const bySource = new Map();
+  for (const entry of enabledSources()) {
+    if (!bySource.has(entry.source)) {
+      bySource.set(entry.source, {
+        source: entry.source,
+        license: entry.license ?? null,
+        attribution: entry.attribution ?? null,
+        attribution_url: entry.attribution_url ?? null,
+        count: counts.get(entry.source) || 0,
+        fetched_at: null,
+        files: [],
+      });
+    }
+    const s = bySource.get(entry.source);
+    const file = fetched[entry.id] || {};
+    s.files.push({ id: entry.id, label: entry.label, records: file.records ?? null, fetched_at: file.fetched_at ?? null });
+    if (file.fetched_at && (!s.fetched_at || file.fetched_at > s.fetched_at)) s.fetched_at = file.fetched_at;
+  }
+  return [...bySource.values()];
+}
+
+module.exports = {
+  STATUS_FILE,
+  configure,
+  allSources,
+  enabledSources,
+  sourcePriorities,
+  sourceAttribution,
+  countBySource,
+  describeSources,
+};
@@ -0,0 +1,175 @@
+/**
+ * Spatial search over profile coordinates.
+ *
+ * A fixed 1° lat/lon grid: each cell lists the indices of the profiles whose
+ * latitude/longitude fall inside it, so radius and bbox queries only test
+ * the points in the cells they overlap. Profiles without coordinates are
+ * not indexed.
+ *
+ * Areas come from /api/search as
+ *   near: { lat, lon, radiusKm }
+ *   bbox: [west, south, east, north]   (GeoJSON order; west > east crosses
+ *                                        the antimeridian)
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+const MAX_RADIUS_KM = 20000;
+
+function hasCoords(p) {
+  return p != null && Number.isFinite(p.latitude) && Number.isFinite(p.longitude);
+}
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// -------------------------------------------------------------------
+// Request parsing
+// -------------------------------------------------------------------
+
+/**
+ * Validate `near`/`bbox` from a request body. Returns { area } with a
+ * normalized area (or null when neither is given), or { error }.
+ */
+function parseArea(near, bbox) {
+  if (near != null) {
+    const lat = Number(near.lat);
+    const lon = Number(near.lon);
+    const radiusKm = Number(near.radiusKm);
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+      return { error: "near needs lat (-90..90) and lon (-180..180)" };
+    }
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return { error: `near.radiusKm must be between 0 and ${MAX_RADIUS_KM}` };
+    }
+    return { area: { type: "near", lat, lon, radiusKm } };
+  }
+
+  if (bbox != null) {
+    const nums = Array.isArray(bbox) ? bbox.map(Number) : [];
+    const [west, south, east, north] = nums;
+    if (nums.length !== 4 || !nums.every(Number.isFinite) ||
+        west < -180 || west > 180 || east < -180 || east > 180 ||
+        south < -90 || north > 90 || south > north) {
+      return { error: "bbox must be [west, south, east, north] in degrees" };
+    }
+    return { area: { type: "bbox", west, south, east, north } };
+  }
+
+  return { area: null };
+}
+
+function lonSpan(west, east) {
+  return west <= east ? east - west : east + 360 - west;
+}
+
+// Point distances are measured from: the `near` point, or the bbox centre
+function areaCenter(area) {
+  if (area.type === "near") return { lat: area.lat, lon: area.lon };
+  let lon = area.west + lonSpan(area.west, area.east) / 2;
+  if (lon > 180) lon -= 360;
+  return { lat: (area.south + area.north) / 2, lon };
+}
+
+// Distance scale for ranking: the radius, or half the bbox diagonal
+function areaScaleKm(area) {
+  if (area.type === "near") return area.radiusKm;
+  const c = areaCenter(area);
+  return Math.max(1, haversineKm(c.lat, c.lon, area.north, area.west));
+}
+
+function inArea(p, area) {
+  if (!hasCoords(p)) return false;
+  if (area.type === "near") return haversineKm(area.lat, area.lon, p.latitude, p.longitude) <= area.radiusKm;
+  if (p.latitude < area.south || p.latitude > area.north) return false;
+  return area.west <= area.east
+    ? p.longitude >= area.west && p.longitude <= area.east
+    : p.longitude >= area.west || p.longitude <= area.east;
+}
+
+// -------------------------------------------------------------------
+// Grid index
+// -------------------------------------------------------------------
+
+const latCellOf = (lat) => Math.min(89, Math.floor(lat));
+const lonCellOf = (lon) => Math.min(179, Math.floor(lon));
+const cellKey = (latCell, lonCell) => latCell * 1000 + lonCell;
+
+function buildSpatialIndex(profiles) {
+  const cells = new Map();
+  for (let i = 0; i < profiles.length; i++) {
+    const p = profiles[i];
+    if (!hasCoords(p)) continue;
+    const key = cellKey(latCellOf(p.latitude), lonCellOf(p.longitude));
+    let list = cells.get(key);
+    if (!list) cells.set(key, list = []);
+    list.push(i);
+  }
+  return { profiles, cells };
+}
+
+// Longitude cells from west to east, wrapping at the antimeridian
+function lonCells(west, east) {
+  if (lonSpan(west, east) >= 359) {
+    const all = [];
+    for (let c = -180; c < 180; c++) all.push(c);
+    return all;
+  }
+  const out = [];
+  let c = lonCellOf(west);
+  const last = lonCellOf(east);
+  for (let n = 0; n <= 360; n++) {
+    out.push(c);
+    if (c === last) break;
+    c = c >= 179 ? -180 : c + 1;
+  }
+  return out;
+}
+
+// Lat/lon rectangle that contains the area
+function areaBounds(area) {
+  if (area.type === "bbox") return area;
+  const dLat = area.radiusKm / KM_PER_DEGREE;
+  const south = Math.max(-90, area.lat - dLat);
+  const north = Math.min(90, area.lat + dLat);
+  const maxAbsLat = Math.max(Math.abs(south), Math.abs(north));
+  const cosLat = Math.cos(maxAbsLat * Math.PI / 180);
+  if (north >= 90 || south <= -90 || cosLat < 1e-6) return { west: -180, south, east: 180, north };
+  const dLon = area.radiusKm / (KM_PER_DEGREE * cosLat);
+  if (dLon >= 180) return { west: -180, south, east: 180, north };
+  const wrap = (lon) => lon < -180 ? lon + 360 : lon > 180 ? lon - 360 : lon;
+  return { west: wrap(area.lon - dLon), south, east: wrap(area.lon + dLon), north };
+}
+
+// Indices of indexed profiles inside the area, ascending
+function queryArea(index, area) {
+  const b = areaBounds(area);
+  const lons = lonCells(b.west, b.east);
+  const found = [];
+  for (let latCell = latCellOf(b.south); latCell <= latCellOf(b.north); latCell++) {
+    for (const lonCell of lons) {
+      const list = index.cells.get(cellKey(latCell, lonCell));
+      if (!list) continue;
+      for (const idx of list) {
+        if (inArea(index.profiles[idx], area)) found.push(idx);
+      }
+    }
+  }
+  return found.sort((a, b) => a - b);
+}
+
+module.exports = {
+  hasCoords,
+  haversineKm,
+  parseArea,
+  areaCenter,
+  areaScaleKm,
+  inArea,
+  buildSpatialIndex,
+  queryArea,
+};
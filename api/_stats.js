@@ -1,5 +1,7 @@
 const fs = require("fs");
 const path = require("path");
+const { normalizeCountry } = require("./_gazetteer");
+const { countBySource } = require("./_sources");
 
 let _stats = null;
 
@@ -9,10 +11,11 @@ function getStats() {
   try {
     const filePath = path.join(__dirname, "..", "public", "data", "profiles-meta.json");
     const profiles = JSON.parse(fs.readFileSync(filePath, "utf-8"));
-    const countries = new Set(profiles.map((p) => p.country).filter(Boolean));
-    _stats = { totalProfiles: profiles.length, totalCountries: countries.size };
+    // country_code comes from merge-profiles.js; older data only has free text
+    const countries = new Set(profiles.map((p) => p.country_code !== undefined ? p.country_code : normalizeCountry(p.country)?.code).filter(Boolean));
+    _stats = { totalProfiles: profiles.length, totalCountries: countries.size, sources: countBySource(profiles) };
   } catch {
-    _stats = { totalProfiles: 21955, totalCountries: 130 };
+    _stats = { totalProfiles: 21955, totalCountries: 130, sources: [] };
   }
 
   return _stats;
@@ -0,0 +1,263 @@
+/**
+ * Query understanding behind /api/understand (Vercel function and
+ * server/index.js): turns a chat message into the search the client should
+ * run. The model answers in the UNDERSTANDING_SCHEMA shape (structured
+ * output, see api/_llm.js); validateUnderstanding() checks and coerces what
+ * comes back, and any failure falls back to ruleBasedUnderstanding().
+ *
+ * ruleBasedUnderstanding() is also the whole of understanding when no LLM is
+ * configured. It is deterministic: greetings, thanks and questions about the
+ * tool get a canned reply; everything else is read with the same place and
+ * topic extraction as plain search, minus filler ("show me all", "how
+ * many", "do you have… in your data"). Follow-ups ("what about Berlin?",
+ * "and food banks?") borrow the missing topic or place from the earlier user
+ * turns, and topic words the directory never uses map to the nearest
+ * category in TAG_CATEGORIES ("bakery" -> farm shops).
+ *
+ * An understanding is { action, geo, topic, queryType, showAll } plus
+ * chatResponse when action is "chat".
+ */
+
+const { complete } = require("./_llm");
+const { extractGeoTerms, extractTopicWords, hasKeywordMatches } = require("./_search");
+const { TAG_CATEGORIES } = require("./_facets");
+const { porterStem } = require("./_bm25");
+
+const ACTIONS = ["search", "chat", "agent"];
+const QUERY_TYPES = ["geo-only", "topic-only", "geo+topic"];
+
+// Strict-mode JSON schema: every property required, none extra
+const UNDERSTANDING_SCHEMA = {
+  type: "object",
+  properties: {
+    action: { type: "string", enum: ACTIONS },
+    geo: { type: "array", items: { type: "string" }, description: "Standard place names, or [] for anywhere." },
+    topic: { type: "string", description: "Search terms without places or filler, or \"\"." },
+    queryType: { type: "string", enum: QUERY_TYPES },
+    showAll: { type: "boolean" },
+    chatResponse: { type: "string", description: "The reply when action is \"chat\", otherwise \"\"." },
+  },
+  required: ["action", "geo", "topic", "queryType", "showAll", "chatResponse"],
+  additionalProperties: false,
+};
+
+function queryTypeOf(geo, topic) {
+  if (geo.length > 0) return topic ? "geo+topic" : "geo-only";
+  return "topic-only";
+}
+
+// -------------------------------------------------------------------
+// Validation
+// -------------------------------------------------------------------
+
+function toBoolean(value, field) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === "boolean") return value;
+  if (value === "true" || value === "false") return value === "true";
+  throw new Error(`${field} is not a boolean`);
+}
+
+function toText(value, field) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "string") return value.trim();
+  if (Array.isArray(value) && value.every((v) => typeof v === "string")) return value.join(" ").trim();
+  throw new Error(`${field} is not a string`);
+}
+
+function toPlaces(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  const seen = new Set();
+  const places = [];
+  for (const item of list) {
+    if (typeof item !== "string") throw new Error("geo contains a non-string");
+    const place = item.trim();
+    if (!place || seen.has(place.toLowerCase())) continue;
+    seen.add(place.toLowerCase());
+    places.push(place);
+  }
+  return places;
+}
+
+/**
+ * Check a model's understanding against the schema, coercing near misses:
+ * a single place for a list, "true" for true, a missing optional field, a
+ * queryType that contradicts geo and topic (it is always derived from
+ * them). Returns { value } or { error } describing the first problem.
+ */
+function validateUnderstanding(raw) {
+  try {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("not a JSON object");
+
+    const action = typeof raw.action === "string" ? raw.action.trim().toLowerCase() : raw.action;
+    if (!ACTIONS.includes(action)) throw new Error(`action ${JSON.stringify(action)} is not one of ${ACTIONS.join(", ")}`);
+
+    const geo = toPlaces(raw.geo);
+    const topic = toText(raw.topic, "topic");
+    const showAll = toBoolean(raw.showAll, "showAll");
+    const value = { action, geo, topic, queryType: queryTypeOf(geo, topic), showAll };
+
+    if (action === "chat") {
+      value.chatResponse = toText(raw.chatResponse, "chatResponse");
+      if (!value.chatResponse) throw new Error("chat action without a chatResponse");
+    } else if (action === "search" && geo.length === 0 && !topic) {
+      throw new Error("search without geo or topic");
+    }
+    if (raw.queryType !== undefined && raw.queryType !== value.queryType) {
+      console.warn(`[understand] queryType ${JSON.stringify(raw.queryType)} corrected to ${value.queryType}`);
+    }
+    return { value };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// -------------------------------------------------------------------
+// Rule-based understanding
+// -------------------------------------------------------------------
+
+const CHAT_REPLIES = [
+  {
+    pattern: /^(hi|hello|hey|hiya|howdy|greetings|good (morning|afternoon|evening))( there| cobot)?$/,
+    reply: "Hi! Tell me a topic or a place, like \"repair cafes in Berlin\", and I'll find organisations for you.",
+  },
+  {
+    pattern: /^(thanks|thank you|thanks a lot|cheers|cool|great|nice|awesome|perfect|ok|okay)( thanks| cobot)?$/,
+    reply: "You're welcome. Search again any time, for example \"community gardens\" or \"food co-ops in Leeds\".",
+  },
+  {
+    pattern: /^(help|what is this|whats this|what are you|who are you|what can you do|what do you do|how does (this|it) work)$/,
+    reply: "I search a directory of co-ops, commons and community organisations. Ask for a topic, a place or both, like \"repair cafes in Berlin\".",
+  },
+];
+
+// Words that say how to search rather than what for
+const FILLER = new Set([
+  "try", "okay", "instead", "again", "more", "else", "other", "others", "data", "directory", "database",
+  "exist", "exists", "hello", "thanks", "cobot", "worldwide", "anywhere", "everywhere", "globally",
+]);
+
+// A turn that refines the previous search rather than starting a new one
+const FOLLOW_UP = /^(and|also|what about|how about|what of|same|any)\b|^(in|near|around|across|from)\b/;
+const NEW_SEARCH = /\b(try|instead|new search|something else)\b/;
+
+// Words the directory may never use -> the closest TAG_CATEGORIES tag
+const OFF_CATEGORY = {
+  "farm shop": ["bakery", "butcher", "greengrocer", "grocer", "grocery", "vegetables", "eggs", "dairy", "cheese"],
+  "organic shop": ["supermarket", "wholefoods"],
+  "health food shop": ["vitamins", "supplements"],
+  "second hand shop": ["thrift", "secondhand", "vintage", "preloved"],
+  "charity shop": ["charity", "donations"],
+  "zero waste": ["refill", "plastic", "recycling"],
+  "repair cafe": ["fix", "fixing", "mending", "broken"],
+  "bike workshop": ["bike", "bicycle", "cycling", "cyclists"],
+  "tool library": ["tools", "drill", "diy"],
+  "makerspace": ["fablab", "printing", "electronics", "woodwork", "crafts"],
+  "hackerspace": ["hacking", "hackers", "coding", "programming"],
+  "coworking": ["office", "desk", "freelance", "freelancers"],
+  "food bank": ["hunger", "hungry", "meals", "homeless"],
+  "vegetarian restaurant": ["restaurant", "eating", "lunch", "dinner"],
+  "national park": ["hiking", "hike", "trails", "mountains", "outdoors"],
+  "nature reserve": ["nature", "wetlands", "woods", "forest"],
+  "wildlife sanctuary": ["animals", "wildlife", "rescue"],
+  "bird hide": ["birds", "birding"],
+  "eco campsite": ["camping", "campsite", "glamping", "tent"],
+  "botanical garden": ["plants", "flowers", "botany"],
+  "give box": ["giveaway", "freebies", "swap"],
+  "social centre": ["gym", "fitness", "sports", "meetups"],
+  "ngo": ["nonprofit", "volunteering", "volunteer"],
+};
+
+// Word stem -> category label
+const CATEGORY_BY_STEM = new Map();
+for (const [tag, words] of Object.entries(OFF_CATEGORY)) {
+  for (const word of words) CATEGORY_BY_STEM.set(porterStem(word), TAG_CATEGORIES[tag]);
+}
+
+// Topic words, with ones that match nothing in the directory replaced by
+// their category
+function mapOffCategory(words) {
+  const out = [];
+  for (const word of words) {
+    const category = hasKeywordMatches(word) ? null : CATEGORY_BY_STEM.get(porterStem(word));
+    const term = category || word;
+    if (!out.includes(term)) out.push(term);
+  }
+  return out.join(" ");
+}
+
+// One user turn, read on its own or as a refinement of `previous`
+function readTurn(message, previous) {
+  const text = message.toLowerCase().replace(/[’']/g, "").replace(/[?!.,;:()"“”]/g, " ").replace(/\s+/g, " ").trim();
+
+  const chat = CHAT_REPLIES.find((c) => c.pattern.test(text));
+  if (chat) return { action: "chat", geo: [], topic: "", queryType: "topic-only", showAll: false, chatResponse: chat.reply };
+
+  let geo = extractGeoTerms(text);
+  let topic = mapOffCategory(extractTopicWords(text, geo).filter((w) => !FILLER.has(w)));
+
+  if (previous && FOLLOW_UP.test(text) && !NEW_SEARCH.test(text)) {
+    if (geo.length > 0 && !topic) topic = previous.topic;        // "what about Berlin?"
+    else if (topic && geo.length === 0) geo = previous.geo;      // "and food banks?"
+    else if (!topic && geo.length === 0) ({ geo, topic } = previous);
+  }
+  if (geo.length === 0 && !topic) topic = message.trim();
+
+  return { action: "search", geo, topic, queryType: queryTypeOf(geo, topic), showAll: geo.length > 0 && !topic };
+}
+
+/**
+ * Understand `message` without an LLM. `history` is the earlier
+ * { role, content } turns; its user messages are read in order so a
+ * follow-up builds on the search the conversation had reached.
+ */
+function ruleBasedUnderstanding(message, history = []) {
+  let previous = null;
+  for (const turn of history) {
+    if (turn.role !== "user" || typeof turn.content !== "string") continue;
+    const read = readTurn(turn.content, previous);
+    if (read.action === "search") previous = read;
+  }
+  return readTurn(message, previous);
+}
+
+// -------------------------------------------------------------------
+// Understanding
+// -------------------------------------------------------------------
+
+/**
+ * Understand `message` in the context of `history` ({ role, content }
+ * turns) with the model, using `system` as the prompt. Resolves to
+ * { understanding, failure }: on an LLM error or an invalid answer,
+ * `understanding` is the rule-based one and `failure` says what went wrong.
+ */
+async function understandMessage({ message, history = [], system }) {
+  const messages = history.slice(-6).map((m) => ({ role: m.role, content: m.content }));
+  messages.push({ role: "user", content: message });
+
+  let failure;
+  try {
+    const result = await complete({
+      purpose: "understand",
+      system,
+      messages,
+      maxTokens: 200,
+      schema: { name: "understanding", description: "What the user wants searched.", schema: UNDERSTANDING_SCHEMA },
+    });
+    console.log("[understand]", { message, response: result.data ?? result.text, historyLength: messages.length });
+    if (result.data === undefined) {
+      failure = "no JSON in response";
+    } else {
+      const { value, error } = validateUnderstanding(result.data);
+      if (value) return { understanding: value, failure: null };
+      failure = `invalid response: ${error}`;
+    }
+  } catch (err) {
+    failure = err.message;
+  }
+
+  console.error("[understand] Falling back to rules:", failure);
+  return { understanding: ruleBasedUnderstanding(message, history), failure };
+}
+
+module.exports = { UNDERSTANDING_SCHEMA, validateUnderstanding, ruleBasedUnderstanding, understandMessage };
@@ -1,3 +1,5 @@
+const { normalizeSubmittedProfile } = require("./_overlay");
+
 module.exports = async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
@@ -32,22 +34,7 @@ module.exports = async function handler(req, res) {
   }
 
   // Normalize fields to match our schema
-  const geo = profileData.geolocation || {};
-  const tags = profileData.tags || profileData.keywords || [];
-  const profile = {
-    profile_url: url,
-    name: profileData.name || profileData.title || "Unknown",
-    description: profileData.description || profileData.mission || null,
-    latitude: geo.lat != null ? Number(geo.lat) : (profileData.latitude != null ? Number(profileData.latitude) : null),
-    longitude: geo.lon != null ? Number(geo.lon) : (profileData.longitude != null ? Number(profileData.longitude) : null),
-    locality: profileData.locality || null,
-    region: profileData.region || null,
-    country: profileData.country_name || profileData.country || null,
-    tags: Array.isArray(tags) ? tags : [],
-    primary_url: profileData.primary_url || profileData.url || null,
-    image: profileData.image || null,
-    source: "user-submitted",
-  };
+  const profile = normalizeSubmittedProfile(url, profileData);
 
   // On Vercel we can't write to the filesystem or run a local embedding model.
   // Return the profile so the client can embed it in-browser and store in localStorage.
@@ -1,4 +1,4 @@
-const { getQueryLogs } = require("./_log");
+const { getQueryLogs, getLlmUsage } = require("./_log");
 const { Redis } = require("@upstash/redis");
 
 const REPORTS_KEY = "cobot:reports";
@@ -35,8 +35,9 @@ module.exports = async function handler(req, res) {
   const tab = req.query?.tab || "queries";
   const logs = tab === "queries" ? await getQueryLogs(500) : [];
   const reports = tab === "reports" ? await getReports() : [];
+  const usage = tab === "llm" ? await getLlmUsage() : [];
 
-  res.status(200).send(adminPage(logs, reports, tab));
+  res.status(200).send(adminPage(logs, reports, tab, usage));
 };
 
 function parseCookie(cookieHeader, name) {
@@ -116,7 +117,41 @@ function buildReportsTab(reports) {
   return html;
 }
 
-function adminPage(logs, reports, activeTab) {
+function buildUsageTab(usage) {
+  const totals = { calls: 0, failed: 0, input: 0, output: 0 };
+  const rows = [];
+  for (const day of usage) {
+    for (const [purpose, u] of Object.entries(day.purposes)) {
+      for (const k of Object.keys(totals)) totals[k] += u[k] || 0;
+      rows.push('<tr>'
+        + '<td>' + esc(day.date) + '</td>'
+        + '<td>' + esc(purpose) + '</td>'
+        + '<td>' + (u.calls || 0) + '</td>'
+        + '<td>' + (u.failed || 0) + '</td>'
+        + '<td>' + (u.input || 0).toLocaleString() + '</td>'
+        + '<td>' + (u.output || 0).toLocaleString() + '</td>'
+        + '</tr>');
+    }
+  }
+
+  let html = '<div class="summary">'
+    + '<div class="stat"><strong>' + totals.calls + '</strong>LLM calls (14 days)</div>'
+    + '<div class="stat"><strong>' + totals.failed + '</strong>Failed</div>'
+    + '<div class="stat"><strong>' + totals.input.toLocaleString() + '</strong>Input tokens</div>'
+    + '<div class="stat"><strong>' + totals.output.toLocaleString() + '</strong>Output tokens</div>'
+    + '</div>';
+
+  if (rows.length === 0) {
+    html += '<div class="empty">No LLM usage recorded yet.</div>';
+  } else {
+    html += '<table><thead><tr>'
+      + '<th>Date</th><th>Purpose</th><th>Calls</th><th>Failed</th><th>Input tokens</th><th>Output tokens</th>'
+      + '</tr></thead><tbody>' + rows.join("") + '</tbody></table>';
+  }
+  return html;
+}
+
+function adminPage(logs, reports, activeTab, usage) {
   const now = new Date();
   const last24h = logs.filter(l => (now - new Date(l.ts)) < 86400000);
   const lastHour = logs.filter(l => (now - new Date(l.ts)) < 3600000);
@@ -125,7 +160,7 @@ function adminPage(logs, reports, activeTab) {
 
   const queryRows = logs.map(l => '<tr>'
     + '<td>' + esc(l.ts ? l.ts.slice(0, 19).replace("T", " ") : "") + '</td>'
-    + '<td><span class="qtype qtype-' + esc(l.type) + '">' + esc(l.type) + '</span></td>'
+    + '<td><span class="qtype qtype-' + esc(l.type) + '"' + (l.error ? ' title="' + esc(l.error) + '"' : '') + '>' + esc(l.type) + '</span></td>'
     + '<td title="' + esc(l.query) + '">' + esc(truncate(l.query, 60)) + '</td>'
     + '<td>' + esc(Array.isArray(l.geo) ? l.geo.join(", ") : (l.geo || "")) + '</td>'
     + '<td>' + esc(l.queryType) + '</td>'
@@ -150,12 +185,15 @@ function adminPage(logs, reports, activeTab) {
         + '<th>Time</th><th>Type</th><th>Query</th><th>Location</th><th>Query Type</th><th>Results</th><th>IP</th>'
         + '</tr></thead><tbody>' + queryRows + '</tbody></table>';
     }
+  } else if (activeTab === "llm") {
+    tabContent = buildUsageTab(usage);
   } else {
     tabContent = buildReportsTab(reports);
   }
 
   const queriesActive = activeTab === "queries" ? " active" : "";
   const reportsActive = activeTab === "reports" ? " active" : "";
+  const llmActive = activeTab === "llm" ? " active" : "";
 
   return '<!DOCTYPE html>\n<html lang="en">\n<head>\n'
     + '<meta charset="UTF-8">\n'
@@ -183,6 +221,8 @@ function adminPage(logs, reports, activeTab) {
     + '.qtype { padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; }\n'
     + '.qtype-chat { background: #1a2e22; color: #6bc88a; }\n'
     + '.qtype-search { background: #1a2230; color: #6ba8c8; }\n'
+    + '.qtype-agent { background: #2a1a30; color: #b88ad4; }\n'
+    + '.qtype-understand_failed { background: #3a1a1a; color: #e87070; cursor: help; }\n'
     + '.qtype-dead_link { background: #3a1a1a; color: #e87070; }\n'
     + '.qtype-irrelevant { background: #3a3010; color: #d4a940; }\n'
     + '.qtype-feedback { background: #1a2e22; color: #6bc88a; }\n'
@@ -197,6 +237,7 @@ function adminPage(logs, reports, activeTab) {
     + '<div class="tabs">\n'
     + '<a href="/api/admin?tab=queries" class="tab' + queriesActive + '">Query Log</a>\n'
     + '<a href="/api/admin?tab=reports" class="tab' + reportsActive + '">Reports</a>\n'
+    + '<a href="/api/admin?tab=llm" class="tab' + llmActive + '">LLM Usage</a>\n'
     + '</div>\n'
     + tabContent
     + '\n<script>\n'
@@ -0,0 +1,46 @@
+const { getStats } = require("./_stats");
+const { logQuery } = require("./_log");
+const { llmAvailable } = require("./_llm");
+const { runAgent } = require("./_agent");
+const { setPenalties } = require("./_search");
+const { getPenalties } = require("./_penalties");
+
+// Chat with tools: several searches per turn (see api/_agent.js)
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!llmAvailable()) {
+    return res.status(501).json({ error: "No LLM configured — chat mode needs ANTHROPIC_API_KEY or LLM_BASE_URL. Switch to Search mode." });
+  }
+
+  const { query, history = [], userProfiles } = req.body;
+  if (!query || typeof query !== "string") {
+    return res.status(400).json({ error: "Missing query" });
+  }
+
+  setPenalties(await getPenalties());
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+  try {
+    const { profiles, toolCalls } = await runAgent({ query, history, userProfiles, stats: getStats(), send });
+    logQuery({
+      type: "agent",
+      query,
+      topic: toolCalls.map((c) => c.input.topic).filter(Boolean).join("; "),
+      queryType: toolCalls.map((c) => c.name).join(","),
+      resultCount: profiles.length,
+      ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
+    }).catch(() => {});
+    res.write("data: [DONE]\n\n");
+  } catch (err) {
+    console.error("[chat-agent] Error:", err.message);
+    send({ error: err.message });
+  }
+  res.end();
+};
@@ -1,3 +1,7 @@
+const { llmAvailable } = require("./_llm");
+
+// Chat works without an LLM (rule-based understanding); `llm` says whether
+// answers are written by a model
 module.exports = async function handler(req, res) {
-  res.json({ available: !!process.env.ANTHROPIC_API_KEY });
+  res.json({ available: true, llm: llmAvailable() });
 };
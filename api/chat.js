@@ -1,13 +1,9 @@
-const Anthropic = require("@anthropic-ai/sdk");
+const { llmAvailable, stream } = require("./_llm");
+const { citationStream } = require("./_citations");
 const { getStats } = require("./_stats");
 const { logQuery } = require("./_log");
-
-// Lazy-import the search module for internal search
-let searchModule = null;
-function getSearchModule() {
-  if (!searchModule) searchModule = require("./search");
-  return searchModule;
-}
+const { search, setPenalties } = require("./_search");
+const { getPenalties } = require("./_penalties");
 
 function buildSystemPrompt() {
   const { totalProfiles, totalCountries } = getStats();
@@ -15,7 +11,7 @@ function buildSystemPrompt() {
 
 The user searches by talking to you. Their messages trigger searches automatically and you see the results below. You ARE the search tool — never tell users to "visit the Murmurations website" or "search directly." Never say you "don't have access" to data. NEVER refer users to Google, Google Maps, or any external search engine. If you can't find what they want, suggest a related search using terms you do have data for.
 
-The user sees 5 result cards and a map below your message, with 20 total results they can scroll through — don't repeat what's visible there.
+The user sees 5 result cards and a map below your message, with 20 total results they can scroll through — don't repeat what's visible there. The cards are numbered like the results you see: when you mention one of those organisations, cite its number in square brackets like [2]. Only cite numbers from the results.
 
 STRICT LIMIT: 30 words or fewer. One or two short sentences only. Plain text. No emoji. No markdown. Talk like a knowledgeable friend.
 
@@ -31,31 +27,19 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    return res.status(501).json({ error: "No ANTHROPIC_API_KEY configured — chat mode requires an API key. Switch to Search mode." });
+  if (!llmAvailable()) {
+    return res.status(501).json({ error: "No LLM configured — chat mode needs ANTHROPIC_API_KEY or LLM_BASE_URL. Switch to Search mode." });
   }
 
   try {
-    const { query, geo, topic, queryType: reqQueryType, showAll, geoNote: reqGeoNote, history = [] } = req.body;
+    const { query, geo, topic, queryType: reqQueryType, showAll, geoNote: reqGeoNote, history = [], userProfiles } = req.body;
     if (!query || typeof query !== "string") {
       return res.status(400).json({ error: "Missing query" });
     }
 
-    // Run search internally via a mock req/res to reuse the search endpoint
-    const searchResults = await new Promise((resolve, reject) => {
-      const mockReq = {
-        method: "POST",
-        body: { query, geo, topic, queryType: reqQueryType, showAll },
-        headers: req.headers || {},
-        socket: req.socket,
-      };
-      const mockRes = {
-        status: (code) => ({ json: (data) => reject(new Error(data.error || "Search failed")) }),
-        json: (data) => resolve(data),
-      };
-      getSearchModule()(mockReq, mockRes).catch(reject);
-    });
+    // Run the same search the client ran, to give the LLM the top results
+    setPenalties(await getPenalties());
+    const searchResults = await search({ query, geo, topic, queryType: reqQueryType, showAll, userProfiles });
 
     const profileList = searchResults.results.slice(0, 8);
     const total = searchResults.totalResults || profileList.length;
@@ -93,19 +77,11 @@ module.exports = async function handler(req, res) {
     messages.push({ role: "user", content: userMessage });
 
     const systemPrompt = buildSystemPrompt();
-    const client = new Anthropic();
 
     res.setHeader("Content-Type", "text/event-stream");
     res.setHeader("Cache-Control", "no-cache");
     res.setHeader("Connection", "keep-alive");
 
-    const stream = client.messages.stream({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 120,
-      system: systemPrompt,
-      messages,
-    });
-
     logQuery({
       type: "chat",
       query,
@@ -116,20 +92,27 @@ module.exports = async function handler(req, res) {
       ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
     }).catch(() => {});
 
-    stream.on("text", (text) => {
-      res.write(`data: ${JSON.stringify({ text })}\n\n`);
-    });
-
-    stream.on("end", () => {
+    // Only refs to the profiles listed above become citations
+    const answer = citationStream(
+      (ref) => profileList[ref - 1],
+      (event) => res.write(`data: ${JSON.stringify(event)}\n\n`)
+    );
+    try {
+      await stream({
+        purpose: "chat",
+        system: systemPrompt,
+        messages,
+        maxTokens: 120,
+        onText: (text) => answer.write(text),
+      });
+      const { rejected } = answer.end();
+      if (rejected.length > 0) console.warn(`[chat] Rejected citations: ${rejected.join(", ")}`);
       res.write("data: [DONE]\n\n");
-      res.end();
-    });
-
-    stream.on("error", (err) => {
+    } catch (err) {
       console.error("[chat] Stream error:", err.message);
       res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
-      res.end();
-    });
+    }
+    res.end();
   } catch (err) {
     console.error("[chat] Error:", err.message);
     if (!res.headersSent) {
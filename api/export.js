@@ -0,0 +1,46 @@
+const { logQuery } = require("./_log");
+const { searchAll, setPenalties } = require("./_search");
+const { getPenalties } = require("./_penalties");
+const { parseArea } = require("./_spatial");
+const { exportFormat, streamExport } = require("./_export");
+
+// Every match of a search (same body as /api/search) as CSV, GeoJSON or JSON-LD
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { query, geo, topic, queryType, showAll, near, bbox, filters, userProfiles } = req.body;
+    const format = exportFormat(req.query?.format || req.body.format);
+    if (!format) {
+      return res.status(400).json({ error: "format must be csv, geojson or jsonld" });
+    }
+    const { area, error: areaError } = parseArea(near, bbox);
+    if (areaError) {
+      return res.status(400).json({ error: areaError });
+    }
+    if (!query && !topic && (!geo || geo.length === 0) && !area) {
+      return res.status(400).json({ error: "Missing query" });
+    }
+
+    setPenalties(await getPenalties());
+    const found = await searchAll({ query, geo, topic, queryType, showAll, area, filters, userProfiles });
+
+    logQuery({
+      type: "export",
+      query: query || "",
+      geo: found.geoTerms,
+      topic: topic || query || "",
+      queryType: found.queryType,
+      resultCount: found.totalResults,
+      ip: req.headers?.["x-forwarded-for"] || req.socket?.remoteAddress,
+    }).catch(() => {});
+
+    await streamExport(res, format, found.results, { query, total: found.totalResults });
+  } catch (err) {
+    console.error("[export] Error:", err.message);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: `Export failed: ${err.message}` });
+  }
+};
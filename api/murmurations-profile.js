@@ -0,0 +1,19 @@
+const { getProfileById } = require("./_search");
+const { isPublishable, toMurmurationsProfile } = require("./_murmurations");
+
+// organizations_schema-v1.0.0 document for /profiles/:id.json (rewritten
+// here by vercel.json)
+module.exports = function handler(req, res) {
+  try {
+    const profile = getProfileById(String(req.query.id || ""));
+    if (!isPublishable(profile)) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cache-Control", "public, max-age=3600, s-maxage=86400");
+    res.json(toMurmurationsProfile(profile));
+  } catch (err) {
+    console.error("Murmurations profile error:", err);
+    res.status(500).json({ error: "Could not load profile" });
+  }
+};
@@ -0,0 +1,20 @@
+const { getProfileById, setPenalties } = require("./_search");
+const { getPenalties } = require("./_penalties");
+const { similarNearby, renderOrgPage, renderNotFoundPage } = require("./_org");
+
+// Server-rendered organisation page (/org/:id is rewritten here by vercel.json)
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  try {
+    const profile = getProfileById(String(req.query.id || ""));
+    if (!profile) {
+      return res.status(404).send(renderNotFoundPage());
+    }
+    setPenalties(await getPenalties());
+    res.setHeader("Cache-Control", "public, max-age=3600, s-maxage=86400");
+    res.send(renderOrgPage(profile, similarNearby(profile)));
+  } catch (err) {
+    console.error("Org page error:", err);
+    res.status(500).send("Could not load this organisation");
+  }
+};
@@ -1,3 +1,5 @@
+const { getPenalties } = require("./_penalties");
+
 module.exports = async function handler(req, res) {
-  res.json({});
+  res.json(await getPenalties());
 };
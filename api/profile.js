@@ -0,0 +1,19 @@
+const { getProfileById, setPenalties } = require("./_search");
+const { getPenalties } = require("./_penalties");
+const { similarNearby } = require("./_org");
+
+// One organisation by stable id, with similar organisations nearby
+// (/api/profile/:id is rewritten here by vercel.json)
+module.exports = async function handler(req, res) {
+  try {
+    const profile = getProfileById(String(req.query.id || ""));
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+    setPenalties(await getPenalties());
+    res.json({ profile, similar: similarNearby(profile) });
+  } catch (err) {
+    console.error("Profile error:", err);
+    res.status(500).json({ error: "Could not load profile" });
+  }
+};
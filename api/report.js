@@ -1,4 +1,5 @@
 const { Redis } = require("@upstash/redis");
+const { invalidatePenalties } = require("./_penalties");
 
 const REPORTS_KEY = "cobot:reports";
 const MAX_REPORTS = 1000;
@@ -38,6 +39,7 @@ module.exports = async function handler(req, res) {
     try {
       await r.lpush(REPORTS_KEY, JSON.stringify(report));
       await r.ltrim(REPORTS_KEY, 0, MAX_REPORTS - 1);
+      invalidatePenalties();
     } catch (err) {
       console.error("[report] Redis error:", err.message);
     }
@@ -1,4 +1,5 @@
 const { Redis } = require("@upstash/redis");
+const { invalidatePenalties } = require("./_penalties");
 
 const REPORTS_KEY = "cobot:reports";
 
@@ -28,6 +29,7 @@ module.exports = async function handler(req, res) {
         if (filtered.length > 0) {
           await r.rpush(REPORTS_KEY, ...filtered.map(e => typeof e === "string" ? e : JSON.stringify(e)));
         }
+        invalidatePenalties();
       } catch (err) {
         console.error("[reports] Delete error:", err.message);
       }
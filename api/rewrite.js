@@ -1,4 +1,4 @@
-const Anthropic = require("@anthropic-ai/sdk");
+const { llmAvailable, complete } = require("./_llm");
 
 const REWRITE_PROMPT = `You rewrite user messages into search queries for an organisation directory. Output ONLY the search terms — no explanation, no quotes.
 
@@ -44,8 +44,7 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+  if (!llmAvailable()) {
     return res.json({ query: req.body.query, isChat: false });
   }
 
@@ -61,15 +60,9 @@ module.exports = async function handler(req, res) {
     }
     messages.push({ role: "user", content: query });
 
-    const client = new Anthropic();
-    const message = await client.messages.create({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 60,
-      system: REWRITE_PROMPT,
-      messages,
-    });
+    const result = await complete({ purpose: "rewrite", system: REWRITE_PROMPT, messages, maxTokens: 60 });
 
-    const rewritten = (message.content[0]?.text || query).trim().replace(/^["']|["']$/g, "");
+    const rewritten = (result.text || query).trim().replace(/^["']|["']$/g, "");
 
     console.log('[rewrite]', { original: query, rewritten, historyLength: messages.length });
 
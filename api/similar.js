@@ -0,0 +1,24 @@
+const { getProfileById, similarProfiles, setPenalties } = require("./_search");
+const { getPenalties } = require("./_penalties");
+const { parseSimilarQuery } = require("./_org");
+
+// Nearest neighbours of a profile's embedding, optionally in its country or
+// within a radius (/api/similar/:id?near=country|<km> is rewritten here by
+// vercel.json)
+module.exports = async function handler(req, res) {
+  try {
+    const profile = getProfileById(String(req.query.id || ""));
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+    const { options, error } = parseSimilarQuery(profile, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    setPenalties(await getPenalties());
+    res.json({ id: profile.id, name: profile.name, near: req.query.near || null, results: similarProfiles(profile.id, options) });
+  } catch (err) {
+    console.error("Similar error:", err);
+    res.status(500).json({ error: "Could not find similar profiles" });
+  }
+};
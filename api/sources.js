@@ -0,0 +1,12 @@
+const { getProfiles } = require("./_search");
+const { describeSources } = require("./_sources");
+
+// Data sources with licence, attribution, profile count and last fetch date
+module.exports = function handler(req, res) {
+  try {
+    res.json({ sources: describeSources(getProfiles()) });
+  } catch (err) {
+    console.error("Sources error:", err);
+    res.status(500).json({ error: "Could not load sources" });
+  }
+};
@@ -1,5 +1,7 @@
-const Anthropic = require("@anthropic-ai/sdk");
+const { llmAvailable } = require("./_llm");
 const { getStats } = require("./_stats");
+const { logQuery } = require("./_log");
+const { understandMessage, ruleBasedUnderstanding } = require("./_understand");
 
 function getUnderstandPrompt() {
   const { totalProfiles, totalCountries } = getStats();
@@ -11,18 +13,19 @@ Given the user's message and conversation history, determine what they want and
 
 Return this JSON structure:
 {
-  "action": "search" | "chat",
+  "action": "search" | "chat" | "agent",
   "geo": ["location1"] or [],
   "topic": "search terms" or "",
   "queryType": "geo-only" | "topic-only" | "geo+topic",
   "showAll": true | false,
-  "chatResponse": "only if action is chat, otherwise omit"
+  "chatResponse": "your reply if action is chat, otherwise \"\""
 }
 
 Rules:
 - action is "search" for ANY message that mentions a topic, category, type of org, or location. This tool exists to search. Default to search.
 - action is "chat" ONLY for pure greetings ("hi"), meta-questions about the tool ("what is this", "how does this work"), or feedback ("thanks", "cool")
 - NEVER set action to "chat" when the message contains a searchable noun
+- action is "agent" when one search can't answer the message: comparisons ("compare repair cafes in Berlin and Munich"), several topics or places at once ("food co-ops and community gardens near Leeds"), or counts across groups ("how many makerspaces in France vs Germany"). Fill geo/topic with the first part anyway.
 - geo: extract location names as standard place names — use city/town names ("London", "Berlin"), region names ("Yorkshire", "Bavaria"), or country names ("France", "Germany"). NEVER use informal sub-areas like "North London", "East Berlin", "South Wales" — use the main place name instead ("London", "Berlin", "Wales"). Resolve aliases: "UK" → ["England","Scotland","Wales","Northern Ireland"], "US"/"USA"/"america" → ["United States"], "deutschland" → ["Germany"], etc.
 - topic: extract the subject matter, ignoring location words and filler. If the user asks for something NOT in our categories, use the closest category as topic. "bakery" → topic: "food" or "farm shop". "gym" → topic: "community". Always search — never refuse because a category doesn't match exactly.
 - When the user says "show me all/everything" or "what have you got" with only a location, set showAll: true, queryType: "geo-only", topic: ""
@@ -41,51 +44,41 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    // No API key — treat as search with original message
-    return res.json({ action: "search", geo: [], topic: req.body.message, queryType: "topic-only", showAll: false });
+  const { message, history = [], sampleLocations = "" } = req.body;
+  if (!message || typeof message !== "string") {
+    return res.status(400).json({ error: "Missing message" });
   }
 
-  try {
-    const { message, history = [], sampleLocations = "" } = req.body;
-    if (!message || typeof message !== "string") {
-      return res.status(400).json({ error: "Missing message" });
+  // No LLM — understand the message with local rules
+  if (!llmAvailable()) {
+    try {
+      return res.json(ruleBasedUnderstanding(message, Array.isArray(history) ? history : []));
+    } catch (err) {
+      console.error("[understand] Error:", err.message);
+      return res.status(500).json({ error: `Understanding failed: ${err.message}` });
     }
+  }
 
-    const locationContext = sampleLocations
-      ? `\n\nKnown locations in the database (sample):\n${sampleLocations}`
-      : "";
-
-    const messages = [];
-    for (const msg of history.slice(-6)) {
-      messages.push({ role: msg.role, content: msg.content });
-    }
-    messages.push({ role: "user", content: message });
-
-    const client = new Anthropic();
-    const result = await client.messages.create({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 200,
-      system: getUnderstandPrompt() + locationContext,
-      messages,
-    });
-
-    const text = (result.content[0]?.text || "").trim();
-    console.log('[understand]', { message, response: text, historyLength: messages.length });
-
-    // Parse JSON from response
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      console.error('[understand] No JSON found:', text);
-      return res.json({ action: "search", geo: [], topic: message, queryType: "topic-only", showAll: false });
-    }
+  const locationContext = sampleLocations
+    ? `\n\nKnown locations in the database (sample):\n${sampleLocations}`
+    : "";
 
-    const parsed = JSON.parse(jsonMatch[0]);
-    res.json(parsed);
-  } catch (err) {
-    console.error("[understand] Error:", err.message);
-    // On error, fall through as search with original message
-    res.json({ action: "search", geo: [], topic: req.body.message, queryType: "topic-only", showAll: false });
+  // Never fails: a bad or missing model answer falls back to rules
+  const { understanding, failure } = await understandMessage({
+    message,
+    history: Array.isArray(history) ? history : [],
+    system: getUnderstandPrompt() + locationContext,
+  });
+  if (failure) {
+    logQuery({
+      type: "understand_failed",
+      query: message,
+      geo: understanding.geo,
+      topic: understanding.topic,
+      queryType: understanding.queryType,
+      error: failure,
+      ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
+    }).catch(() => {});
   }
+  res.json(understanding);
 };
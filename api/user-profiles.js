@@ -0,0 +1,5 @@
+// User-submitted profiles live in each visitor's localStorage on Vercel —
+// there's no shared store to list, so the client overlay is all there is.
+module.exports = async function handler(req, res) {
+  res.json([]);
+};
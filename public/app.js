@@ -5,6 +5,7 @@
 
 const DEBOUNCE_MS = 500;
 const RELEVANCE_THRESHOLD = 0.35;
+const USER_PROFILES_KEY = "murm-user-profiles";
 
 let mapPoints = [];
 let map = null;
@@ -13,32 +14,60 @@ let resultMarkers = [];
 let popup = null;
 let currentMode = "chat";
 let chatAvailable = false;
+let chatLlm = false;   // chat answers written by a model, not just rule-based
 let chatBusy = false;
 let chatHistory = [];
 let reportedThisSession = new Set();
 let lastQuery = "";
+let localUserProfiles = [];
 
 // -------------------------------------------------------------------
 // Data loading — lightweight map points + stats from server
 // -------------------------------------------------------------------
 
+// Profiles added on add-data.html when the server can't store them (Vercel).
+// They're sent with every search so the server can score them alongside the dataset.
+function loadLocalUserProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USER_PROFILES_KEY) || "[]");
+    return stored.map((e) => e && e.profile).filter((p) => p && p.profile_url);
+  } catch {
+    return [];
+  }
+}
+
+function profileToMapPoint(p) {
+  const loc = [p.locality, p.region, p.country].filter(Boolean).join(", ");
+  return { lat: p.latitude, lon: p.longitude, name: p.name || "Unknown", url: p.primary_url || null, loc: loc || null, src: p.source || "user-submitted" };
+}
+
 async function loadMapPoints() {
   const countEl = document.getElementById("profile-count");
   countEl.textContent = "Loading...";
 
-  const [pointsRes, statsRes] = await Promise.all([
+  const [pointsRes, statsRes, userRes] = await Promise.all([
     fetch("/data/map-points.json"),
     fetch("/api/stats"),
+    fetch("/api/user-profiles").catch(() => null),
   ]);
 
   mapPoints = await pointsRes.json();
   const stats = await statsRes.json();
+  const serverUserProfiles = userRes && userRes.ok ? await userRes.json().catch(() => []) : [];
+
+  // Server-side user profiles are already counted in stats; local ones are not
+  const serverUrls = new Set(serverUserProfiles.map((p) => p.profile_url));
+  localUserProfiles = loadLocalUserProfiles().filter((p) => !serverUrls.has(p.profile_url));
+  for (const p of [...serverUserProfiles, ...localUserProfiles]) {
+    if (p.latitude != null && p.longitude != null) mapPoints.push(profileToMapPoint(p));
+  }
 
-  countEl.textContent = `${stats.totalProfiles.toLocaleString()} orgs`;
+  const totalProfiles = stats.totalProfiles + localUserProfiles.length;
+  countEl.textContent = `${totalProfiles.toLocaleString()} orgs`;
   const emptyCount = document.getElementById("empty-count");
-  if (emptyCount) emptyCount.textContent = stats.totalProfiles.toLocaleString();
+  if (emptyCount) emptyCount.textContent = totalProfiles.toLocaleString();
   const welcomeCount = document.getElementById("welcome-count");
-  if (welcomeCount) welcomeCount.textContent = (Math.floor(stats.totalProfiles / 1000) * 1000).toLocaleString();
+  if (welcomeCount) welcomeCount.textContent = (Math.floor(totalProfiles / 1000) * 1000).toLocaleString();
 }
 
 async function checkChatAvailable() {
@@ -46,8 +75,10 @@ async function checkChatAvailable() {
     const res = await fetch("/api/chat-available");
     const data = await res.json();
     chatAvailable = data.available;
+    chatLlm = !!data.llm;
   } catch {
     chatAvailable = false;
+    chatLlm = false;
   }
 }
 
@@ -80,6 +111,7 @@ function initMap() {
   });
 
   map.addControl(new maplibregl.NavigationControl(), "top-right");
+  map.addControl(areaSearchControl, "top-left");
 }
 
 function addBackgroundLayer() {
@@ -123,6 +155,7 @@ function showProfilePopup(p, lngLat) {
       <div class="popup-name">${escHtml(p.name)}</div>
       ${loc ? `<div class="popup-loc">${escHtml(loc)}</div>` : ""}
       ${urlHtml ? `<div style="margin-top:4px">${urlHtml}</div>` : ""}
+      ${cardActionsHtml(p)}
     `)
     .addTo(map);
 }
@@ -150,10 +183,11 @@ function setupBackgroundClicks() {
 // -------------------------------------------------------------------
 
 async function apiSearch(params) {
+  const body = localUserProfiles.length > 0 ? { ...params, userProfiles: localUserProfiles } : params;
   const res = await fetch("/api/search", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(params),
+    body: JSON.stringify(body),
   });
   if (!res.ok) throw new Error(`Search failed: ${res.status}`);
   return res.json();
@@ -298,7 +332,8 @@ function clearMarkers() {
   if (popup) { popup.remove(); popup = null; }
 }
 
-function plotResults(results) {
+// fit: zoom the map to the results (off for area searches, which keep the view)
+function plotResults(results, { fit = true } = {}) {
   clearMarkers();
   const coords = [];
 
@@ -319,6 +354,7 @@ function plotResults(results) {
       transition: transform 0.15s;
     `;
     el.textContent = i + 1;
+    el.dataset.profileUrl = p.profile_url || "";
 
     const marker = new maplibregl.Marker({ element: el })
       .setLngLat([p.longitude, p.latitude])
@@ -330,7 +366,7 @@ function plotResults(results) {
     coords.push([p.longitude, p.latitude]);
   });
 
-  if (coords.length === 0) return;
+  if (coords.length === 0 || !fit) return;
 
   const boundsCoords = excludeGeoOutliers(coords);
   const bounds = new maplibregl.LngLatBounds();
@@ -375,6 +411,11 @@ function highlightResult(rank, profile, clickedCard) {
     card.scrollIntoView({ behavior: "smooth", block: "nearest" });
   }
 
+  resultMarkers.forEach((m) => {
+    const el = m.getElement();
+    el.classList.toggle("active", !!profile && el.dataset.profileUrl === profile.profile_url);
+  });
+
   if (profile && profile.latitude != null && profile.longitude != null) {
     const loc = [profile.locality, profile.region, profile.country].filter(Boolean).join(", ");
     showResultPopup(profile, [profile.longitude, profile.latitude]);
@@ -394,6 +435,7 @@ function showResultPopup(p, lngLat) {
       <div class="popup-name">${escHtml(p.name)}</div>
       ${loc ? `<div class="popup-loc">${escHtml(loc)}</div>` : ""}
       ${urlHtml ? `<div style="margin-top:4px">${urlHtml}</div>` : ""}
+      ${cardActionsHtml(p)}
     `)
     .addTo(map);
 }
@@ -402,9 +444,79 @@ function showResultPopup(p, lngLat) {
 // Search mode
 // -------------------------------------------------------------------
 
-function renderSearchResults(results, geoNote) {
+function buildCardHtml(p, i) {
+  const locParts = [p.locality, p.region, p.country].filter(Boolean);
+  const location = locParts.join(", ");
+  const nameHtml = p.primary_url
+    ? `<a href="${escHtml(fullUrl(p.primary_url))}" target="_blank" rel="noopener">${escHtml(p.name)}</a>`
+    : escHtml(p.name);
+  const tags = (p.tags || [])
+    .slice(0, 5)
+    .map((t) => `<span class="tag">${escHtml(t)}</span>`)
+    .join("");
+
+  const hiddenClass = i >= CARDS_COLLAPSED ? " card-overflow" : "";
+  const reportedClass = reportedThisSession.has(p.profile_url) ? " reported" : "";
+  return `
+    <div class="card${hiddenClass}${reportedClass}" data-rank="${i}" data-profile-url="${escHtml(p.profile_url || "")}">
+      ${reportBtnHtml(p.profile_url, p.name, p.primary_url)}
+      <div class="card-rank">#${i + 1}${sourceBadgeHtml(p)}</div>
+      <div class="card-name">${nameHtml}</div>
+      ${p.primary_url ? `<div class="card-url"><a href="${escHtml(fullUrl(p.primary_url))}" target="_blank" rel="noopener">${escHtml(p.primary_url)}</a></div>` : ""}
+      ${location ? `<div class="card-location">${escHtml(location)}</div>` : ""}
+      ${p.description ? `<div class="card-desc">${escHtml(p.description)}</div>` : ""}
+      ${tags ? `<div class="card-tags">${tags}</div>` : ""}
+      ${p._relevance > 0 ? relevanceBarHtml(p._relevance) : ""}
+      ${cardActionsHtml(p)}
+      ${attributionHtml(p)}
+    </div>`;
+}
+
+// User-submitted profiles are Murmurations profiles added by URL
+const SOURCE_BADGE_CLASSES = { openstreetmap: "osm", kvm: "kvm", murmurations: "murm", "user-submitted": "murm" };
+
+function sourceBadgeHtml(p) {
+  const source = p.source === "user-submitted" ? "murmurations" : p.source || "murmurations";
+  const cls = SOURCE_BADGE_CLASSES[source] || "other";
+  return ` <span class="card-source ${cls}">via ${escHtml(SOURCE_LABELS[source] || source)}</span>`;
+}
+
+// Credit and licence of the data behind a profile (set per source in sources.json)
+function attributionHtml(p) {
+  const licenses = (p.license || "").split(" AND ").filter(Boolean)
+    .map((id) => `<a href="https://spdx.org/licenses/${encodeURIComponent(id)}.html" target="_blank" rel="noopener">${escHtml(id)}</a>`)
+    .join(", ");
+  if (!p.attribution && !licenses) return "";
+  return `<div class="card-attribution">Data: ${escHtml(p.attribution || SOURCE_LABELS[p.source] || p.source)}${licenses ? ` · ${licenses}` : ""}</div>`;
+}
+
+// Links under a card or popup; /org/:id is the shareable detail page.
+// Map points carry lat/lon rather than latitude/longitude.
+function cardActionsHtml(p) {
+  if (!p.id) return "";
+  const located = (p.latitude ?? p.lat) != null;
+  return `<div class="card-actions">
+    <a href="/org/${encodeURIComponent(p.id)}" target="_blank">Details</a>
+    <button type="button" class="similar-btn" data-id="${escHtml(p.id)}" data-name="${escHtml(p.name || "")}" data-located="${located}">Similar</button>
+  </div>`;
+}
+
+function attachCardClicks(container, results) {
+  attachReportButtons(container);
+  container.querySelectorAll(".card").forEach((card) => {
+    card.addEventListener("click", (e) => {
+      if (e.target.tagName === "A" || e.target.closest(".report-btn, .card-actions")) return;
+      const rank = parseInt(card.dataset.rank);
+      highlightResult(rank, results[rank], card);
+    });
+  });
+}
+
+function renderSearchResults(page) {
+  const { results, geoNote } = page;
   const container = document.getElementById("results");
   const empty = document.getElementById("empty-state");
+  container.classList.remove("expanded");
 
   if (results.length === 0) {
     const msg = geoNote || "No strong matches found. Try broader or different search terms.";
@@ -414,33 +526,9 @@ function renderSearchResults(results, geoNote) {
   }
 
   empty.style.display = "none";
-  container.innerHTML = results
-    .map((p, i) => {
-      const locParts = [p.locality, p.region, p.country].filter(Boolean);
-      const location = locParts.join(", ");
-      const nameHtml = p.primary_url
-        ? `<a href="${escHtml(fullUrl(p.primary_url))}" target="_blank" rel="noopener">${escHtml(p.name)}</a>`
-        : escHtml(p.name);
-      const tags = (p.tags || [])
-        .slice(0, 5)
-        .map((t) => `<span class="tag">${escHtml(t)}</span>`)
-        .join("");
-
-      const hiddenClass = i >= CARDS_COLLAPSED ? " card-overflow" : "";
-      const reportedClass = reportedThisSession.has(p.profile_url) ? " reported" : "";
-      return `
-        <div class="card${hiddenClass}${reportedClass}" data-rank="${i}" data-profile-url="${escHtml(p.profile_url || "")}">
-          ${reportBtnHtml(p.profile_url, p.name, p.primary_url)}
-          <div class="card-rank">#${i + 1}${p.source === "openstreetmap" ? ' <span class="card-source osm">via OpenStreetMap</span>' : p.source === "kvm" ? ' <span class="card-source kvm">via KVM</span>' : ' <span class="card-source murm">via Murmurations</span>'}</div>
-          <div class="card-name">${nameHtml}</div>
-          ${p.primary_url ? `<div class="card-url"><a href="${escHtml(fullUrl(p.primary_url))}" target="_blank" rel="noopener">${escHtml(p.primary_url)}</a></div>` : ""}
-          ${location ? `<div class="card-location">${escHtml(location)}</div>` : ""}
-          ${p.description ? `<div class="card-desc">${escHtml(p.description)}</div>` : ""}
-          ${tags ? `<div class="card-tags">${tags}</div>` : ""}
-          ${p._relevance > 0 ? relevanceBarHtml(p._relevance) : ""}
-        </div>`;
-    })
-    .join("");
+  const headingHtml = page.heading ? `<div class="results-heading">${escHtml(page.heading)}</div>` : "";
+  container.innerHTML = headingHtml + (page.params ? exportBarHtml() : "") + results.map((p, i) => buildCardHtml(p, i)).join("");
+  if (page.params) attachExportBar(container, page.params);
 
   if (results.length > CARDS_COLLAPSED) {
     const extra = results.length - CARDS_COLLAPSED;
@@ -449,33 +537,128 @@ function renderSearchResults(results, geoNote) {
     );
   }
 
-  attachReportButtons(container);
-  container.querySelectorAll(".card").forEach((card) => {
-    card.addEventListener("click", (e) => {
-      if (e.target.tagName === "A" || e.target.closest(".report-btn")) return;
-      const rank = parseInt(card.dataset.rank);
-      highlightResult(rank, results[rank], card);
+  attachCardClicks(container, results);
+  appendLoadMore(container, page, buildCardHtml, attachCardClicks);
+}
+
+// -------------------------------------------------------------------
+// Paging — "load more" fetches the next page of the same search
+// -------------------------------------------------------------------
+
+// A page holds the params it was fetched with so later pages match it
+function toPage(params, data) {
+  return { params, results: data.results, total: data.totalResults, nextOffset: data.nextOffset, geoNote: data.geoNote };
+}
+
+// Adds a "load more" button to a card list. New cards are rendered with
+// buildCard(profile, rank) and wired up with attach(element, allResults).
+function appendLoadMore(container, page, buildCard, attach) {
+  if (page.nextOffset == null) return;
+  const btn = document.createElement("button");
+  btn.className = "show-more-btn load-more-btn";
+  btn.textContent = `Load more (${page.results.length} of ${page.total})`;
+  btn.addEventListener("click", async () => {
+    btn.disabled = true;
+    btn.textContent = "Loading...";
+    try {
+      const data = await apiSearch({ ...page.params, offset: page.nextOffset });
+      const start = page.results.length;
+      page.results.push(...data.results);
+      page.nextOffset = data.nextOffset;
+
+      const tmp = document.createElement("div");
+      tmp.innerHTML = data.results.map((p, i) => buildCard(p, start + i)).join("");
+      attach(tmp, page.results);
+      container.classList.add("expanded");
+      container.querySelector(".show-more-btn:not(.load-more-btn)")?.remove();
+      btn.replaceWith(...tmp.children);
+      plotResults(page.results, { fit: !page.params.bbox });
+      appendLoadMore(container, page, buildCard, attach);
+    } catch (err) {
+      console.error("Load more error:", err);
+      btn.disabled = false;
+      btn.textContent = "Load more";
+    }
+  });
+  container.appendChild(btn);
+}
+
+// -------------------------------------------------------------------
+// Export — download every match of a search, not just the loaded page
+// -------------------------------------------------------------------
+
+const EXPORT_FORMATS = [["csv", "CSV"], ["geojson", "GeoJSON"], ["jsonld", "JSON-LD"]];
+
+function exportBarHtml() {
+  const links = EXPORT_FORMATS
+    .map(([format, label]) => `<button type="button" class="export-btn" data-format="${format}">${label}</button>`)
+    .join("");
+  return `<div class="export-bar"><span>Download these results:</span>${links}</div>`;
+}
+
+function attachExportBar(el, params) {
+  el.querySelectorAll(".export-btn").forEach((btn) => {
+    btn.addEventListener("click", async (e) => {
+      e.stopPropagation();
+      btn.disabled = true;
+      try {
+        await downloadExport(params, btn.dataset.format);
+      } catch (err) {
+        console.error("Export error:", err);
+      } finally {
+        btn.disabled = false;
+      }
     });
   });
 }
 
+async function downloadExport(params, format) {
+  const { offset, limit, ...searchParams } = params;
+  const body = localUserProfiles.length > 0 ? { ...searchParams, userProfiles: localUserProfiles } : searchParams;
+  const res = await fetch(`/api/export?format=${format}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`Export failed: ${res.status}`);
+  const blob = await res.blob();
+  const filename = /filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") || "")?.[1] || `cobot-export.${format}`;
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
 let searchTimeout = null;
 
 async function handleSearch(query) {
   if (!query.trim()) {
     document.getElementById("results").innerHTML = "";
     document.getElementById("empty-state").style.display = "";
+    renderFacets(null);
     clearMarkers();
+    lastSearchParams.search = null;
     return;
   }
 
   lastQuery = query.trim();
+  await runSearch({ query: query.trim() });
+}
+
+// Search panel: run a search (new query, facet toggle or map area) and
+// show it. Area searches keep the current map view.
+async function runSearch(params) {
+  lastSearchParams.search = params;
   document.body.classList.add("loading");
   try {
-    const data = await apiSearch({ query: query.trim() });
-    console.log('[search]', { query, queryType: data.queryType, totalResults: data.results.length });
-    renderSearchResults(data.results, data.geoNote);
-    plotResults(data.results);
+    const data = await apiSearch(params);
+    console.log('[search]', { query: params.query, queryType: data.queryType, totalResults: data.totalResults });
+    renderFacets(data.facets);
+    renderSearchResults(toPage(params, data));
+    plotResults(data.results, { fit: !params.bbox });
   } catch (err) {
     console.error("Search error:", err);
   } finally {
@@ -483,6 +666,122 @@ async function handleSearch(query) {
   }
 }
 
+// -------------------------------------------------------------------
+// Similar organisations — "more like this" from a card or popup
+// -------------------------------------------------------------------
+
+const SIMILAR_RADIUS_KM = 100;
+
+async function fetchSimilar(id, near) {
+  const res = await fetch(`/api/similar/${encodeURIComponent(id)}${near ? `?near=${near}` : ""}`);
+  if (!res.ok) throw new Error(`Similar failed: ${res.status}`);
+  return res.json();
+}
+
+// Nearby first (when the profile has coordinates), anywhere if nothing is close
+async function showSimilar(id, name, located) {
+  let near = located ? String(SIMILAR_RADIUS_KM) : "";
+  let data = await fetchSimilar(id, near);
+  if (data.results.length === 0 && near) {
+    near = "";
+    data = await fetchSimilar(id, near);
+  }
+  const heading = `Similar to ${name}${near ? ` within ${near} km` : ""}`;
+  const page = { params: null, results: data.results, total: data.results.length, nextOffset: null, heading };
+
+  if (popup) popup.remove();
+  plotResults(data.results);
+  if (currentMode === "chat") {
+    if (data.results.length === 0) {
+      addChatMessage("assistant", `<div class="chat-bubble">I couldn't find anything similar to ${escHtml(name)}.</div>`);
+      return;
+    }
+    const msg = addChatMessage("assistant",
+      `<div class="chat-bubble">${escHtml(heading)}:</div>
+       <div class="chat-profiles">${buildMiniCardsHtml(data.results)}</div>`);
+    attachMiniCards(msg, page);
+  } else {
+    lastSearchParams.search = null;
+    renderFacets(null);
+    renderSearchResults(page);
+  }
+}
+
+document.addEventListener("click", async (e) => {
+  const btn = e.target.closest(".similar-btn");
+  if (!btn) return;
+  btn.disabled = true;
+  try {
+    await showSimilar(btn.dataset.id, btn.dataset.name, btn.dataset.located === "true");
+  } catch (err) {
+    console.error("Similar error:", err);
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// -------------------------------------------------------------------
+// Facet chips — narrow the current search by source, category, country
+// -------------------------------------------------------------------
+
+const FACET_LABELS = { source: "Source", category: "Category", country: "Country" };
+const SOURCE_LABELS = {
+  openstreetmap: "OpenStreetMap", kvm: "KVM", murmurations: "Murmurations", "user-submitted": "User-submitted",
+  dotcoop: ".coop", carteco: "CartEco", "repair-cafes": "Repair Café", "gen-europe": "GEN Europe",
+  "ic-directory": "ic.org", essapp: "ESSApp", spaceapi: "SpaceAPI", "citizen-network": "Citizen Network",
+  dualpower: "Dual Power Map", "grocery-coops": "Grocery Story",
+};
+const FACET_CHIPS_SHOWN = 8;
+
+function renderFacets(facets) {
+  const el = document.getElementById("facets");
+  // A facet with a single value can't narrow anything unless it's selected
+  const groups = facets
+    ? Object.entries(facets).filter(([, values]) => values.length > 1 || values.some((v) => v.selected))
+    : [];
+  if (groups.length === 0) {
+    el.innerHTML = "";
+    el.classList.add("hidden");
+    return;
+  }
+
+  el.innerHTML = groups
+    .map(([facet, values]) => {
+      const chips = values
+        .filter((v, i) => i < FACET_CHIPS_SHOWN || v.selected)
+        .map((v) => {
+          const label = facet === "source" ? SOURCE_LABELS[v.value] || v.value : v.value;
+          return `<button class="facet-chip${v.selected ? " active" : ""}" data-facet="${facet}" data-value="${escHtml(v.value)}">${escHtml(label)}<span class="facet-count">${v.count}</span></button>`;
+        })
+        .join("");
+      return `<div class="facet-group"><span class="facet-label">${FACET_LABELS[facet] || facet}</span>${chips}</div>`;
+    })
+    .join("");
+  el.classList.remove("hidden");
+}
+
+function toggleFacet(facet, value) {
+  const base = lastSearchParams.search;
+  if (!base) return;
+  const filters = { ...(base.filters || {}) };
+  const values = new Set(filters[facet] || []);
+  if (values.has(value)) values.delete(value);
+  else values.add(value);
+  if (values.size > 0) filters[facet] = [...values];
+  else delete filters[facet];
+
+  const params = { ...base };
+  if (Object.keys(filters).length > 0) params.filters = filters;
+  else delete params.filters;
+  runSearch(params);
+}
+
+document.addEventListener("click", (e) => {
+  const chip = e.target.closest(".facet-chip");
+  if (!chip) return;
+  toggleFacet(chip.dataset.facet, chip.dataset.value);
+});
+
 // -------------------------------------------------------------------
 // Chat mode
 // -------------------------------------------------------------------
@@ -511,6 +810,8 @@ function buildMiniCardHtml(p, i) {
         ${p.description ? `<div class="mini-card-desc">${escHtml(p.description)}</div>` : ""}
         ${tags ? `<div class="mini-card-tags">${tags}</div>` : ""}
         ${p._relevance > 0 ? relevanceBarHtml(p._relevance) : ""}
+        ${cardActionsHtml(p)}
+        ${attributionHtml(p)}
       </div>
       ${reportBtnHtml(p.profile_url, p.name, p.primary_url)}
     </div>`;
@@ -557,25 +858,36 @@ function removeThinkingBubble() {
   if (el) el.remove();
 }
 
+// Mini-card lists in chat bubbles page through the search that produced them
+function attachMiniCards(msg, page) {
+  const list = msg.querySelector(".chat-profiles");
+  if (page.params) {
+    list.insertAdjacentHTML("afterend", exportBarHtml());
+    attachExportBar(msg, page.params);
+  }
+  attachMiniCardClicks(list, page.results);
+  appendLoadMore(list, page, buildMiniCardHtml, attachMiniCardClicks);
+}
+
 function attachMiniCardClicks(container, results) {
   attachReportButtons(container);
   container.querySelectorAll(".mini-card").forEach((card) => {
     card.addEventListener("click", (e) => {
-      if (e.target.tagName === "A" || e.target.closest(".report-btn")) return;
+      if (e.target.tagName === "A" || e.target.closest(".report-btn, .card-actions")) return;
       const rank = parseInt(card.dataset.rank);
       highlightResult(rank, results[rank], card);
     });
   });
 }
 
-function addAssistantResponse(text, results) {
-  const cardsHtml = buildMiniCardsHtml(results);
+function addAssistantResponse(text, page) {
+  const cardsHtml = buildMiniCardsHtml(page.results);
   const msg = addChatMessage(
     "assistant",
     `<div class="chat-bubble">${linkifySuggestions(text)}</div>
      <div class="chat-profiles">${cardsHtml}</div>`
   );
-  attachMiniCardClicks(msg, results);
+  attachMiniCards(msg, page);
 }
 
 function addAssistantError(text) {
@@ -585,7 +897,8 @@ function addAssistantError(text) {
   );
 }
 
-function addSearchOnlyResponse(results, geoNote) {
+function addSearchOnlyResponse(page) {
+  const { results, geoNote } = page;
   if (results.length === 0) {
     addChatMessage("assistant",
       `<div class="chat-bubble">I couldn't find a good match for that in the network. Try broadening your search — for example, use more general terms or a wider location.</div>`);
@@ -602,7 +915,7 @@ function addSearchOnlyResponse(results, geoNote) {
     `${noteHtml}
      <div class="chat-profiles">${cardsHtml}</div>`
   );
-  attachMiniCardClicks(msg, results);
+  attachMiniCards(msg, page);
 }
 
 // Convert "quoted suggestions" in LLM text into clickable links
@@ -613,6 +926,51 @@ function linkifySuggestions(text) {
   });
 }
 
+// -------------------------------------------------------------------
+// Citations: "[n]" in an answer refers to the nth profile the model was
+// given. The server sends a { citation } event for each valid one and
+// drops the rest, so only refs it confirmed become links.
+// -------------------------------------------------------------------
+
+// chat message element -> { profiles, citations: Map ref -> citation }
+const messageCitations = new WeakMap();
+
+function trackCitations(msg, profiles) {
+  const entry = { profiles, citations: new Map() };
+  messageCitations.set(msg, entry);
+  return entry;
+}
+
+// Answer text as HTML: quoted suggestions and confirmed citations become links
+function renderAnswer(text, citations) {
+  return linkifySuggestions(text).replace(/\[(\d+)\]/g, (match, n) => {
+    const citation = citations.get(Number(n));
+    if (!citation) return match;
+    return `<a href="#" class="cite-link" data-ref="${n}" title="${escHtml(citation.name || "")}">${n}</a>`;
+  });
+}
+
+document.addEventListener("click", (e) => {
+  const link = e.target.closest(".cite-link");
+  if (!link) return;
+  e.preventDefault();
+  const msg = link.closest(".chat-msg");
+  const entry = msg && messageCitations.get(msg);
+  const citation = entry?.citations.get(Number(link.dataset.ref));
+  if (!citation) return;
+
+  let rank = entry.profiles.findIndex((p) => p.profile_url === citation.profile_url);
+  if (rank === -1) rank = citation.ref - 1;
+  const card = msg.querySelector(`.mini-card[data-rank="${rank}"]`);
+  // Cited cards past the first few are hidden until the list is expanded
+  if (card?.classList.contains("mini-card-overflow")) {
+    const list = card.closest(".chat-profiles");
+    list.classList.add("expanded");
+    list.querySelector(".show-more-btn")?.remove();
+  }
+  highlightResult(rank, entry.profiles[rank], card);
+});
+
 // Event delegation for all try-links (chat and search)
 document.addEventListener("click", (e) => {
   const link = e.target.closest(".try-link");
@@ -629,6 +987,98 @@ document.addEventListener("click", (e) => {
   }
 });
 
+// Calls onEvent with each JSON event of a server-sent event stream
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith("data: ")) continue;
+      const payload = line.slice(6);
+      if (payload === "[DONE]") continue;
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (e) {
+        continue;
+      }
+      onEvent(event);
+    }
+  }
+}
+
+// Multi-search answers: the agent runs tools server-side and streams its
+// progress, the combined organisations (as cards) and the answer
+async function handleAgentChat(query) {
+  const res = await fetch("/api/chat-agent", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      query,
+      history: chatHistory.slice(-10),
+      userProfiles: localUserProfiles.length > 0 ? localUserProfiles : undefined,
+    }),
+  });
+  chatHistory.push({ role: "user", content: query });
+  removeThinkingBubble();
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    addAssistantError(data.error || "Something went wrong.");
+    return;
+  }
+
+  const msg = addChatMessage("assistant",
+    `<div class="chat-bubble agent-answer"></div>
+     <div class="agent-status"><span class="typing-dots"><span></span><span></span><span></span></span></div>
+     <div class="chat-profiles"></div>`);
+  const bubble = msg.querySelector(".chat-bubble");
+  const status = msg.querySelector(".agent-status");
+  const list = msg.querySelector(".chat-profiles");
+  const cited = trackCitations(msg, []);
+  let fullText = "";
+
+  await readEventStream(res, (event) => {
+    if (event.error) {
+      console.error("Agent stream error:", event.error);
+    } else if (event.tool) {
+      status.textContent = `${event.tool.label}\u2026`;
+    } else if (event.profiles) {
+      cited.profiles = event.profiles;
+      list.innerHTML = buildMiniCardsHtml(event.profiles);
+      attachMiniCardClicks(list, event.profiles);
+      plotResults(event.profiles);
+    } else if (event.citation) {
+      cited.citations.set(event.citation.ref, event.citation);
+    } else if (event.text) {
+      fullText += event.text;
+      bubble.innerHTML = renderAnswer(fullText, cited.citations);
+    }
+    msg.scrollIntoView({ behavior: "smooth", block: "end" });
+  });
+
+  status.remove();
+  if (fullText) {
+    chatHistory.push({ role: "assistant", content: fullText });
+  } else {
+    bubble.textContent = list.children.length > 0
+      ? "Here are the organisations I found:"
+      : "I couldn't find a good match for that. Try broadening your search.";
+  }
+}
+
+function countSummary(count, shown) {
+  const showing = shown < count ? ` Showing top ${shown}.` : "";
+  return `${count.toLocaleString()} organisation${count === 1 ? "" : "s"} found.${showing}`;
+}
+
 async function handleChat(query) {
   if (!query.trim() || chatBusy) return;
 
@@ -673,13 +1123,21 @@ async function handleChat(query) {
       return;
     }
 
+    // Questions that need several searches go to the tool-using agent
+    if (llmResult?.action === "agent") {
+      await handleAgentChat(query);
+      return;
+    }
+
     // Step 3: Run search via API
     const searchParams = llmResult
       ? { query, geo: llmResult.geo, topic: llmResult.topic, queryType: llmResult.queryType, showAll: llmResult.showAll }
       : { query };
+    lastSearchParams.chat = searchParams;
 
     const searchData = await apiSearch(searchParams);
-    const allResults = searchData.results;
+    const page = toPage(searchParams, searchData);
+    const allResults = page.results;
     const geoNote = searchData.geoNote;
     const queryType = searchData.queryType;
     const totalResults = searchData.totalResults;
@@ -706,8 +1164,7 @@ async function handleChat(query) {
     if (queryType === "geo-only") {
       removeThinkingBubble();
       const count = totalResults || allResults.length;
-      const showing = allResults.length < count ? ` Showing top ${allResults.length}.` : "";
-      addAssistantResponse(`${count} organisations found.${showing}`, allResults);
+      addAssistantResponse(countSummary(count, allResults.length), page);
       chatHistory.push({ role: "user", content: query });
       chatHistory.push({ role: "assistant", content: `${count} organisations found.` });
       chatBusy = false;
@@ -719,7 +1176,7 @@ async function handleChat(query) {
     // Track user message in history
     chatHistory.push({ role: "user", content: query });
 
-    if (chatAvailable) {
+    if (chatLlm) {
       try {
         const res = await fetch("/api/chat", {
           method: "POST",
@@ -732,6 +1189,7 @@ async function handleChat(query) {
             showAll: llmResult?.showAll || false,
             geoNote: geoNote || null,
             history: chatHistory.slice(-10),
+            userProfiles: localUserProfiles.length > 0 ? localUserProfiles : undefined,
           }),
         });
 
@@ -741,45 +1199,32 @@ async function handleChat(query) {
           const data = await res.json().catch(() => ({}));
           console.error("Chat API error:", data.error);
           addAssistantError(data.error || "Something went wrong.");
-          addSearchOnlyResponse(allResults, geoNote);
+          addSearchOnlyResponse(page);
         } else {
           // Show cards immediately, stream LLM text into bubble
           const cardsHtml = buildMiniCardsHtml(allResults);
           const msg = addChatMessage("assistant",
             `<div class="chat-bubble"></div>
              <div class="chat-profiles">${cardsHtml}</div>`);
-          attachMiniCardClicks(msg, allResults);
+          attachMiniCards(msg, page);
           const bubble = msg.querySelector(".chat-bubble");
+          const cited = trackCitations(msg, page.results);
           let fullText = "";
 
-          const reader = res.body.getReader();
-          const decoder = new TextDecoder();
-          let buffer = "";
-
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split("\n");
-            buffer = lines.pop();
-            for (const line of lines) {
-              if (!line.startsWith("data: ")) continue;
-              const payload = line.slice(6);
-              if (payload === "[DONE]") continue;
-              try {
-                const chunk = JSON.parse(payload);
-                if (chunk.error) {
-                  console.error("Chat stream error:", chunk.error);
-                  continue;
-                }
-                if (chunk.text) {
-                  fullText += chunk.text;
-                  bubble.innerHTML = linkifySuggestions(fullText);
-                  msg.scrollIntoView({ behavior: "smooth", block: "end" });
-                }
-              } catch (e) {}
+          await readEventStream(res, (chunk) => {
+            if (chunk.error) {
+              console.error("Chat stream error:", chunk.error);
+              return;
             }
-          }
+            if (chunk.citation) {
+              cited.citations.set(chunk.citation.ref, chunk.citation);
+            }
+            if (chunk.text) {
+              fullText += chunk.text;
+              bubble.innerHTML = renderAnswer(fullText, cited.citations);
+              msg.scrollIntoView({ behavior: "smooth", block: "end" });
+            }
+          });
 
           if (fullText) {
             chatHistory.push({ role: "assistant", content: fullText });
@@ -791,11 +1236,18 @@ async function handleChat(query) {
       } catch (err) {
         console.error("Chat fetch error:", err);
         removeThinkingBubble();
-        addSearchOnlyResponse(allResults, geoNote);
+        addSearchOnlyResponse(page);
       }
     } else {
+      // No LLM: answer with the count, like a geo-only browse
       removeThinkingBubble();
-      addSearchOnlyResponse(allResults, geoNote);
+      if (allResults.length === 0 || geoNote) {
+        addSearchOnlyResponse(page);
+      } else {
+        const count = totalResults || allResults.length;
+        addAssistantResponse(countSummary(count, allResults.length), page);
+        chatHistory.push({ role: "assistant", content: `${count} organisations found.` });
+      }
     }
   } catch (err) {
     console.error("Chat error:", err);
@@ -808,6 +1260,90 @@ async function handleChat(query) {
   }
 }
 
+// -------------------------------------------------------------------
+// Search this area — re-run the current search within the map view
+// -------------------------------------------------------------------
+
+// Params of the last search in each mode, re-run with a bbox added
+const lastSearchParams = { search: null, chat: null };
+let liveAreaSearch = false;
+let areaTimeout = null;
+let areaChatMsg = null;
+
+const areaSearchControl = {
+  onAdd() {
+    this.el = document.createElement("div");
+    this.el.className = "maplibregl-ctrl area-search-ctrl";
+    this.el.innerHTML = `
+      <button type="button" class="area-search-btn">Search this area</button>
+      <label class="area-live" title="Update results as the map moves"><input type="checkbox"> Live</label>`;
+    this.el.querySelector(".area-search-btn").addEventListener("click", () => searchThisArea());
+    this.el.querySelector("input").addEventListener("change", (e) => {
+      liveAreaSearch = e.target.checked;
+      if (liveAreaSearch) searchThisArea();
+    });
+    return this.el;
+  },
+  onRemove() {
+    this.el.remove();
+  },
+};
+
+// Visible bounds as [west, south, east, north], longitudes wrapped to ±180
+function viewportBbox() {
+  const b = map.getBounds();
+  const south = Math.max(-90, b.getSouth());
+  const north = Math.min(90, b.getNorth());
+  const span = b.getEast() - b.getWest();
+  if (span >= 360) return [-180, south, 180, north];
+  const west = (((b.getWest() % 360) + 540) % 360) - 180;
+  const east = west + span > 180 ? west + span - 360 : west + span;
+  return [west, south, east, north];
+}
+
+function setupLiveAreaSearch() {
+  map.on("moveend", (e) => {
+    // Only user pans/zooms — not fitBounds from plotResults
+    if (!liveAreaSearch || !e.originalEvent) return;
+    clearTimeout(areaTimeout);
+    areaTimeout = setTimeout(searchThisArea, DEBOUNCE_MS);
+  });
+}
+
+async function searchThisArea() {
+  const base = lastSearchParams[currentMode] || {};
+  const params = { ...base, bbox: viewportBbox() };
+
+  if (currentMode === "search") {
+    await runSearch(params);
+    return;
+  }
+
+  if (chatBusy) return;
+  try {
+    const data = await apiSearch(params);
+    const page = toPage(params, data);
+    plotResults(data.results, { fit: false });
+
+    const what = base.query ? ` for “${escHtml(base.query)}”` : "";
+    const html = data.results.length > 0
+      ? `<div class="chat-bubble">${data.totalResults} organisation${data.totalResults === 1 ? "" : "s"} in this map area${what}:</div>
+         <div class="chat-profiles">${buildMiniCardsHtml(data.results)}</div>`
+      : `<div class="chat-bubble">Nothing found in this map area${what}. Try zooming out or moving the map.</div>`;
+
+    // Live updates replace the previous area answer instead of piling up
+    const container = document.getElementById("chat-messages");
+    if (areaChatMsg && areaChatMsg === container.lastElementChild) {
+      areaChatMsg.innerHTML = html;
+    } else {
+      areaChatMsg = addChatMessage("assistant", html);
+    }
+    if (data.results.length > 0) attachMiniCards(areaChatMsg, page);
+  } catch (err) {
+    console.error("Area search error:", err);
+  }
+}
+
 // -------------------------------------------------------------------
 // Mode switching
 // -------------------------------------------------------------------
@@ -847,6 +1383,7 @@ async function init() {
 
   addBackgroundLayer();
   setupBackgroundClicks();
+  setupLiveAreaSearch();
 
   document.querySelectorAll(".mode-btn").forEach((btn) => {
     btn.addEventListener("click", () => setMode(btn.dataset.mode));
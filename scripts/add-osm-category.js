@@ -16,7 +16,9 @@
  *   node scripts/add-osm-category.js repair_cafes
  *   node scripts/add-osm-category.js   # processes all categories with existing output files
  *
- * Run generate-embeddings.py separately after all categories are added.
+ * Run build-index.js separately after all categories are added.
+ * This is a quick patch to the live dataset: add the category to
+ * sources.json as well, or the next merge-profiles.js run drops it.
  */
 
 const fs = require("fs");
@@ -194,7 +196,7 @@ async function main() {
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
   console.log(`\nDone in ${elapsed}s: ${totalAdded} new profiles added (${profiles.length} total)`);
-  console.log("Run 'python3 scripts/generate-embeddings.py' to rebuild embeddings.");
+  console.log("Run 'node scripts/build-index.js' to rebuild embeddings.");
 }
 
 main().catch((err) => {
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Measures how closely searches through the ANN index (api/_ann.js) match a
+ * full scan of every vector, on real query text rather than the dataset
+ * vectors build-index.js samples. For each query it runs search() both ways
+ * and reports the share of the full scan's top results and of all its
+ * matches that the ANN search also returns.
+ *
+ * Queries default to the category names in api/_facets.js; pass a file with
+ * one query per line to use your own (e.g. topics from the query log).
+ *
+ * Usage:
+ *   node scripts/ann-recall.js [queries.txt]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { TAG_CATEGORIES } = require("../api/_facets");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const TOP = 20;
+
+// A separate copy of the search engine per mode (it keeps module-level state)
+function loadEngine(ann) {
+  const file = require.resolve("../api/_search");
+  delete require.cache[file];
+  const engine = require(file);
+  engine.configure({ dataDir: DATA_DIR, ann });
+  engine.loadData();
+  return engine;
+}
+
+function share(found, expected) {
+  if (expected.length === 0) return 1;
+  const set = new Set(found);
+  return expected.filter((id) => set.has(id)).length / expected.length;
+}
+
+async function main() {
+  const file = process.argv[2];
+  const queries = file
+    ? fs.readFileSync(file, "utf8").split("\n").map((q) => q.trim()).filter(Boolean)
+    : [...new Set(Object.values(TAG_CATEGORIES))];
+
+  const annMeta = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "ann-index.json"), "utf8"));
+  console.log(`ANN index: ${annMeta.nlist} lists, nprobe ${annMeta.nprobe}, ${annMeta.count} vectors`);
+  const exact = loadEngine(false);
+  const ann = loadEngine(true);
+
+  let topSum = 0, allSum = 0, exactMs = 0, annMs = 0, counted = 0;
+  for (const query of queries) {
+    let t = Date.now();
+    const a = await exact.searchAll({ query });
+    exactMs += Date.now() - t;
+    t = Date.now();
+    const b = await ann.searchAll({ query });
+    annMs += Date.now() - t;
+    // Only topic-only searches go through the index
+    if (a.queryType !== "topic-only" || a.totalResults === 0) continue;
+
+    const exactIds = [...a.results].map((r) => r._idx);
+    const annIds = [...b.results].map((r) => r._idx);
+    const top = share(annIds.slice(0, TOP), exactIds.slice(0, TOP));
+    const all = share(annIds, exactIds);
+    topSum += top;
+    allSum += all;
+    counted++;
+    console.log(`  ${query.padEnd(32)} top ${TOP}: ${top.toFixed(2)}  all: ${all.toFixed(2)}  (${annIds.length}/${exactIds.length} matches)`);
+  }
+
+  if (counted === 0) {
+    console.log("No topic-only queries to measure.");
+    return;
+  }
+  console.log(`\nMean recall over ${counted} queries: top ${TOP} ${(topSum / counted).toFixed(3)}, all matches ${(allSum / counted).toFixed(3)}`);
+  console.log(`Search time: full scan ${exactMs} ms, ANN ${annMs} ms`);
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Builds the search index from data/profiles.json in one pass, embedding
+ * with the same Transformers.js pipeline and text as the server
+ * (getEmbedder() in api/_search.js, buildEmbeddingText() in api/_overlay.js).
+ *
+ * Each profile gets a stable `id` (api/_ids.js). A record that was in the
+ * previous build keeps its id even if its name or website changed.
+ *
+ * Incremental: each profile's embedding text is hashed, and vectors for
+ * unchanged text are reused from the previous run's Float32 cache, so only
+ * new or edited profiles are embedded. Pass --full to re-embed everything.
+ *
+ * Reads:  data/profiles.json
+ *         data/embeddings.bin + data/embeddings-hashes.json  (cache, optional)
+ * Writes: data/profiles-meta.json
+ *         data/embeddings-int8.bin     (Int8, N * 384)
+ *         data/embeddings-scales.bin   (Float32, N * 2 — min, max per vector)
+ *         data/ann-index.json + data/ann-index.bin  (IVF index, see api/_ann.js)
+ *         data/map-points.json
+ *         data/embeddings.bin + data/embeddings-hashes.json  (cache for next run)
+ *
+ * Usage:
+ *   node scripts/build-index.js [--full]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { EMBED_DIM, EMBED_MODEL, RELEVANCE_THRESHOLD, getEmbedder } = require("../api/_search");
+const { META_FILE: ANN_META, BIN_FILE: ANN_BIN, embeddingsHash } = require("../api/_ann");
+const { buildEmbeddingText } = require("../api/_overlay");
+const { assignIds } = require("../api/_ids");
+const { buildMapPoints } = require("./lib/map-points");
+const { RECALL_K, TARGET_RECALL, buildIvf, measureRecall, chooseNprobe, serializeIvf } = require("./lib/ann-build");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const PROFILES_FILE = path.join(DATA_DIR, "profiles.json");
+const META_FILE = path.join(DATA_DIR, "profiles-meta.json");
+const CACHE_VECTORS = path.join(DATA_DIR, "embeddings.bin");
+const CACHE_HASHES = path.join(DATA_DIR, "embeddings-hashes.json");
+const BATCH_SIZE = 32;
+
+// The model is part of the hash, so switching models re-embeds everything
+function textHash(text) {
+  return crypto.createHash("sha1").update(EMBED_MODEL + "\n" + text).digest("hex");
+}
+
+// hash -> Float32Array view into the previous run's vectors
+function loadCache() {
+  const cache = new Map();
+  if (!fs.existsSync(CACHE_VECTORS) || !fs.existsSync(CACHE_HASHES)) return cache;
+  const hashes = JSON.parse(fs.readFileSync(CACHE_HASHES, "utf8"));
+  const buf = fs.readFileSync(CACHE_VECTORS);
+  const vectors = new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4);
+  if (vectors.length !== hashes.length * EMBED_DIM) {
+    console.warn("  Cache size doesn't match its hash list — ignoring it");
+    return cache;
+  }
+  hashes.forEach((h, i) => cache.set(h, vectors.subarray(i * EMBED_DIM, (i + 1) * EMBED_DIM)));
+  return cache;
+}
+
+// source + profile_url -> id from the previous build (null when ambiguous)
+function previousIds() {
+  const ids = new Map();
+  if (!fs.existsSync(META_FILE)) return ids;
+  for (const p of JSON.parse(fs.readFileSync(META_FILE, "utf8"))) {
+    if (!p.id || !p.profile_url) continue;
+    const key = `${p.source}\n${p.profile_url}`;
+    ids.set(key, ids.has(key) ? null : p.id);
+  }
+  return ids;
+}
+
+// Per-vector min/max quantization to Int8 [-128, 127] (as quantize-embeddings.py)
+function quantize(vectors, n) {
+  const int8 = new Int8Array(n * EMBED_DIM);
+  const scales = new Float32Array(n * 2);
+  for (let i = 0; i < n; i++) {
+    const v = vectors.subarray(i * EMBED_DIM, (i + 1) * EMBED_DIM);
+    let min = Infinity, max = -Infinity;
+    for (const x of v) {
+      if (x < min) min = x;
+      if (x > max) max = x;
+    }
+    const range = max - min || 1;
+    for (let d = 0; d < EMBED_DIM; d++) {
+      const q = Math.round((v[d] - min) / range * 255) - 128;
+      int8[i * EMBED_DIM + d] = Math.max(-128, Math.min(127, q));
+    }
+    scales[i * 2] = min;
+    scales[i * 2 + 1] = max;
+  }
+  return { int8, scales };
+}
+
+function write(file, data) {
+  fs.writeFileSync(path.join(DATA_DIR, file), data);
+  const size = fs.statSync(path.join(DATA_DIR, file)).size;
+  console.log(`  ${file} (${(size / 1e6).toFixed(1)} MB)`);
+}
+
+async function main() {
+  const startTime = Date.now();
+  const full = process.argv.includes("--full");
+
+  const profiles = JSON.parse(fs.readFileSync(PROFILES_FILE, "utf8"));
+  console.log(`Loaded ${profiles.length} profiles from ${PROFILES_FILE}`);
+
+  const prevIds = previousIds();
+  for (const p of profiles) {
+    const prev = prevIds.get(`${p.source}\n${p.profile_url}`);
+    if (prev && !p.id) p.id = prev;
+  }
+  assignIds(profiles);
+
+  const cache = full ? new Map() : loadCache();
+  if (!full) console.log(`  ${cache.size} cached embeddings`);
+
+  const hashes = [];
+  const vectors = new Float32Array(profiles.length * EMBED_DIM);
+  const toEmbed = [];   // { i, text }
+  for (let i = 0; i < profiles.length; i++) {
+    const text = buildEmbeddingText(profiles[i]);
+    const hash = textHash(text);
+    hashes.push(hash);
+    const cached = cache.get(hash);
+    if (cached) vectors.set(cached, i * EMBED_DIM);
+    else toEmbed.push({ i, text });
+  }
+  console.log(`  ${profiles.length - toEmbed.length} unchanged, ${toEmbed.length} to embed`);
+
+  if (toEmbed.length > 0) {
+    console.log(`\nEmbedding with ${EMBED_MODEL} (batch ${BATCH_SIZE})...`);
+    const embed = await getEmbedder();
+    for (let b = 0; b < toEmbed.length; b += BATCH_SIZE) {
+      const batch = toEmbed.slice(b, b + BATCH_SIZE);
+      const output = await embed(batch.map(e => e.text), { pooling: "mean", normalize: true });
+      batch.forEach((e, j) => {
+        vectors.set(output.data.subarray(j * EMBED_DIM, (j + 1) * EMBED_DIM), e.i * EMBED_DIM);
+      });
+      const done = Math.min(b + BATCH_SIZE, toEmbed.length);
+      process.stdout.write(`\r  ${done}/${toEmbed.length} embedded`);
+    }
+    console.log();
+  }
+
+  console.log("\nBuilding ANN index...");
+  const ivf = buildIvf(vectors, profiles.length, EMBED_DIM);
+  const recall = measureRecall(ivf, vectors, profiles.length, EMBED_DIM, { threshold: RELEVANCE_THRESHOLD });
+  const nprobe = chooseNprobe(recall);
+  for (const m of recall) {
+    console.log(`  nprobe ${String(m.nprobe).padStart(4)}/${ivf.nlist}: recall@${RECALL_K} ${m.recallAtK}, above threshold ${m.recallAboveThreshold}${m.nprobe === nprobe ? "  <-" : ""}`);
+  }
+
+  console.log("\nWriting index...");
+  const { int8, scales } = quantize(vectors, profiles.length);
+  const annMeta = {
+    type: "ivf", model: EMBED_MODEL, dim: EMBED_DIM, count: profiles.length,
+    embeddings: embeddingsHash(Buffer.from(int8.buffer)), nlist: ivf.nlist, nprobe,
+    recall: { target: TARGET_RECALL, k: RECALL_K, threshold: RELEVANCE_THRESHOLD, measurements: recall },
+  };
+  const { points, skipped } = buildMapPoints(profiles);
+  const meta = profiles.map(({ embedding, ...p }) => p);
+  write("profiles-meta.json", JSON.stringify(meta));
+  write("embeddings-int8.bin", Buffer.from(int8.buffer));
+  write("embeddings-scales.bin", Buffer.from(scales.buffer));
+  write("map-points.json", JSON.stringify(points));
+  write(ANN_META, JSON.stringify(annMeta, null, 2));
+  write(ANN_BIN, serializeIvf(ivf));
+  write("embeddings.bin", Buffer.from(vectors.buffer));
+  write("embeddings-hashes.json", JSON.stringify(hashes));
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`\nDone in ${elapsed}s: ${profiles.length} profiles, ${points.length} map points (${skipped} without coords)`);
+}
+
+main().catch(err => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
@@ -8,20 +8,19 @@
  *   node enrich-generic.js data/osm-social_centres.json
  *   node enrich-generic.js data/osm-vegetarian_restaurants.json --exclude-names "McDonald|Burger King"
  *   node enrich-generic.js data/osm-vegetarian_restaurants.json --exclude-urls "mcdonalds|burgerking"
+ *   node enrich-generic.js data/osm-social_centres.json --output-only   # -> data/enriched-social_centres.json
  */
 
 const fs = require("fs");
 const path = require("path");
 const { JSDOM } = require("jsdom");
+const { fillLocation } = require("./lib/reverse-geocode");
 
 const CONCURRENCY = 15;
 const URL_TIMEOUT = 10000;
-const NOMINATIM_DELAY = 1100;
 const DATA_DIR = path.join(__dirname, "..", "data");
 const PROFILES_FILE = path.join(DATA_DIR, "profiles.json");
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
 function makeSemaphore(max) {
   let running = 0;
   const queue = [];
@@ -60,18 +59,6 @@ function extractDescriptionLight(html) {
   return null;
 }
 
-async function reverseGeocode(lat, lon) {
-  try {
-    const url = `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lon}&zoom=3&format=json&accept-language=en`;
-    const res = await fetch(url, {
-      headers: { "User-Agent": "CoBot/1.0 (community directory)" },
-    });
-    if (!res.ok) return null;
-    const json = await res.json();
-    return json.address?.country || null;
-  } catch { return null; }
-}
-
 async function main() {
   const startTime = Date.now();
 
@@ -127,7 +114,9 @@ async function main() {
   }
 
   // Step 2: Dedup against existing
-  const existing = JSON.parse(fs.readFileSync(PROFILES_FILE, "utf-8"));
+  // With --output-only the merge step resolves duplicates instead
+  const outputOnly = process.argv.includes("--output-only");
+  const existing = outputOnly ? [] : JSON.parse(fs.readFileSync(PROFILES_FILE, "utf-8"));
   const existingUrls = new Set();
   for (const p of existing) {
     const norm = normalizeUrl(p.primary_url);
@@ -236,38 +225,15 @@ async function main() {
   fs.writeFileSync(checkpointPath, JSON.stringify(valid, null, 2));
   console.log(`  Checkpoint saved: ${valid.length} valid profiles to ${path.basename(checkpointPath)}`);
 
-  // Step 4: Reverse geocode missing countries
-  const needsCountry = valid.filter(p => !p.country && p.latitude != null && p.longitude != null);
-  console.log(`  Reverse geocoding ${needsCountry.length} profiles...`);
-
-  const gridCache = new Map();
-  let geocoded = 0, geocodeFails = 0;
-
-  for (let i = 0; i < needsCountry.length; i++) {
-    const p = needsCountry[i];
-    const gridKey = `${Math.round(p.latitude)},${Math.round(p.longitude)}`;
-
-    if (gridCache.has(gridKey)) {
-      const country = gridCache.get(gridKey);
-      if (country) { p.country = country; geocoded++; }
-    } else {
-      const country = await reverseGeocode(p.latitude, p.longitude);
-      gridCache.set(gridKey, country);
-      if (country) { p.country = country; geocoded++; }
-      else { geocodeFails++; }
-      await sleep(NOMINATIM_DELAY);
-    }
-
-    if ((i + 1) % 50 === 0 || i === needsCountry.length - 1) {
-      process.stdout.write(`\r  [${categoryName}] geocode ${i + 1}/${needsCountry.length} (${geocoded} resolved, ${gridCache.size} cells cached)`);
-    }
-  }
-  if (needsCountry.length > 0) {
-    console.log(`\n  Geocoded: ${geocoded}, failed: ${geocodeFails}`);
+  // Step 4: Fill missing country/region from coordinates
+  const needsLocation = valid.filter(p => (!p.country || !p.region) && p.latitude != null && p.longitude != null);
+  let geocoded = 0;
+  for (const p of needsLocation) {
+    if (fillLocation(p)) geocoded++;
   }
+  console.log(`  Reverse geocoded ${geocoded}/${needsLocation.length} profiles missing country/region (offline)`);
 
   // Step 5: Save results
-  const outputOnly = process.argv.includes("--output-only");
   if (outputOnly) {
     const outPath = path.join(DATA_DIR, `enriched-${categoryName}.json`);
     fs.writeFileSync(outPath, JSON.stringify(valid, null, 2));
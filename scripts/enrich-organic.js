@@ -5,24 +5,25 @@
  * 1. Deduplicates against existing profiles.json
  * 2. Validates URLs by fetching pages (GET, not HEAD)
  * 3. Scrapes meta descriptions from websites
- * 4. Reverse geocodes lat/lon to fill missing country data
+ * 4. Reverse geocodes lat/lon offline to fill missing country/region
  * 5. Appends validated, enriched profiles to profiles.json
+ *    (or, with --output-only, writes them to data/enriched-organic_shops.json for
+ *    merge-profiles.js and skips the dedup against profiles.json)
  */
 
 const fs = require("fs");
 const path = require("path");
 const { JSDOM } = require("jsdom");
+const { fillLocation } = require("./lib/reverse-geocode");
 
 const CONCURRENCY = 15;
 const URL_TIMEOUT = 10000;
-const NOMINATIM_DELAY = 1100;
 const DATA_DIR = path.join(__dirname, "..", "data");
 const PROFILES_FILE = path.join(DATA_DIR, "profiles.json");
+const OUTPUT_FILE = path.join(DATA_DIR, "enriched-organic_shops.json");
 const INPUT_FILE = path.join(DATA_DIR, "osm-organic_shops.json");
 const LOG_FILE = path.join(DATA_DIR, "dead-links-organic.log");
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
 function makeSemaphore(max) {
   let running = 0;
   const queue = [];
@@ -60,18 +61,6 @@ function extractDescription(html, url) {
   } catch { return null; }
 }
 
-async function reverseGeocode(lat, lon) {
-  try {
-    const url = `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lon}&zoom=3&format=json&accept-language=en`;
-    const res = await fetch(url, {
-      headers: { "User-Agent": "CoBot/1.0 (community directory)" },
-    });
-    if (!res.ok) return null;
-    const json = await res.json();
-    return json.address?.country || null;
-  } catch { return null; }
-}
-
 async function main() {
   const startTime = Date.now();
 
@@ -84,7 +73,9 @@ async function main() {
   console.log(`Loaded ${allProfiles.length} organic shop profiles`);
 
   // Dedup against existing
-  const existing = JSON.parse(fs.readFileSync(PROFILES_FILE, "utf-8"));
+  // With --output-only the merge step resolves duplicates instead
+  const outputOnly = process.argv.includes("--output-only");
+  const existing = outputOnly ? [] : JSON.parse(fs.readFileSync(PROFILES_FILE, "utf-8"));
   const existingUrls = new Set();
   for (const p of existing) {
     const norm = normalizeUrl(p.primary_url);
@@ -175,40 +166,24 @@ async function main() {
   console.log(`\n\nURL validation: ${passed} passed, ${failed} failed`);
   console.log(`Descriptions improved: ${descImproved}`);
 
-  // Reverse geocode missing countries
-  const needsCountry = valid.filter(p => !p.country && p.latitude != null && p.longitude != null);
-  console.log(`\nReverse geocoding ${needsCountry.length} profiles with missing country...`);
-
-  const gridCache = new Map();
-  let geocoded = 0, geocodeFails = 0;
-
-  for (let i = 0; i < needsCountry.length; i++) {
-    const p = needsCountry[i];
-    const gridKey = `${Math.round(p.latitude)},${Math.round(p.longitude)}`;
-
-    if (gridCache.has(gridKey)) {
-      const country = gridCache.get(gridKey);
-      if (country) { p.country = country; geocoded++; }
-    } else {
-      const country = await reverseGeocode(p.latitude, p.longitude);
-      gridCache.set(gridKey, country);
-      if (country) { p.country = country; geocoded++; }
-      else { geocodeFails++; }
-      await sleep(NOMINATIM_DELAY);
-    }
-
-    if ((i + 1) % 50 === 0 || i === needsCountry.length - 1) {
-      process.stdout.write(`\r  ${i + 1}/${needsCountry.length} (${geocoded} resolved, ${gridCache.size} grid cells cached)`);
-    }
+  // Fill missing country/region from coordinates
+  const needsLocation = valid.filter(p => (!p.country || !p.region) && p.latitude != null && p.longitude != null);
+  let geocoded = 0;
+  for (const p of needsLocation) {
+    if (fillLocation(p)) geocoded++;
+  }
+  console.log(`\nReverse geocoded ${geocoded}/${needsLocation.length} profiles missing country/region (offline)`);
+
+  // Append to profiles.json (or save on their own)
+  if (outputOnly) {
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(valid, null, 2));
+    console.log(`\nSaved ${valid.length} organic shop profiles to ${path.basename(OUTPUT_FILE)}`);
+  } else {
+    const before = existing.length;
+    existing.push(...valid);
+    fs.writeFileSync(PROFILES_FILE, JSON.stringify(existing, null, 2));
+    console.log(`\nAdded ${valid.length} organic shop profiles: ${before} → ${existing.length}`);
   }
-  console.log(`\n  Geocoded: ${geocoded}, failed: ${geocodeFails}, unique cells: ${gridCache.size}`);
-
-  // Append to profiles.json
-  const before = existing.length;
-  existing.push(...valid);
-  fs.writeFileSync(PROFILES_FILE, JSON.stringify(existing, null, 2));
-
-  console.log(`\nAdded ${valid.length} organic shop profiles: ${before} → ${existing.length}`);
 
   // Log dead links
   if (logLines.length > 0) {
@@ -11,6 +11,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { sourceAttribution } = require("../api/_sources");
 
 const INDEX_URL = "https://index.murmurations.network/v2/nodes";
 const SCHEMA = "karte_von_morgen-v1.0.0";
@@ -112,6 +113,7 @@ function extractProfile(node) {
     tags: node.tags || [],
     primary_url: primaryUrl,
     source: "kvm",
+    ...sourceAttribution("kvm"),
   };
 }
 
@@ -8,6 +8,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { sourceAttribution } = require("../api/_sources");
 
 const OVERPASS_URL = "https://overpass-api.de/api/interpreter";
 const DATA_DIR = path.join(__dirname, "..", "data");
@@ -93,6 +94,7 @@ function normalize(el) {
   return {
     profile_url: `osm:${el.type}/${el.id}`,
     source: "openstreetmap",
+    ...sourceAttribution("openstreetmap"),
     name,
     description,
     latitude: lat,
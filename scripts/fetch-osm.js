@@ -12,6 +12,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { sourceAttribution } = require("../api/_sources");
 
 const OVERPASS_URL = "https://overpass-api.de/api/interpreter";
 const REGION_DELAY = 10000;
@@ -315,6 +316,7 @@ function normalizeElement(el, category) {
   return {
     profile_url: `osm:${el.type}/${el.id}`,
     source: "openstreetmap",
+    ...sourceAttribution("openstreetmap"),
     name,
     description,
     latitude: lat,
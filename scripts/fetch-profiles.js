@@ -3,10 +3,13 @@
 /**
  * Fetches all organisation profiles from the Murmurations Index API
  * and enriches them with descriptions from individual profile URLs.
+ * Writes data/murmurations-profiles.json (merged into profiles.json by
+ * merge-profiles.js).
  */
 
 const fs = require("fs");
 const path = require("path");
+const { sourceAttribution } = require("../api/_sources");
 
 const INDEX_URL = "https://index.murmurations.network/v2/nodes";
 const SCHEMA = "organizations_schema-v1.0.0";
@@ -79,6 +82,7 @@ function extractProfile(node) {
     primary_url: node.primary_url && node.primary_url !== "-" ? node.primary_url : null,
     image: null,
     source: "murmurations",
+    ...sourceAttribution("murmurations"),
   };
 }
 
@@ -143,7 +147,7 @@ async function main() {
 
   // Save
   fs.mkdirSync(DATA_DIR, { recursive: true });
-  const outPath = path.join(DATA_DIR, "profiles.json");
+  const outPath = path.join(DATA_DIR, "murmurations-profiles.json");
   fs.writeFileSync(outPath, JSON.stringify(valid, null, 2));
   console.log(`\nSaved ${valid.length} profiles to ${outPath}`);
 
@@ -2,6 +2,7 @@
 /**
  * Generate lightweight map-points.json for background map dots.
  * Extracts only lat/lon + popup fields from profiles-meta.json.
+ * (build-index.js writes it too; this regenerates it on its own.)
  *
  * Reads:  data/profiles-meta.json
  * Writes: data/map-points.json
@@ -9,6 +10,8 @@
 
 const fs = require("fs");
 const path = require("path");
+const { buildMapPoints } = require("./lib/map-points");
+const { assignIds } = require("../api/_ids");
 
 const DATA_DIR = path.join(__dirname, "..", "data");
 const INPUT = path.join(DATA_DIR, "profiles-meta.json");
@@ -16,25 +19,10 @@ const OUTPUT = path.join(DATA_DIR, "map-points.json");
 
 const profiles = JSON.parse(fs.readFileSync(INPUT, "utf8"));
 console.log(`Loaded ${profiles.length} profiles`);
+// Indexes built before profiles had ids get the same ones the server assigns
+assignIds(profiles);
 
-const points = [];
-let skipped = 0;
-
-for (const p of profiles) {
-  if (p.latitude == null || p.longitude == null) {
-    skipped++;
-    continue;
-  }
-  const loc = [p.locality, p.region, p.country].filter(Boolean).join(", ");
-  points.push({
-    lat: p.latitude,
-    lon: p.longitude,
-    name: p.name || "Unknown",
-    url: p.primary_url || null,
-    loc: loc || null,
-    src: p.source || "murmurations",
-  });
-}
+const { points, skipped } = buildMapPoints(profiles);
 
 const json = JSON.stringify(points);
 fs.writeFileSync(OUTPUT, json);
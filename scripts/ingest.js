@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * cobot-ingest — fetch one or more directory sources into data/.
+ *
+ * Each source is an adapter in scripts/sources/<name>.js; see
+ * scripts/lib/ingest.js for the adapter interface and the shared cleaning
+ * (URL fixing, social/directory link filtering, domain dedup).
+ *
+ * Usage:
+ *   node scripts/ingest.js <source> [<source> ...]
+ *   node scripts/ingest.js --all
+ *   node scripts/ingest.js --list
+ *   npx cobot-ingest <source>
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { runSource } = require("./lib/ingest");
+
+const SOURCES_DIR = path.join(__dirname, "sources");
+
+function listSources() {
+  return fs.readdirSync(SOURCES_DIR)
+    .filter(f => f.endsWith(".js"))
+    .map(f => path.basename(f, ".js"))
+    .sort();
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const available = listSources();
+
+  if (args.length === 0 || args.includes("--list")) {
+    if (args.length === 0) console.log("Usage: cobot-ingest <source> [<source> ...] | --all | --list\n");
+    console.log("Sources:");
+    for (const name of available) {
+      const adapter = require(path.join(SOURCES_DIR, name));
+      console.log(`  ${name.padEnd(18)} ${adapter.label} -> data/${adapter.outFile}`);
+    }
+    return;
+  }
+
+  const names = args.includes("--all") ? available : args;
+  const unknown = names.filter(n => !available.includes(n));
+  if (unknown.length > 0) {
+    console.error(`Unknown source: ${unknown.join(", ")} (try --list)`);
+    process.exit(1);
+  }
+
+  const failed = [];
+  for (const name of names) {
+    if (names.length > 1) console.log(`\n=== ${name} ===`);
+    try {
+      await runSource(require(path.join(SOURCES_DIR, name)));
+    } catch (err) {
+      console.error(`Error (${name}): ${err.message}`);
+      failed.push(name);
+    }
+  }
+  if (failed.length > 0) {
+    console.error(`\nFailed: ${failed.join(", ")}`);
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,165 @@
+/**
+ * Builds the IVF index read by api/_ann.js: spherical k-means over the
+ * (normalised) embeddings, then an nprobe picked by measuring recall
+ * against a brute-force scan on a sample of the dataset's own vectors.
+ */
+
+const { annCandidates } = require("../../api/_ann");
+
+const MAX_LISTS = 1024;
+const TRAIN_PER_LIST = 64;      // k-means trains on up to nlist * this vectors
+const ITERATIONS = 10;
+const RECALL_QUERIES = 200;
+const RECALL_K = 20;
+const TARGET_RECALL = 0.95;
+
+// Small seeded PRNG so rebuilds of the same data give the same index
+function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sample(count, n, random) {
+  const idx = Array.from({ length: count }, (_, i) => i);
+  for (let i = 0; i < Math.min(n, count); i++) {
+    const j = i + Math.floor(random() * (count - i));
+    [idx[i], idx[j]] = [idx[j], idx[i]];
+  }
+  return idx.slice(0, Math.min(n, count));
+}
+
+function dot(a, aOff, b, bOff, dim) {
+  let s = 0;
+  for (let i = 0; i < dim; i++) s += a[aOff + i] * b[bOff + i];
+  return s;
+}
+
+function nearestCentroid(vectors, v, centroids, nlist, dim) {
+  let best = 0, bestSim = -Infinity;
+  for (let c = 0; c < nlist; c++) {
+    const sim = dot(vectors, v * dim, centroids, c * dim, dim);
+    if (sim > bestSim) {
+      bestSim = sim;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * Cluster `count` vectors of `dim` into lists. Returns
+ * { nlist, centroids, offsets, ids }.
+ */
+function buildIvf(vectors, count, dim, { seed = 1 } = {}) {
+  const random = mulberry32(seed);
+  const nlist = Math.max(1, Math.min(MAX_LISTS, Math.round(Math.sqrt(count))));
+  const train = sample(count, nlist * TRAIN_PER_LIST, random);
+
+  const centroids = new Float32Array(nlist * dim);
+  sample(train.length, nlist, random).forEach((t, c) => {
+    centroids.set(vectors.subarray(train[t] * dim, (train[t] + 1) * dim), c * dim);
+  });
+
+  const assign = new Int32Array(train.length);
+  for (let iter = 0; iter < ITERATIONS; iter++) {
+    for (let t = 0; t < train.length; t++) assign[t] = nearestCentroid(vectors, train[t], centroids, nlist, dim);
+
+    const sums = new Float64Array(nlist * dim);
+    const sizes = new Int32Array(nlist);
+    for (let t = 0; t < train.length; t++) {
+      const c = assign[t];
+      sizes[c]++;
+      for (let i = 0; i < dim; i++) sums[c * dim + i] += vectors[train[t] * dim + i];
+    }
+    for (let c = 0; c < nlist; c++) {
+      // An empty list restarts from a random training vector
+      if (sizes[c] === 0) {
+        const v = train[Math.floor(random() * train.length)];
+        centroids.set(vectors.subarray(v * dim, (v + 1) * dim), c * dim);
+        continue;
+      }
+      let norm = 0;
+      for (let i = 0; i < dim; i++) norm += sums[c * dim + i] ** 2;
+      norm = Math.sqrt(norm) || 1;
+      for (let i = 0; i < dim; i++) centroids[c * dim + i] = sums[c * dim + i] / norm;
+    }
+  }
+
+  const lists = Array.from({ length: nlist }, () => []);
+  for (let v = 0; v < count; v++) lists[nearestCentroid(vectors, v, centroids, nlist, dim)].push(v);
+  const offsets = new Uint32Array(nlist + 1);
+  const ids = new Uint32Array(count);
+  let pos = 0;
+  lists.forEach((list, c) => {
+    offsets[c] = pos;
+    ids.set(list, pos);
+    pos += list.length;
+  });
+  offsets[nlist] = pos;
+  return { nlist, centroids, offsets, ids };
+}
+
+/**
+ * Recall of the probed lists against a brute-force scan, for each nprobe
+ * tried: the share of the true top RECALL_K neighbours (and of everything
+ * at or above `threshold`) that the lists contain. Queries are a sample of
+ * the dataset's own vectors, each excluded from its own results.
+ */
+function measureRecall(ivf, vectors, count, dim, { threshold, seed = 2 } = {}) {
+  const random = mulberry32(seed);
+  const queries = sample(count, RECALL_QUERIES, random);
+  const index = { ...ivf, dim };
+  const nprobes = [];
+  for (let n = 1; n < ivf.nlist; n *= 2) nprobes.push(n);
+  nprobes.push(ivf.nlist);
+
+  const hitsK = new Float64Array(nprobes.length);
+  const hitsT = new Float64Array(nprobes.length);
+  let totalK = 0, totalT = 0;
+  const sims = new Float32Array(count);
+  for (const q of queries) {
+    for (let v = 0; v < count; v++) sims[v] = v === q ? -Infinity : dot(vectors, q * dim, vectors, v * dim, dim);
+    const order = Array.from(sims.keys()).sort((a, b) => sims[b] - sims[a]);
+    const topK = order.slice(0, Math.min(RECALL_K, count - 1));
+    const aboveT = order.filter((v) => sims[v] >= threshold);
+    totalK += topK.length;
+    totalT += aboveT.length;
+
+    const queryVec = vectors.subarray(q * dim, (q + 1) * dim);
+    nprobes.forEach((n, i) => {
+      const found = new Set(annCandidates(index, queryVec, n));
+      hitsK[i] += topK.filter((v) => found.has(v)).length;
+      hitsT[i] += aboveT.filter((v) => found.has(v)).length;
+    });
+  }
+
+  const round = (x) => Math.round(x * 1000) / 1000;
+  return nprobes.map((nprobe, i) => ({
+    nprobe,
+    recallAtK: totalK ? round(hitsK[i] / totalK) : 1,
+    recallAboveThreshold: totalT ? round(hitsT[i] / totalT) : 1,
+  }));
+}
+
+// Smallest nprobe that reaches TARGET_RECALL for both the top k and the
+// above-threshold set (which decides result totals)
+function chooseNprobe(measurements) {
+  const ok = measurements.find((m) => m.recallAtK >= TARGET_RECALL && m.recallAboveThreshold >= TARGET_RECALL);
+  return (ok || measurements[measurements.length - 1]).nprobe;
+}
+
+// ann-index.bin: centroids, then list offsets, then profile indices
+function serializeIvf(ivf) {
+  return Buffer.concat([
+    Buffer.from(ivf.centroids.buffer, ivf.centroids.byteOffset, ivf.centroids.byteLength),
+    Buffer.from(ivf.offsets.buffer, ivf.offsets.byteOffset, ivf.offsets.byteLength),
+    Buffer.from(ivf.ids.buffer, ivf.ids.byteOffset, ivf.ids.byteLength),
+  ]);
+}
+
+module.exports = { RECALL_K, TARGET_RECALL, buildIvf, measureRecall, chooseNprobe, serializeIvf };
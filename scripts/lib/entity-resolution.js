@@ -0,0 +1,359 @@
+/**
+ * Cross-source entity resolution for merge-profiles.js: finds records from
+ * different directories that describe the same organisation and folds each
+ * group into one profile.
+ *
+ * Candidate pairs share a website, sit in the same ~2 km grid cell with a
+ * name token in common, or (when one side has no coordinates) have the same
+ * name in the same country. Each pair is then judged on:
+ *
+ *   - normalised site: host without www/protocol, plus the first path
+ *     segment on shared hosts (facebook.com/<page>, linktr.ee/<name>...)
+ *   - name similarity: bigram Dice over the name with legal forms and
+ *     filler words ("Ltd", "Co-op", "e.V.", "the") removed
+ *   - distance between the coordinates
+ *
+ * and is either merged, left alone, or written to the review report when
+ * the evidence is mixed (same site but different names, similar names a
+ * street apart but different websites...). Matches are merged transitively.
+ *
+ * Merged profiles get `sources` (every contributing source) and
+ * `provenance`: which source supplied each field group. Fields come from the
+ * record with the best source priority (sources.json) that has them; within
+ * a priority the longer description wins. `license` and `attribution` list
+ * every contributing source's (as an SPDX "A AND B" expression / "; "-joined).
+ */
+
+const { hasCoords, haversineKm } = require("../../api/_spatial");
+const { normalizeCountry } = require("../../api/_gazetteer");
+
+const NAME_MATCH = 0.85;      // near-identical names
+const NAME_REVIEW = 0.6;      // similar enough to look at
+const NEAR_KM = 0.25;         // same building / block
+const CLOSE_KM = 2;
+const FAR_KM = 25;            // same site this far apart: chapters of a network
+const CELL_DEG = 0.02;        // geo blocking grid (~2 km)
+const MAX_GROUP = 25;         // a site or name shared by more records is a chain or directory link
+
+// Hosts where the page, not the host, identifies the organisation
+const SHARED_HOSTS = new Set([
+  "facebook.com", "instagram.com", "twitter.com", "x.com", "youtube.com",
+  "tiktok.com", "linkedin.com", "linktr.ee", "sites.google.com", "google.com",
+  "meetup.com", "eventbrite.com", "github.com", "medium.com", "openstreetmap.org",
+]);
+
+// Legal forms and filler words that vary between directories
+const NAME_STOPWORDS = new Set([
+  "the", "and", "of", "for", "de", "la", "le", "les", "des", "der", "die", "das", "und", "et", "y",
+  "ltd", "limited", "inc", "llc", "llp", "plc", "cic", "cio", "gmbh", "ev", "eg", "eu",
+  "sa", "sas", "sarl", "scop", "scic", "bv", "vzw", "asbl", "ab", "oy", "as",
+  "coop", "cooperative", "cooperativa", "cooperatie", "cooperativo", "genossenschaft",
+]);
+
+// Merge priority for sources without one (lower wins)
+const DEFAULT_PRIORITY = 1;
+
+// -------------------------------------------------------------------
+// Normalisation
+// -------------------------------------------------------------------
+
+function parseUrl(url) {
+  if (!url) return null;
+  try {
+    const u = new URL(/^https?:\/\//i.test(url) ? url : "https://" + url);
+    return { host: u.hostname.replace(/^www\./, "").toLowerCase(), path: u.pathname.toLowerCase().replace(/\/+$/, "") };
+  } catch {
+    return null;
+  }
+}
+
+// "x.coop" for https://www.x.coop/en, "facebook.com/xcoop" for a Facebook page
+function siteKey(url) {
+  const u = parseUrl(url);
+  if (!u) return null;
+  if (!SHARED_HOSTS.has(u.host)) return u.host;
+  const first = u.path.split("/")[1];
+  return first ? `${u.host}/${first}` : null;
+}
+
+// Host and path, ignoring protocol, www, query and trailing slash
+function urlKey(url) {
+  const u = parseUrl(url);
+  return u ? u.host + u.path : null;
+}
+
+function nameTokens(name) {
+  const words = String(name || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+    .replace(/co-op/g, "coop").replace(/e\.v\./g, "ev")
+    .split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const kept = words.filter(w => !NAME_STOPWORDS.has(w));
+  return kept.length > 0 ? kept : words;
+}
+
+function bigrams(s) {
+  const counts = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    counts.set(g, (counts.get(g) || 0) + 1);
+  }
+  return counts;
+}
+
+// Dice coefficient over character bigrams of the joined name tokens (0..1)
+function nameSimilarity(a, b) {
+  if (a === b) return a ? 1 : 0;
+  if (a.length < 2 || b.length < 2) return 0;
+  const ba = bigrams(a), bb = bigrams(b);
+  let overlap = 0;
+  for (const [g, n] of ba) overlap += Math.min(n, bb.get(g) || 0);
+  return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+function fold(s) {
+  return String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+function prepare(p, i) {
+  const tokens = nameTokens(p.name);
+  return {
+    i,
+    p,
+    tokens,
+    name: tokens.join(""),
+    site: siteKey(p.primary_url),
+    url: urlKey(p.primary_url),
+    coords: hasCoords(p),
+    country: normalizeCountry(p.country)?.code || fold(p.country),
+    locality: fold(p.locality),
+  };
+}
+
+// -------------------------------------------------------------------
+// Candidate pairs
+// -------------------------------------------------------------------
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const it of items) {
+    const key = keyOf(it);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(it);
+  }
+  return groups;
+}
+
+function candidatePairs(items) {
+  const n = items.length;
+  const pairs = new Set();   // i * n + j, i < j
+  const add = (a, b) => {
+    if (a.i === b.i) return;
+    pairs.add(a.i < b.i ? a.i * n + b.i : b.i * n + a.i);
+  };
+
+  // Same site
+  for (const group of groupBy(items, it => it.site).values()) {
+    for (let x = 0; x < group.length; x++) {
+      for (let y = x + 1; y < group.length; y++) add(group[x], group[y]);
+    }
+  }
+
+  // Nearby with a name token in common
+  const cellOf = (it) => [Math.floor(it.p.latitude / CELL_DEG), Math.floor(it.p.longitude / CELL_DEG)];
+  const blockKeys = (it) => [...new Set([...it.tokens, it.name])];
+  const geo = new Map();
+  for (const it of items) {
+    if (!it.coords) continue;
+    const [lat, lon] = cellOf(it);
+    for (const t of blockKeys(it)) {
+      const key = `${lat}:${lon}:${t}`;
+      if (!geo.has(key)) geo.set(key, []);
+      geo.get(key).push(it);
+    }
+  }
+  for (const it of items) {
+    if (!it.coords) continue;
+    const [lat, lon] = cellOf(it);
+    for (let dLat = -1; dLat <= 1; dLat++) {
+      for (let dLon = -1; dLon <= 1; dLon++) {
+        for (const t of blockKeys(it)) {
+          for (const other of geo.get(`${lat + dLat}:${lon + dLon}:${t}`) || []) add(it, other);
+        }
+      }
+    }
+  }
+
+  // Same name and country, one side without coordinates (not chains)
+  for (const group of groupBy(items, it => it.name && `${it.country}|${it.name}`).values()) {
+    if (group.length > MAX_GROUP) continue;
+    for (let x = 0; x < group.length; x++) {
+      for (let y = x + 1; y < group.length; y++) {
+        if (!group[x].coords || !group[y].coords) add(group[x], group[y]);
+      }
+    }
+  }
+
+  return [...pairs].map(k => [items[Math.floor(k / n)], items[k % n]]);
+}
+
+// -------------------------------------------------------------------
+// Pair decision
+// -------------------------------------------------------------------
+
+/**
+ * Returns { decision: "match" | "review", reason, similarity, km } or null
+ * when the pair is clearly two different organisations.
+ */
+function judge(a, b) {
+  const similarity = nameSimilarity(a.name, b.name);
+  const km = a.coords && b.coords
+    ? haversineKm(a.p.latitude, a.p.longitude, b.p.latitude, b.p.longitude)
+    : null;
+  const result = (decision, reason) => ({ decision, reason, similarity, km });
+
+  if (a.url && a.url === b.url) return result("match", "same URL");
+
+  if (a.site && a.site === b.site) {
+    if (km !== null && km > FAR_KM) {
+      return similarity >= NAME_MATCH ? result("review", "same site, far apart") : null;
+    }
+    if (similarity >= NAME_REVIEW || (km !== null && km <= NEAR_KM)) return result("match", "same site");
+    return result("review", "same site, different names");
+  }
+
+  const otherSites = a.site && b.site;
+  if (km === null) {
+    if (a.name !== b.name || a.country !== b.country) return null;
+    if (!otherSites && a.locality && a.locality === b.locality) return result("match", "same name and locality");
+    return result("review", "same name, no coordinates");
+  }
+  if (km <= NEAR_KM && similarity >= NAME_MATCH && !otherSites) return result("match", "same name and place");
+  if (km <= CLOSE_KM && similarity >= NAME_REVIEW) {
+    return result("review", otherSites ? "similar name and place, different sites" : "similar name nearby");
+  }
+  return null;
+}
+
+// -------------------------------------------------------------------
+// Merging
+// -------------------------------------------------------------------
+
+// Union-find over record indexes
+function makeSets(n) {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+  const union = (a, b) => {
+    const ra = find(a), rb = find(b);
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+  return { find, union };
+}
+
+const sourceOf = (p, field) => p.provenance?.[field] || p.source;
+
+/**
+ * Fold a group of records into one profile. Each field group comes from the
+ * best-ranked record that has it; tags are the union of all records.
+ */
+function mergeGroup(records, priorityOf) {
+  const ranked = [...records].sort((a, b) =>
+    priorityOf(a) - priorityOf(b) || (b.description || "").length - (a.description || "").length);
+  const merged = { ...ranked[0] };
+  const provenance = {};
+
+  const take = (field, has, fields) => {
+    const from = ranked.find(has);
+    if (!from) return;
+    for (const f of fields) merged[f] = from[f];
+    provenance[field] = sourceOf(from, field);
+  };
+  take("name", p => p.name, ["name"]);
+  take("description", p => p.description, ["description"]);
+  take("primary_url", p => p.primary_url, ["primary_url", "profile_url"]);
+  take("coords", hasCoords, ["latitude", "longitude"]);
+  take("location", p => p.country || p.locality || p.region, ["locality", "region", "country"]);
+
+  const tags = new Map();   // lowercase -> tag
+  const tagSources = new Set();
+  for (const p of ranked) {
+    if (!Array.isArray(p.tags) || p.tags.length === 0) continue;
+    for (const t of p.tags) if (!tags.has(t.toLowerCase())) tags.set(t.toLowerCase(), t);
+    for (const s of [].concat(p.provenance?.tags || p.source)) tagSources.add(s);
+  }
+  merged.tags = [...tags.values()];
+  if (tagSources.size > 0) provenance.tags = [...tagSources];
+
+  merged.sources = [...new Set(ranked.flatMap(p => p.sources || [p.source]))];
+  const licenses = new Set(ranked.flatMap(p => p.license ? p.license.split(" AND ") : []));
+  const attributions = new Set(ranked.flatMap(p => p.attribution ? p.attribution.split("; ") : []));
+  merged.license = licenses.size > 0 ? [...licenses].join(" AND ") : null;
+  merged.attribution = attributions.size > 0 ? [...attributions].join("; ") : null;
+  merged.provenance = provenance;
+  return merged;
+}
+
+/**
+ * Resolve duplicates across `profiles`. `priorities` maps profile.source to
+ * its merge priority. Returns { profiles, merged: { reason: count }, review }
+ * where `review` lists the uncertain pairs (left unmerged) for a human to check.
+ */
+function resolveEntities(profiles, { priorities = new Map() } = {}) {
+  const priorityOf = (p) => priorities.get(p.source) ?? DEFAULT_PRIORITY;
+  const items = profiles.map(prepare);
+
+  // A site shared by many records is a chain's or directory's homepage
+  const siteCounts = new Map();
+  for (const it of items) if (it.site) siteCounts.set(it.site, (siteCounts.get(it.site) || 0) + 1);
+  for (const it of items) {
+    if (it.site && siteCounts.get(it.site) > MAX_GROUP) it.site = it.url = null;
+  }
+
+  const sets = makeSets(items.length);
+  const merged = {};
+  const uncertain = [];
+  for (const [a, b] of candidatePairs(items)) {
+    const verdict = judge(a, b);
+    if (!verdict) continue;
+    if (verdict.decision === "match") {
+      sets.union(a.i, b.i);
+      merged[verdict.reason] = (merged[verdict.reason] || 0) + 1;
+    } else {
+      uncertain.push({ a, b, verdict });
+    }
+  }
+
+  const groups = new Map();   // root -> records, in input order
+  for (const it of items) {
+    const root = sets.find(it.i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(it.p);
+  }
+  const resolved = [...groups.values()].map(g => g.length === 1 ? g[0] : mergeGroup(g, priorityOf));
+
+  const summary = (p) => ({
+    source: p.source,
+    name: p.name,
+    primary_url: p.primary_url || null,
+    locality: p.locality || null,
+    country: p.country || null,
+    latitude: p.latitude ?? null,
+    longitude: p.longitude ?? null,
+  });
+  const review = uncertain
+    .filter(({ a, b }) => sets.find(a.i) !== sets.find(b.i))
+    .sort((x, y) => y.verdict.similarity - x.verdict.similarity)
+    .map(({ a, b, verdict }) => ({
+      reason: verdict.reason,
+      name_similarity: Math.round(verdict.similarity * 100) / 100,
+      distance_km: verdict.km === null ? null : Math.round(verdict.km * 100) / 100,
+      a: summary(a.p),
+      b: summary(b.p),
+    }));
+
+  return { profiles: resolved, merged, review };
+}
+
+module.exports = { resolveEntities };
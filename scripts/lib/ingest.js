@@ -0,0 +1,303 @@
+/**
+ * Source ingestion: shared helpers for directory fetchers plus the
+ * pipeline that runs a source adapter (scripts/sources/<name>.js).
+ *
+ * An adapter only knows its source:
+ *
+ *   module.exports = {
+ *     label: "Repair Café map",          // for log output
+ *     source: "repair-cafes",            // profile.source
+ *     outFile: "repair-cafes.json",      // written to data/
+ *     skipDomains: [...SOCIAL_DOMAINS],  // optional, default SOCIAL_DOMAINS
+ *     dedupExisting: false,              // optional, also skip other sources' domains in profiles.json
+ *     async fetch(ctx) { return records; },
+ *     normalise(record, ctx) { return profile or ctx.skip("reason"); },
+ *   };
+ *
+ * runSource() then fixes and filters primary_url (missing protocol, skipped
+ * domains), dedups by domain, fills the standard profile fields (with the
+ * source's license and attribution from sources.json), writes the
+ * output file and prints the usual cleaning stats. Checkpoints opened via
+ * ctx.checkpoint() are removed once the output is saved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { sourceAttribution } = require("../../api/_sources");
+
+const DATA_DIR = path.join(__dirname, "..", "..", "data");
+const PROFILES_FILE = path.join(DATA_DIR, "profiles.json");
+const USER_AGENT = "CoBot/1.0 (community directory)";
+const FETCH_TIMEOUT = 30000;
+
+// Not an org's own website
+const SOCIAL_DOMAINS = [
+  "facebook.com", "instagram.com", "twitter.com", "x.com",
+  "youtube.com", "tiktok.com", "linkedin.com",
+];
+
+// -------------------------------------------------------------------
+// URLs
+// -------------------------------------------------------------------
+
+/**
+ * Trim, take the first of several ";"-separated URLs and add a missing
+ * https://. Returns null when nothing parseable is left.
+ */
+function fixUrl(raw) {
+  if (!raw) return null;
+  let url = String(raw).trim();
+  if (url.includes(";")) url = url.split(";")[0].trim();
+  if (!url || url === "NULL") return null;
+  if (!/^https?:\/\//i.test(url)) url = "https://" + url;
+  try {
+    new URL(url);
+    return url;
+  } catch {
+    return null;
+  }
+}
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+// True when the URL's host is one of `domains` or a subdomain of one
+function isSkipUrl(url, domains = SOCIAL_DOMAINS) {
+  const host = domainOf(url);
+  if (!host) return true;
+  return domains.some(d => host === d || host.endsWith("." + d));
+}
+
+// -------------------------------------------------------------------
+// Text
+// -------------------------------------------------------------------
+
+const ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+  ndash: "–", mdash: "—", hellip: "…",
+  lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”",
+};
+// &eacute; &ntilde; &uuml; ... as letter + combining mark
+const ACCENTS = { acute: "\u0301", grave: "\u0300", circ: "\u0302", uml: "\u0308", tilde: "\u0303", cedil: "\u0327" };
+
+// Decode named and numeric HTML entities (also double-encoded "&amp;amp;")
+// Out-of-range numeric entities (scraped pages have them) stay as written
+function fromCodePoint(entity, code) {
+  return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+}
+
+function decodeEntities(str) {
+  if (!str) return "";
+  return String(str)
+    .replace(/&amp;(?=#?\w+;)/g, "&")
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => fromCodePoint(m, parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => fromCodePoint(m, Number(dec)))
+    .replace(/&([a-z])(acute|grave|circ|uml|tilde|cedil);/gi, (_, letter, accent) => (letter + ACCENTS[accent.toLowerCase()]).normalize("NFC"))
+    .replace(/&([a-z]+);/gi, (m, name) => ENTITIES[name.toLowerCase()] ?? m);
+}
+
+// Strip tags, decode entities and collapse whitespace
+function stripHtml(str) {
+  if (!str) return "";
+  return decodeEntities(String(str).replace(/<[^>]+>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+function truncate(str, max) {
+  return str.length > max ? str.slice(0, max - 3) + "..." : str;
+}
+
+// -------------------------------------------------------------------
+// Network
+// -------------------------------------------------------------------
+
+async function request(url, timeout) {
+  const res = await fetch(url, {
+    headers: { "User-Agent": USER_AGENT },
+    signal: AbortSignal.timeout(timeout),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText} for ${url}`);
+  return res;
+}
+
+async function fetchJson(url, { timeout = FETCH_TIMEOUT } = {}) {
+  return (await request(url, timeout)).json();
+}
+
+async function fetchText(url, { timeout = FETCH_TIMEOUT } = {}) {
+  return (await request(url, timeout)).text();
+}
+
+/**
+ * Run `fn(item)` over `items` `concurrency` at a time, pausing `delay` ms
+ * between batches. `onBatch(done, total)` is called after each batch.
+ * Returns the results in input order.
+ */
+async function mapInBatches(items, fn, { concurrency = 5, delay = 0, onBatch } = {}) {
+  const results = [];
+  for (let i = 0; i < items.length; i += concurrency) {
+    const batch = items.slice(i, i + concurrency);
+    results.push(...await Promise.all(batch.map(fn)));
+    const done = Math.min(i + concurrency, items.length);
+    if (onBatch) onBatch(done, items.length);
+    if (delay && done < items.length) await new Promise(r => setTimeout(r, delay));
+  }
+  return results;
+}
+
+// -------------------------------------------------------------------
+// Checkpoints
+// -------------------------------------------------------------------
+
+/**
+ * Resumable key -> value store in data/checkpoint-<name>.json, for sources
+ * that scrape thousands of pages. `data` is the loaded state; call save()
+ * every so often.
+ */
+function openCheckpoint(name) {
+  const file = path.join(DATA_DIR, `checkpoint-${name}.json`);
+  let data = {};
+  try {
+    if (fs.existsSync(file)) {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+      console.log(`  Resuming from checkpoint: ${Object.keys(data).length} entries already done`);
+    }
+  } catch {
+    console.log("  Could not load checkpoint, starting fresh");
+  }
+  return {
+    data,
+    save() { fs.writeFileSync(file, JSON.stringify(data)); },
+    remove() { if (fs.existsSync(file)) fs.unlinkSync(file); },
+  };
+}
+
+// -------------------------------------------------------------------
+// Pipeline
+// -------------------------------------------------------------------
+
+function printBreakdown(title, values, limit) {
+  const counts = {};
+  for (const v of values) counts[v || "(unknown)"] = (counts[v || "(unknown)"] || 0) + 1;
+  console.log(`\n--- ${title} ---`);
+  Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .forEach(([v, n]) => console.log(`  ${v}: ${n}`));
+}
+
+// Domains already in profiles.json from other sources (a rebuild must not
+// drop this source's own earlier profiles)
+function existingDomains(ownSource) {
+  const domains = new Set();
+  if (!fs.existsSync(PROFILES_FILE)) return domains;
+  for (const p of JSON.parse(fs.readFileSync(PROFILES_FILE, "utf8"))) {
+    if (p.source === ownSource) continue;
+    const d = domainOf(p.primary_url);
+    if (d) domains.add(d);
+  }
+  return domains;
+}
+
+/**
+ * Fetch, normalise, clean and save one source. Returns the saved profiles.
+ */
+async function runSource(adapter) {
+  const skipped = {};
+  const checkpoints = [];
+  const ctx = {
+    dataDir: DATA_DIR,
+    skipDomains: adapter.skipDomains || SOCIAL_DOMAINS,
+    // Drop the current record, counted under `reason`
+    skip(reason) {
+      skipped[reason] = (skipped[reason] || 0) + 1;
+      return null;
+    },
+    checkpoint(name) {
+      const cp = openCheckpoint(name);
+      checkpoints.push(cp);
+      return cp;
+    },
+  };
+
+  console.log(`Fetching ${adapter.label}...`);
+  const records = await adapter.fetch(ctx);
+  console.log(`  ${records.length} entries received`);
+
+  const known = adapter.dedupExisting ? existingDomains(adapter.source) : new Set();
+  const seenDomains = new Set();
+  const profiles = [];
+
+  for (const record of records) {
+    const p = adapter.normalise(record, ctx);
+    if (!p) continue;
+
+    const url = fixUrl(p.primary_url);
+    if (!url) { ctx.skip("no URL"); continue; }
+    if (isSkipUrl(url, ctx.skipDomains)) { ctx.skip("skipped domain"); continue; }
+    const domain = domainOf(url);
+    if (known.has(domain)) { ctx.skip("already in profiles.json"); continue; }
+    if (seenDomains.has(domain)) { ctx.skip("duplicate domain"); continue; }
+    seenDomains.add(domain);
+
+    const name = (p.name || "").trim();
+    if (!name) { ctx.skip("no name"); continue; }
+
+    profiles.push({
+      name,
+      description: (p.description || "").trim(),
+      primary_url: url,
+      profile_url: p.profile_url || url,
+      latitude: Number.isFinite(p.latitude) ? p.latitude : null,
+      longitude: Number.isFinite(p.longitude) ? p.longitude : null,
+      locality: (p.locality || "").trim(),
+      region: (p.region || "").trim(),
+      country: (p.country || "").trim(),
+      tags: p.tags || [],
+      source: adapter.source,
+      ...sourceAttribution(adapter.source),
+    });
+  }
+
+  console.log(`\n--- Cleaning results ---`);
+  console.log(`  Total received: ${records.length}`);
+  console.log(`  Kept: ${profiles.length}`);
+  for (const [reason, n] of Object.entries(skipped)) console.log(`  Skipped - ${reason}: ${n}`);
+
+  if (profiles.length > 0) {
+    const withCoords = profiles.filter(p => p.latitude !== null).length;
+    const withDesc = profiles.filter(p => p.description).length;
+    console.log(`\n--- Quality ---`);
+    console.log(`  With coordinates: ${withCoords}/${profiles.length} (${Math.round(100 * withCoords / profiles.length)}%)`);
+    console.log(`  With description: ${withDesc}/${profiles.length} (${Math.round(100 * withDesc / profiles.length)}%)`);
+  }
+  printBreakdown("Countries (top 15)", profiles.map(p => p.country), 15);
+  printBreakdown("Tags", profiles.flatMap(p => p.tags), 20);
+
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  const outPath = path.join(DATA_DIR, adapter.outFile);
+  fs.writeFileSync(outPath, JSON.stringify(profiles, null, 2));
+  console.log(`\nSaved ${profiles.length} entries to ${outPath}`);
+
+  for (const cp of checkpoints) cp.remove();
+  return profiles;
+}
+
+module.exports = {
+  DATA_DIR,
+  SOCIAL_DOMAINS,
+  fixUrl,
+  domainOf,
+  isSkipUrl,
+  decodeEntities,
+  stripHtml,
+  truncate,
+  fetchJson,
+  fetchText,
+  mapInBatches,
+  runSource,
+};
@@ -0,0 +1,28 @@
+/**
+ * Lightweight map points for the background map dots: lat/lon plus the
+ * popup fields, one per profile with coordinates.
+ */
+
+function buildMapPoints(profiles) {
+  const points = [];
+  let skipped = 0;
+  for (const p of profiles) {
+    if (p.latitude == null || p.longitude == null) {
+      skipped++;
+      continue;
+    }
+    const loc = [p.locality, p.region, p.country].filter(Boolean).join(", ");
+    points.push({
+      id: p.id,
+      lat: p.latitude,
+      lon: p.longitude,
+      name: p.name || "Unknown",
+      url: p.primary_url || null,
+      loc: loc || null,
+      src: p.source || "murmurations",
+    });
+  }
+  return { points, skipped };
+}
+
+module.exports = { buildMapPoints };
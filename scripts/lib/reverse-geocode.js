@@ -0,0 +1,138 @@
+/**
+ * Offline reverse geocoder: lat/lon -> country and first-level region.
+ *
+ * Point-in-polygon against the Natural Earth admin-1 boundaries bundled
+ * with geojson-places (every country split into its states/provinces, so
+ * one lookup gives both). Polygons are indexed on a 1° grid by bounding
+ * box; a lookup only tests the few polygons whose box covers its cell.
+ *
+ * Loading the boundaries takes a second or two and ~200 MB, so this is for
+ * the enrich/merge scripts only — never require it from api/.
+ */
+
+const { countryName, normalizeCountry } = require("../../api/_gazetteer");
+
+const BOUNDARIES = "geojson-places/data/states/admin1.json";
+
+let polygons = null;   // [{ rings, bbox, place }]
+let cells = null;      // cell key -> polygon indices
+
+const cellKey = (latCell, lonCell) => latCell * 1000 + lonCell;
+
+function ringBbox(ring, bbox) {
+  for (const [lon, lat] of ring) {
+    if (lon < bbox[0]) bbox[0] = lon;
+    if (lat < bbox[1]) bbox[1] = lat;
+    if (lon > bbox[2]) bbox[2] = lon;
+    if (lat > bbox[3]) bbox[3] = lat;
+  }
+  return bbox;
+}
+
+// UK admin-1 units are boroughs and council areas ("Westminster"); the
+// region people use is the nation, which Natural Earth has as geonunit
+const GB_NATIONS = {
+  "England": "GB-ENG",
+  "Scotland": "GB-SCT",
+  "Wales": "GB-WLS",
+  "Northern Ireland": "GB-NIR",
+};
+
+// Natural Earth marks missing ISO codes as "-99" or "XX-~"
+function placeOf(props) {
+  const countryCode = /^[A-Z]{2}$/.test(props.iso_a2) ? props.iso_a2 : null;
+  if (!countryCode) return null;
+  if (countryCode === "GB") {
+    const nation = GB_NATIONS[props.geonunit] ? props.geonunit : null;
+    return { countryCode, country: countryName(countryCode), regionCode: GB_NATIONS[nation] || null, region: nation };
+  }
+  const code = props.iso_3166_2;
+  return {
+    countryCode,
+    country: countryName(countryCode) || props.admin,
+    regionCode: code && !code.endsWith("~") ? code : null,
+    region: props.name_en || props.name || null,
+  };
+}
+
+function load() {
+  polygons = [];
+  cells = new Map();
+  for (const feature of require(BOUNDARIES).features) {
+    const place = placeOf(feature.properties);
+    if (!place || !feature.geometry) continue;
+    const parts = feature.geometry.type === "Polygon" ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+    for (const rings of parts) {
+      const bbox = ringBbox(rings[0], [Infinity, Infinity, -Infinity, -Infinity]);
+      const idx = polygons.push({ rings, bbox, place }) - 1;
+      for (let lat = Math.floor(bbox[1]); lat <= Math.floor(bbox[3]); lat++) {
+        for (let lon = Math.floor(bbox[0]); lon <= Math.floor(bbox[2]); lon++) {
+          const key = cellKey(lat, lon);
+          let list = cells.get(key);
+          if (!list) cells.set(key, list = []);
+          list.push(idx);
+        }
+      }
+    }
+  }
+}
+
+// Ray casting; ring is [[lon, lat], ...]
+function inRing(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function inPolygon(polygon, lon, lat) {
+  const [w, s, e, n] = polygon.bbox;
+  if (lon < w || lon > e || lat < s || lat > n) return false;
+  if (!inRing(polygon.rings[0], lon, lat)) return false;
+  for (let i = 1; i < polygon.rings.length; i++) {
+    if (inRing(polygon.rings[i], lon, lat)) return false;   // hole
+  }
+  return true;
+}
+
+/**
+ * Place containing a point: { countryCode, country, regionCode, region }
+ * (English country name, ISO 3166-2 region code when Natural Earth has
+ * one; the nation for the UK), or null for open sea / unmapped points.
+ */
+function reverseGeocode(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  if (!polygons) load();
+  const list = cells.get(cellKey(Math.floor(lat), Math.floor(lon)));
+  if (!list) return null;
+  for (const idx of list) {
+    if (inPolygon(polygons[idx], lon, lat)) return polygons[idx].place;
+  }
+  return null;
+}
+
+/**
+ * Fill a profile's missing country/region from its coordinates. Existing
+ * values are never overwritten. Returns true when anything was filled.
+ */
+function fillLocation(profile) {
+  if (profile.country && profile.region) return false;
+  const place = reverseGeocode(profile.latitude, profile.longitude);
+  if (!place) return false;
+  let filled = false;
+  if (!profile.country) {
+    profile.country = place.country;
+    filled = true;
+  }
+  // Only take the region when the point agrees with the stated country
+  if (!profile.region && place.region && normalizeCountry(profile.country)?.code === place.countryCode) {
+    profile.region = place.region;
+    filled = true;
+  }
+  return filled;
+}
+
+module.exports = { reverseGeocode, fillLocation };
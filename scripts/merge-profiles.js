@@ -1,125 +1,98 @@
 #!/usr/bin/env node
 
 /**
- * Merges Murmurations org profiles, KVM profiles, and all OSM category files
- * into a single dataset.
- * Deduplicates on primary_url — for Murmurations/KVM, keeps the entry with the
- * longer description. OSM entries are only added if no Murmurations/KVM entry
- * exists for the same URL (Murm/KVM always wins over OSM).
- * Adds source field to existing profiles if missing.
+ * Merges every enabled source in the manifest (sources.json, see
+ * api/_sources.js) into data/profiles.json, so a full rebuild reproduces the
+ * served dataset. Missing files are skipped with a warning.
+ * Duplicates across sources are resolved by scripts/lib/entity-resolution.js
+ * (normalised domain, name similarity, distance): matching records become one
+ * profile with `sources` and per-field `provenance`, and uncertain matches are
+ * left separate and listed in data/merge-review.json for a human to check.
+ * Where sources disagree, the one with the lower manifest priority wins.
+ * Sets each profile's source, license and attribution from the manifest
+ * entry if missing, and records each file's fetch date (its mtime) and size
+ * in data/sources-status.json for /api/sources.
+ * Normalises locations: country_code/country_name (ISO 3166-1) and
+ * region_code/region_name (first-level subdivision) from the offline
+ * gazetteer in api/_gazetteer.js. Free-text country/region are kept;
+ * profiles with coordinates but no country/region get them filled by the
+ * offline reverse geocoder (scripts/lib/reverse-geocode.js) first.
  */
 
 const fs = require("fs");
 const path = require("path");
+const { normalizeLocation } = require("../api/_gazetteer");
+const { STATUS_FILE, enabledSources, sourcePriorities, countBySource } = require("../api/_sources");
+const { fillLocation } = require("./lib/reverse-geocode");
+const { resolveEntities } = require("./lib/entity-resolution");
 
 const DATA_DIR = path.join(__dirname, "..", "data");
-const ORG_FILE = path.join(DATA_DIR, "profiles.json");
-const KVM_FILE = path.join(DATA_DIR, "kvm-profiles.json");
-
-// All OSM category output files — add new ones here as categories are added
-// All OSM category output files — add new ones here as categories are added
-const OSM_FILES = [
-  path.join(DATA_DIR, "osm-hackerspaces.json"),
-  path.join(DATA_DIR, "osm-cooperatives.json"),
-  path.join(DATA_DIR, "osm-repair_cafes.json"),
-  path.join(DATA_DIR, "osm-coworking.json"),
-  path.join(DATA_DIR, "osm-zero_waste.json"),
-  path.join(DATA_DIR, "osm-fair_trade.json"),
-];
+const OUTPUT_FILE = path.join(DATA_DIR, "profiles.json");
+const REVIEW_FILE = path.join(DATA_DIR, "merge-review.json");
+const STATUS_PATH = path.join(DATA_DIR, STATUS_FILE);
 
 function main() {
-  console.log("Loading profiles...");
-
-  const orgs = JSON.parse(fs.readFileSync(ORG_FILE, "utf-8"));
-  console.log(`  Org profiles: ${orgs.length}`);
-
-  const kvm = JSON.parse(fs.readFileSync(KVM_FILE, "utf-8"));
-  console.log(`  KVM profiles: ${kvm.length}`);
-
-  let osm = [];
-  for (const osmFile of OSM_FILES) {
-    const label = path.basename(osmFile, ".json");
-    try {
-      const data = JSON.parse(fs.readFileSync(osmFile, "utf-8"));
-      console.log(`  ${label}: ${data.length}`);
-      osm.push(...data);
-    } catch {
-      console.log(`  ${label}: 0 (file not found, skipping)`);
-    }
-  }
-  console.log(`  OSM total: ${osm.length}`);
-
-  // Ensure source field on org profiles
-  for (const p of orgs) {
-    if (!p.source) p.source = "murmurations";
-  }
-
-  // Deduplicate on primary_url
-  const byUrl = new Map();
-  let dupes = 0;
-
-  // First pass: merge Murmurations and KVM (longer description wins on dupes)
-  for (const p of [...orgs, ...kvm]) {
-    if (!p.primary_url) {
-      // No URL — can't deduplicate, just keep it
+  console.log("Loading sources...");
+
+  const all = [];
+  const missing = [];
+  const status = {};
+  for (const entry of enabledSources()) {
+    const file = path.join(DATA_DIR, entry.file);
+    if (!fs.existsSync(file)) {
+      console.log(`  ${entry.id}: file not found (${entry.file}), skipping`);
+      missing.push(entry.id);
       continue;
     }
-
-    const key = p.primary_url.toLowerCase().replace(/\/+$/, "");
-    const existing = byUrl.get(key);
-
-    if (!existing) {
-      byUrl.set(key, p);
-    } else {
-      dupes++;
-      // Keep whichever has the longer description
-      const existingLen = (existing.description || "").length;
-      const newLen = (p.description || "").length;
-      if (newLen > existingLen) {
-        byUrl.set(key, p);
-      }
+    const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    for (const p of data) {
+      if (!p.source) p.source = entry.source;
+      if (p.license === undefined) p.license = entry.license ?? null;
+      if (p.attribution === undefined) p.attribution = entry.attribution ?? null;
     }
+    status[entry.id] = { fetched_at: fs.statSync(file).mtime.toISOString(), records: data.length };
+    console.log(`  ${entry.id}: ${data.length}`);
+    all.push(...data);
   }
-
-  // Second pass: add OSM entries only if URL not already present (Murm/KVM always wins)
-  let osmDupes = 0;
-  for (const p of osm) {
-    if (!p.primary_url) {
-      continue;
-    }
-
-    const key = p.primary_url.toLowerCase().replace(/\/+$/, "");
-    if (!byUrl.has(key)) {
-      byUrl.set(key, p);
-    } else {
-      osmDupes++;
-      dupes++;
-    }
+  if (all.length === 0) {
+    console.error("No source files found in data/ — run the fetch commands in sources.json first");
+    process.exit(1);
   }
 
-  // Collect: profiles with URLs (deduplicated) + profiles without URLs
-  const withoutUrl = [...orgs, ...kvm, ...osm].filter((p) => !p.primary_url);
-  const merged = [...byUrl.values(), ...withoutUrl];
-
-  const orgCount = merged.filter((p) => p.source === "murmurations").length;
-  const kvmCount = merged.filter((p) => p.source === "kvm").length;
-  const osmCount = merged.filter((p) => p.source === "openstreetmap").length;
+  // Resolve the same organisation across sources into one profile
+  const { profiles: merged, merged: matchReasons, review } = resolveEntities(all, { priorities: sourcePriorities() });
+  const dupes = all.length - merged.length;
+
+  // Fill missing country/region from coordinates, then normalise
+  const unresolved = {};
+  let regionCount = 0, filledCount = 0;
+  for (const p of merged) {
+    if (fillLocation(p)) filledCount++;
+    normalizeLocation(p);
+    if (p.region_code) regionCount++;
+    if (!p.country_code && p.country) unresolved[p.country] = (unresolved[p.country] || 0) + 1;
+  }
+  const countryCount = merged.filter((p) => p.country_code).length;
 
   console.log(`\n  Duplicates removed: ${dupes}`);
+  for (const [reason, n] of Object.entries(matchReasons)) console.log(`    ${reason}: ${n} pairs`);
+  console.log(`  Uncertain matches for review: ${review.length}`);
   console.log(`  Merged total: ${merged.length}`);
-  console.log(`    Murmurations: ${orgCount}`);
-  console.log(`    KVM: ${kvmCount}`);
-  console.log(`    OSM: ${osmCount}`);
-
-  // Backup original
-  const backupPath = path.join(DATA_DIR, "profiles-orgs-only.json");
-  if (!fs.existsSync(backupPath)) {
-    fs.copyFileSync(ORG_FILE, backupPath);
-    console.log(`\n  Backed up original to ${backupPath}`);
+  for (const { source, count } of countBySource(merged)) console.log(`    ${source}: ${count}`);
+  if (missing.length > 0) console.log(`  Missing sources: ${missing.join(", ")}`);
+  console.log(`\n  Reverse geocoded: ${filledCount} profiles got country/region from coordinates`);
+  console.log(`  Countries normalised: ${countryCount}/${merged.length} (${regionCount} with region)`);
+  const topUnresolved = Object.entries(unresolved).sort((a, b) => b[1] - a[1]).slice(0, 10);
+  if (topUnresolved.length > 0) {
+    console.log(`  Unresolved countries: ${topUnresolved.map(([c, n]) => `${c} (${n})`).join(", ")}`);
   }
 
-  fs.writeFileSync(ORG_FILE, JSON.stringify(merged, null, 2));
-  console.log(`  Saved merged dataset to ${ORG_FILE}`);
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(merged, null, 2));
+  console.log(`\n  Saved merged dataset to ${OUTPUT_FILE}`);
+  fs.writeFileSync(REVIEW_FILE, JSON.stringify(review, null, 2));
+  console.log(`  Saved review report to ${REVIEW_FILE}`);
+  fs.writeFileSync(STATUS_PATH, JSON.stringify(status, null, 2));
+  console.log(`  Saved source status to ${STATUS_PATH}`);
 }
 
 main();
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * A local stand-in for the Murmurations index API (v2 /nodes), for trying
+ * scripts/register-murmurations.js without touching a real index. Nodes
+ * are kept in memory: a POST fetches the profile URL and validates it like
+ * the index would (via api/_murmurations.js), a DELETE only succeeds once
+ * the profile URL returns 404.
+ *
+ * Usage:
+ *   node scripts/murmurations-index-stub.js [--port 3200]
+ *
+ *   POST   /v2/nodes            { profile_url }  -> { data: { node_id, profile_url, status } }
+ *   GET    /v2/nodes            -> { data: [...] }
+ *   GET    /v2/nodes/:node_id   -> { data: { ..., status, failure_reasons } }
+ *   DELETE /v2/nodes/:node_id
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { validateMurmurationsProfile } = require("../api/_murmurations");
+
+const portArg = process.argv.indexOf("--port");
+const PORT = portArg !== -1 ? parseInt(process.argv[portArg + 1], 10) : 3200;
+
+const nodes = new Map();   // node_id -> { node_id, profile_url, status, failure_reasons, last_updated }
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, title, detail) {
+  send(res, status, { errors: [{ status, title, detail }] });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => { data += chunk; });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function validateNode(node) {
+  try {
+    const res = await fetch(node.profile_url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const errors = validateMurmurationsProfile(await res.json());
+    node.status = errors.length > 0 ? "validation_failed" : "posted";
+    node.failure_reasons = errors;
+  } catch (err) {
+    node.status = "validation_failed";
+    node.failure_reasons = [`Could not fetch profile: ${err.message}`];
+  }
+  node.last_updated = Date.now();
+}
+
+async function handle(req, res) {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  const match = /^\/v2\/nodes(?:\/([^/]+))?\/?$/.exec(pathname);
+  if (!match) return sendError(res, 404, "Not Found", `No route for ${pathname}`);
+  const nodeId = match[1];
+
+  if (req.method === "POST" && !nodeId) {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      return sendError(res, 400, "Invalid JSON", "The request body is not valid JSON");
+    }
+    if (typeof body.profile_url !== "string" || !/^https?:\/\//.test(body.profile_url)) {
+      return sendError(res, 400, "Missing Required Property", "profile_url must be an http(s) URL");
+    }
+    const id = crypto.createHash("sha256").update(body.profile_url).digest("hex");
+    const node = nodes.get(id) || { node_id: id, profile_url: body.profile_url };
+    nodes.set(id, node);
+    await validateNode(node);
+    console.log(`POST ${node.profile_url} -> ${node.status}${node.failure_reasons.length ? ` (${node.failure_reasons.join("; ")})` : ""}`);
+    return send(res, 200, { data: { node_id: id, profile_url: node.profile_url, status: node.status } });
+  }
+
+  if (req.method === "GET" && !nodeId) {
+    return send(res, 200, { data: [...nodes.values()] });
+  }
+
+  const node = nodeId && nodes.get(nodeId);
+  if (!node) return sendError(res, 404, "Node Not Found", `No node with id ${nodeId}`);
+
+  if (req.method === "GET") return send(res, 200, { data: node });
+
+  if (req.method === "DELETE") {
+    const check = await fetch(node.profile_url).catch(() => null);
+    if (check && check.status !== 404) {
+      return sendError(res, 400, "Profile Still Exists", `${node.profile_url} still returns HTTP ${check.status}`);
+    }
+    nodes.delete(nodeId);
+    console.log(`DELETE ${node.profile_url}`);
+    return send(res, 200, { meta: { message: `The node (${nodeId}) has been deleted from the index.` } });
+  }
+
+  sendError(res, 405, "Method Not Allowed", `${req.method} is not supported here`);
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch((err) => sendError(res, 500, "Internal Error", err.message));
+}).listen(PORT, () => {
+  console.log(`Murmurations index stub at http://localhost:${PORT}/v2/nodes`);
+});
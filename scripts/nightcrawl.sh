@@ -2,34 +2,42 @@
 set -e
 
 # nightcrawl — CoBot's overnight data pipeline
-# Fetches all sources, merges, validates every URL, then rebuilds embeddings.
+# Fetches every enabled source in sources.json, merges, validates every URL,
+# then rebuilds embeddings. A source whose fetch fails keeps its previous
+# file, so the merge still reproduces the full dataset.
 # No node gets published unless its website is alive.
 
-echo "=== nightcrawl ==="
-echo ""
+cd "$(dirname "$0")/.."
 
-echo "Step 1/6: Fetching Murmurations org profiles..."
-node scripts/fetch-profiles.js
-echo ""
-
-echo "Step 2/6: Fetching KVM profiles..."
-node scripts/fetch-kvm-profiles.js
+echo "=== nightcrawl ==="
 echo ""
 
-echo "Step 3/6: Fetching all OpenStreetMap categories..."
-node scripts/fetch-osm.js
+echo "Step 1/4: Fetching sources (sources.json)..."
+failed=()
+while IFS=$'\t' read -r id cmd; do
+  echo ""
+  echo "--- $id ---"
+  if ! bash -c "$cmd" < /dev/null; then
+    echo "  [$id] fetch failed, keeping the previous file"
+    failed+=("$id")
+  fi
+done < <(node -e 'for (const s of require("./api/_sources").enabledSources()) console.log(s.id + "\t" + s.fetch)')
 echo ""
+if [ ${#failed[@]} -gt 0 ]; then
+  echo "Failed sources: ${failed[*]}"
+  echo ""
+fi
 
-echo "Step 4/6: Merging all profiles..."
+echo "Step 2/4: Merging all profiles..."
 node scripts/merge-profiles.js
 echo ""
 
-echo "Step 5/6: Validating every URL (removing dead links)..."
+echo "Step 3/4: Validating every URL (removing dead links)..."
 node scripts/validate-urls.js
 echo ""
 
-echo "Step 6/6: Generating embeddings..."
-python3 scripts/generate-embeddings.py
+echo "Step 4/4: Building search index (embeddings, map points)..."
+node scripts/build-index.js
 echo ""
 
 echo "=== nightcrawl complete ==="
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Registers our non-Murmurations profiles with a Murmurations index, so
+ * other aggregators can discover them. Each publishable profile (see
+ * api/_murmurations.js) is served at <base-url>/profiles/<id>.json; this
+ * posts those URLs to the index's /nodes endpoint.
+ *
+ * Submissions are recorded per index in data/murmurations-registered.json,
+ * so reruns only post new or changed profiles, and profiles that left the
+ * dataset are deleted from the index (their URL now returns 404).
+ *
+ * Usage:
+ *   node scripts/register-murmurations.js [--index <url>] [--base-url <url>] [--limit <n>] [--dry-run] [--force]
+ *
+ * --index defaults to MURMURATIONS_INDEX_URL or the Murmurations test index;
+ * --base-url to PUBLIC_BASE_URL or the live site. For a local run, start
+ * scripts/murmurations-index-stub.js and the server, then
+ *   node scripts/register-murmurations.js --index http://localhost:3200/v2 --base-url http://localhost:3000
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { assignIds } = require("../api/_ids");
+const {
+  DEFAULT_BASE_URL, isPublishable, toMurmurationsProfile, validateMurmurationsProfile, publishedProfileUrl,
+} = require("../api/_murmurations");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const PROFILES_FILE = path.join(DATA_DIR, "profiles-meta.json");
+const STATE_FILE = path.join(DATA_DIR, "murmurations-registered.json");
+const DEFAULT_INDEX_URL = "https://test-index.murmurations.network/v2";
+const CONCURRENCY = 5;
+
+function parseArgs(argv) {
+  const opts = {
+    index: process.env.MURMURATIONS_INDEX_URL || DEFAULT_INDEX_URL,
+    baseUrl: process.env.PUBLIC_BASE_URL || DEFAULT_BASE_URL,
+    limit: Infinity,
+    dryRun: false,
+    force: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--index" && argv[i + 1]) opts.index = argv[++i];
+    else if (argv[i] === "--base-url" && argv[i + 1]) opts.baseUrl = argv[++i];
+    else if (argv[i] === "--limit" && argv[i + 1]) opts.limit = parseInt(argv[++i], 10) || Infinity;
+    else if (argv[i] === "--dry-run") opts.dryRun = true;
+    else if (argv[i] === "--force") opts.force = true;
+    else {
+      console.error(`Unknown option: ${argv[i]}`);
+      process.exit(1);
+    }
+  }
+  opts.index = opts.index.replace(/\/+$/, "");
+  return opts;
+}
+
+function loadState() {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+// The index's error body is { errors: [{ title, detail }] }
+async function indexRequest(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const detail = (json.errors || []).map((e) => e.detail || e.title).filter(Boolean).join("; ");
+    const err = new Error(`HTTP ${res.status}${detail ? `: ${detail}` : ""}`);
+    err.status = res.status;
+    throw err;
+  }
+  return json;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const profiles = JSON.parse(fs.readFileSync(PROFILES_FILE, "utf8"));
+  assignIds(profiles);
+
+  // Publishable profiles, as the server renders them
+  const published = new Map();
+  let invalid = 0;
+  for (const p of profiles) {
+    if (!isPublishable(p)) continue;
+    const doc = toMurmurationsProfile(p);
+    const errors = validateMurmurationsProfile(doc);
+    if (errors.length > 0) {
+      invalid++;
+      continue;
+    }
+    const hash = crypto.createHash("sha1").update(JSON.stringify(doc)).digest("hex");
+    published.set(p.id, { url: publishedProfileUrl(p, opts.baseUrl), hash });
+  }
+
+  const state = loadState();
+  const registered = state[opts.index] || {};
+  const toPost = [...published.entries()]
+    .filter(([id, { url, hash }]) => {
+      const prev = registered[id];
+      return opts.force || !prev || prev.hash !== hash || prev.profile_url !== url || prev.status === "failed";
+    })
+    .slice(0, opts.limit);
+  const toDelete = Object.keys(registered).filter((id) => !published.has(id));
+
+  console.log(`Index: ${opts.index}`);
+  console.log(`  Publishable profiles: ${published.size}${invalid ? ` (${invalid} skipped as invalid)` : ""}`);
+  console.log(`  To submit: ${toPost.length}, to delete: ${toDelete.length}`);
+  if (opts.dryRun) {
+    for (const [, { url }] of toPost.slice(0, 10)) console.log(`    ${url}`);
+    return;
+  }
+
+  let posted = 0, failed = 0;
+  for (let i = 0; i < toPost.length; i += CONCURRENCY) {
+    await Promise.all(toPost.slice(i, i + CONCURRENCY).map(async ([id, { url, hash }]) => {
+      try {
+        const { data } = await indexRequest("POST", `${opts.index}/nodes`, { profile_url: url });
+        registered[id] = { profile_url: url, node_id: data?.node_id || null, status: data?.status || "received", hash, submitted_at: new Date().toISOString() };
+        posted++;
+      } catch (err) {
+        registered[id] = { profile_url: url, node_id: registered[id]?.node_id || null, status: "failed", error: err.message, hash, submitted_at: new Date().toISOString() };
+        failed++;
+      }
+    }));
+    process.stdout.write(`\r  ${Math.min(i + CONCURRENCY, toPost.length)}/${toPost.length} submitted`);
+  }
+  if (toPost.length > 0) console.log();
+
+  let deleted = 0;
+  for (const id of toDelete) {
+    const { node_id } = registered[id];
+    try {
+      if (node_id) await indexRequest("DELETE", `${opts.index}/nodes/${node_id}`);
+    } catch (err) {
+      // 404: already gone from the index
+      if (err.status !== 404) {
+        console.warn(`  Could not delete ${registered[id].profile_url}: ${err.message}`);
+        continue;
+      }
+    }
+    delete registered[id];
+    deleted++;
+  }
+
+  state[opts.index] = registered;
+  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+  console.log(`\n  Submitted: ${posted}, failed: ${failed}, deleted: ${deleted}`);
+  console.log(`  Saved registration state to ${STATE_FILE}`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
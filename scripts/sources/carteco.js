@@ -0,0 +1,77 @@
+/**
+ * Social/solidarity economy orgs from CartEco (carteco-ess.org).
+ * Source: https://carteco-ess.org/annuaire
+ * API: https://carteco-ess.org/api/elements.json (GoGoCarto platform)
+ *
+ * Contains ~4,800 French ESS organisations: waste management, recycling,
+ * sustainable agriculture, repair, social enterprises, etc.
+ * Licensed under ODbL for names, SIRET, status, public contacts, hours, addresses, locations.
+ */
+
+const { fetchJson } = require("../lib/ingest");
+
+const API_URL = "https://carteco-ess.org/api/elements.json";
+const FETCH_TIMEOUT = 120000;
+
+// Region names as they appear among the categories
+const REGION_NAMES = new Set([
+  "Auvergne-Rhône-Alpes", "Bourgogne-Franche-Comté", "Bretagne",
+  "Centre-Val de Loire", "Corse", "Grand Est", "Hauts-de-France",
+  "Île-de-France", "Normandie", "Nouvelle Aquitaine", "Occitanie",
+  "Pays de la Loire", "Provence-Alpes-Côte d'Azur", "La Réunion",
+  "Guadeloupe", "Martinique", "Guyane", "Mayotte",
+]);
+
+// Activity categories -> tags
+const CATEGORY_TAGS = {
+  "Gestion des ressources et déchets": "waste management",
+  "Agriculture et alimentation durables": "sustainable agriculture",
+  "Seconde vie des produits (collecte, réparation, réemploi...)": "reuse and repair",
+  "Réparation": "repair",
+  "Réemploi": "reuse",
+  "Recyclerie / Ressourcerie": "recycling centre",
+  "Sensibilisation à la prévention": "education",
+  "Ecoconception": "eco-design",
+  "Bâtiment durable": "sustainable building",
+  "Recherche & développement": "research",
+  "Récupération d'invendus": "food rescue",
+};
+
+function buildTags(categories, statutEss) {
+  const tags = new Set(["social enterprise"]);
+  const statut = (statutEss || "").toLowerCase();
+  if (statut.includes("coopérative") || statut.includes("scop") || statut.includes("scic")) {
+    tags.add("cooperative");
+  }
+  for (const cat of categories) {
+    if (CATEGORY_TAGS[cat]) tags.add(CATEGORY_TAGS[cat]);
+  }
+  return [...tags];
+}
+
+module.exports = {
+  label: "CartEco ESS directory",
+  source: "carteco",
+  outFile: "carteco-ess.json",
+
+  async fetch() {
+    const json = await fetchJson(API_URL, { timeout: FETCH_TIMEOUT });
+    return json.data || [];
+  },
+
+  normalise(entry) {
+    const categories = entry.categories || [];
+    return {
+      name: entry.name,
+      description: entry.description_activite,
+      primary_url: entry.site_web,
+      profile_url: `https://carteco-ess.org/#/fiche/${entry.id}/`,
+      latitude: entry.geo?.latitude || null,
+      longitude: entry.geo?.longitude || null,
+      locality: entry.address?.addressLocality,
+      region: categories.find(c => REGION_NAMES.has(c)) || "",
+      country: "France",
+      tags: buildTags(categories, entry.statut_ess),
+    };
+  },
+};
@@ -0,0 +1,103 @@
+/**
+ * Community groups from Citizen Network's map.
+ * Source: https://citizen-network.org/map
+ *
+ * The map endpoint returns markers with HTML content holding the org's name,
+ * address and blurb; each profile page is then scraped for the org's own
+ * website (first external link that isn't social media or the network itself).
+ */
+
+const { fetchJson, fetchText, mapInBatches, decodeEntities, isSkipUrl } = require("../lib/ingest");
+
+const API_URL = "https://citizen-network.org/app/actions/map/members.php?country=";
+const BASE_URL = "https://citizen-network.org";
+const CONCURRENCY = 5;
+const DELAY_BETWEEN_BATCHES = 1000;
+const FETCH_TIMEOUT = 10000;
+
+const SKIP_DOMAINS = [
+  "citizen-network.org", "facebook.com", "twitter.com", "linkedin.com",
+  "instagram.com", "youtube.com", "google.com", "bsky.app", "x.com",
+  "designition.co.uk", "welp.fi",
+];
+
+function parseMarkerHtml(html) {
+  const nameMatch = html.match(/<a href="\/map\/[^"]*">([^<]+)<\/a>/);
+  const slugMatch = html.match(/<a href="(\/map\/[^"]+)"/);
+
+  const descParts = [];
+  const descRegex = /p-map-marker__desc">([^<]+)<\/p>/g;
+  let m;
+  while ((m = descRegex.exec(html)) !== null) {
+    descParts.push(decodeEntities(m[1].trim()));
+  }
+
+  return {
+    name: nameMatch ? decodeEntities(nameMatch[1].trim()) : null,
+    slug: slugMatch ? slugMatch[1] : null,
+    address: descParts[0] || "",
+    description: descParts.slice(1).join(" "),
+  };
+}
+
+async function scrapeWebsiteUrl(profilePath) {
+  try {
+    const html = await fetchText(`${BASE_URL}${profilePath}`, { timeout: FETCH_TIMEOUT });
+    // Only look at the page's main content, not navigation or footer
+    const mainStart = html.indexOf("<main");
+    const mainEnd = html.indexOf("<footer");
+    const mainHtml = mainStart > 0 ? html.slice(mainStart, mainEnd > mainStart ? mainEnd : undefined) : html;
+
+    const linkRegex = /<a[^>]+href="(https?:\/\/[^"]+)"[^>]*>/gi;
+    let match;
+    while ((match = linkRegex.exec(mainHtml)) !== null) {
+      if (!isSkipUrl(match[1], SKIP_DOMAINS)) return match[1];
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  label: "Citizen Network map",
+  source: "citizen-network",
+  outFile: "citizen-network.json",
+  skipDomains: SKIP_DOMAINS,
+
+  async fetch() {
+    const data = await fetchJson(API_URL);
+
+    // Markers repeat per member; scrape each named org once
+    const seen = new Set();
+    const members = [];
+    for (const marker of data.markers || []) {
+      const parsed = parseMarkerHtml(marker.content || "");
+      if (!parsed.name || seen.has(parsed.name.toLowerCase())) continue;
+      seen.add(parsed.name.toLowerCase());
+      members.push({ ...parsed, latitude: marker.latitude, longitude: marker.longitude });
+    }
+
+    console.log(`  ${members.length} unique members, scraping website URLs (concurrency ${CONCURRENCY})...`);
+    const websites = await mapInBatches(members, (m) => m.slug ? scrapeWebsiteUrl(m.slug) : null, {
+      concurrency: CONCURRENCY,
+      delay: DELAY_BETWEEN_BATCHES,
+      onBatch: (done, total) => process.stdout.write(`\r  ${done}/${total} scraped`),
+    });
+    console.log();
+    return members.map((m, i) => ({ ...m, website: websites[i] }));
+  },
+
+  normalise(m) {
+    return {
+      name: m.name,
+      description: m.description,
+      primary_url: m.website,
+      profile_url: m.slug ? `${BASE_URL}${m.slug}` : "",
+      latitude: parseFloat(m.latitude) || null,
+      longitude: parseFloat(m.longitude) || null,
+      locality: m.address,
+      tags: ["citizen network", "community"],
+    };
+  },
+};
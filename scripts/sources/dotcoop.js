@@ -0,0 +1,111 @@
+/**
+ * Cooperatives from the .coop domain directory (directory.coop).
+ * Source: https://data.digitalcommons.coop/dotcoop/standard.csv
+ *
+ * Data is from WHOIS registration of .coop domains, maintained by DotCooperation.
+ * Licensed under ODbL for names, addresses, and public contact info.
+ * Economic sectors are decoded via the published vocabulary and mapped to tags.
+ */
+
+const { fetchJson, fetchText } = require("../lib/ingest");
+
+const CSV_URL = "https://data.digitalcommons.coop/dotcoop/standard.csv";
+const VOCABS_URL = "https://data.digitalcommons.coop/dotcoop/dotcoop-vocabs.json";
+
+// Sector label keyword -> extra tag (first match wins)
+const SECTOR_TAGS = [
+  [["credit union"], "credit union"],
+  [["housing"], "housing cooperative"],
+  [["agriculture", "farming"], "agricultural cooperative"],
+  [["insurance"], "insurance cooperative"],
+  [["financial"], "financial cooperative"],
+  [["health"], "health cooperative"],
+  [["education"], "education"],
+  [["energy", "utilities"], "energy cooperative"],
+  [["consumer", "retail"], "consumer cooperative"],
+  [["worker"], "worker cooperative"],
+];
+
+function parseCSVLine(line) {
+  const result = [];
+  let current = "";
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      result.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  result.push(current);
+  return result;
+}
+
+function parseCSV(text) {
+  const lines = text.split("\n");
+  const headers = parseCSVLine(lines[0]);
+  const rows = [];
+  for (const raw of lines.slice(1)) {
+    const line = raw.trim();
+    if (!line) continue;
+    const values = parseCSVLine(line);
+    const row = {};
+    headers.forEach((h, j) => { row[h] = values[j] || ""; });
+    rows.push(row);
+  }
+  return rows;
+}
+
+let sectorMap = {};
+
+module.exports = {
+  label: ".coop directory",
+  source: "dotcoop",
+  outFile: "dotcoop-directory.json",
+
+  async fetch() {
+    const rows = parseCSV(await fetchText(CSV_URL));
+    try {
+      const vocabs = await fetchJson(VOCABS_URL);
+      for (const s of vocabs.sectors || []) {
+        if (s.id && s.label) sectorMap[s.id] = s.label;
+      }
+      console.log(`  ${Object.keys(sectorMap).length} sector mappings loaded`);
+    } catch {
+      console.log("  Could not load vocabs, continuing without sector names");
+    }
+    return rows;
+  },
+
+  normalise(row) {
+    const tags = ["cooperative"];
+    const sector = (sectorMap[row["Economic Sector ID"]] || "").toLowerCase();
+    const match = sector && SECTOR_TAGS.find(([words]) => words.some(w => sector.includes(w)));
+    if (match) tags.push(match[1]);
+
+    return {
+      name: row["Name"],
+      description: row["Description"],
+      primary_url: row["Website"],
+      latitude: parseFloat(row["Geo Container Latitude"]) || null,
+      longitude: parseFloat(row["Geo Container Longitude"]) || null,
+      locality: row["Locality"],
+      region: row["Region"],
+      country: row["Country ID"],
+      tags,
+    };
+  },
+};
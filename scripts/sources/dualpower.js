@@ -0,0 +1,49 @@
+/**
+ * Cooperative/solidarity economy orgs from BlackSocialists.us Dual Power Map.
+ * Source: https://blacksocialists.us/dual-power-map
+ * API: https://blacksocialists.us/api/wsde
+ *
+ * Contains worker co-ops, mutual aid orgs, credit unions, community land trusts,
+ * and tenant organizations across the US.
+ */
+
+const { fetchJson } = require("../lib/ingest");
+
+const API_URL = "https://blacksocialists.us/api/wsde";
+
+const TYPE_TAGS = {
+  wsde: ["worker cooperative"],
+  tenant: ["tenant organization", "housing"],
+  mutual: ["mutual aid"],
+  clt: ["community land trust"],
+  fcu: ["credit union"],
+  wstr: ["worker cooperative"],
+  sbdc: ["small business support"],
+};
+
+module.exports = {
+  label: "Dual Power Map",
+  source: "dualpower",
+  outFile: "dualpower-orgs.json",
+
+  async fetch() {
+    const json = await fetchJson(API_URL);
+    return json.data || json;
+  },
+
+  normalise(entry) {
+    // Some URLs carry a "(Work)" suffix
+    const url = (entry.normURL || entry.website || "").replace(/\s*\(Work\)\s*$/i, "");
+    return {
+      name: entry.title,
+      primary_url: url,
+      profile_url: "https://blacksocialists.us/dual-power-map",
+      latitude: parseFloat(entry.lat) || null,
+      longitude: parseFloat(entry.lng) || null,
+      locality: entry.city,
+      region: entry.state,
+      country: "United States",
+      tags: ["cooperative", ...(TYPE_TAGS[entry.type] || [])],
+    };
+  },
+};
@@ -0,0 +1,105 @@
+/**
+ * Cooperatives from ESSApp (Argentine social/solidarity economy directory).
+ * Source: https://www.essapp.coop
+ *
+ * Downloads the master node list from puntos.json (~6,936 entries), then
+ * scrapes each node page for the website URL and description. The scrape
+ * is checkpointed — safe to interrupt and resume.
+ */
+
+const { fetchJson, fetchText, mapInBatches, stripHtml } = require("../lib/ingest");
+
+const PUNTOS_URL = "https://www.essapp.coop/files/puntos.json";
+const BASE_URL = "https://www.essapp.coop/node/";
+const CONCURRENCY = 5;
+const DELAY_BETWEEN_BATCHES = 200;
+const FETCH_TIMEOUT = 15000;
+const CHECKPOINT_INTERVAL = 500;
+
+const PROVINCES = {
+  'K': 'Catamarca', 'H': 'Chaco', 'U': 'Chubut',
+  'C': 'Ciudad Autónoma de Buenos Aires', 'X': 'Córdoba',
+  'W': 'Corrientes', 'E': 'Entre Ríos', 'P': 'Formosa',
+  'Y': 'Jujuy', 'L': 'La Pampa', 'F': 'La Rioja',
+  'M': 'Mendoza', 'N': 'Misiones', 'Q': 'Neuquén',
+  'B': 'Buenos Aires', 'R': 'Río Negro', 'A': 'Salta',
+  'J': 'San Juan', 'D': 'San Luis', 'Z': 'Santa Cruz',
+  'S': 'Santa Fe', 'G': 'Santiago del Estero',
+  'V': 'Tierra del Fuego', 'T': 'Tucumán',
+};
+
+const TYPE_TAGS = {
+  'cooperativa': ['cooperative'],
+  'medios': ['cooperative', 'community media'],
+  'universidades': ['cooperative', 'education'],
+  'ferias_espacios': ['cooperative', 'marketplace'],
+};
+
+async function scrapeNodePage(nid) {
+  try {
+    const html = await fetchText(`${BASE_URL}${nid}`, { timeout: FETCH_TIMEOUT });
+    const siteMatch = html.match(/views-field-field-sitio-web[\s\S]*?href="([^"]*)"/);
+    const descMatch = html.match(/field-name-field-cuerpo[\s\S]*?<p>([\s\S]*?)<\/p>/);
+    return {
+      website: siteMatch ? siteMatch[1] : null,
+      description: descMatch ? stripHtml(descMatch[1]) : "",
+    };
+  } catch {
+    return { website: null, description: "" };
+  }
+}
+
+// "Street 123, City" -> "City"
+function extractLocality(dir) {
+  const parts = (dir || "").split(",").map(p => p.trim());
+  return parts.length >= 2 ? parts[parts.length - 1] : "";
+}
+
+module.exports = {
+  label: "ESSApp directory",
+  source: "essapp",
+  outFile: "essapp.json",
+
+  async fetch(ctx) {
+    const data = await fetchJson(PUNTOS_URL);
+    const nodes = (data.nodes || []).map(entry => entry.node).filter(n => n && n.nid);
+    console.log(`  ${nodes.length} nodes in puntos.json`);
+
+    const checkpoint = ctx.checkpoint("essapp-scrape");
+    const scraped = checkpoint.data;
+    const toScrape = nodes.filter(n => !scraped[n.nid]);
+    console.log(`  Scraping ${toScrape.length} node pages (concurrency ${CONCURRENCY})...`);
+
+    await mapInBatches(
+      toScrape,
+      async (n) => { scraped[n.nid] = await scrapeNodePage(n.nid); },
+      {
+        concurrency: CONCURRENCY,
+        delay: DELAY_BETWEEN_BATCHES,
+        onBatch: (done, total) => {
+          if (done % CHECKPOINT_INTERVAL < CONCURRENCY) checkpoint.save();
+          process.stdout.write(`\r  ${done}/${total} scraped`);
+        },
+      }
+    );
+    checkpoint.save();
+    console.log();
+
+    return nodes.map(n => ({ ...n, ...scraped[n.nid] }));
+  },
+
+  normalise(n) {
+    return {
+      name: n.nom,
+      description: n.description,
+      primary_url: n.website,
+      profile_url: `${BASE_URL}${n.nid}`,
+      latitude: parseFloat(n.lat) || null,
+      longitude: parseFloat(n.lon) || null,
+      locality: extractLocality(n.dir),
+      region: PROVINCES[n.prv] || "",
+      country: "Argentina",
+      tags: TYPE_TAGS[n.tipo] || ["cooperative"],
+    };
+  },
+};
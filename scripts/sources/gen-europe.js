@@ -0,0 +1,61 @@
+/**
+ * Ecovillages and communities from GEN Europe (Global Ecovillage Network).
+ * Source: https://gen-europe.org/map
+ *
+ * - Only directory links are skipped: Facebook/Instagram are kept, as some
+ *   ecovillages have nothing else
+ * - Fixes country name typos
+ * - Drops very short descriptions
+ * - Entries without coordinates are dropped
+ */
+
+const { fetchJson, stripHtml } = require("../lib/ingest");
+
+const API_URL = "https://gen-europe.org/wp-json/mapdata/v1/all?key=138Wk3qfsVNyrkUaG8i6oZaIRaoyUO5s";
+
+const COUNTRY_FIXES = {
+  "Netherland": "Netherlands",
+};
+
+module.exports = {
+  label: "GEN Europe map",
+  source: "gen-europe",
+  outFile: "gen-europe.json",
+  skipDomains: [
+    "gen-europe.org", "ecovillage.org",
+    "colibris-wiki.org", "sites.google.com",
+    "hameaux-legers.org", "ecohabitons.org",
+  ],
+
+  async fetch() {
+    const data = await fetchJson(API_URL);
+    return data.features || [];
+  },
+
+  normalise(f, ctx) {
+    const p = f.properties || {};
+    const coords = f.geometry?.coordinates || [];
+    const lat = parseFloat(p.Latitude) || coords[1] || null;
+    const lon = parseFloat(p.Longitude) || coords[0] || null;
+    if (!lat || !lon) return ctx.skip("no coordinates");
+
+    const description = stripHtml(p.Description);
+    const country = (p.Country || "").trim();
+    const network = (p.Network || "").toLowerCase();
+
+    const tags = ["ecovillage"];
+    if (network.includes("habitat participatif") || network.includes("cooperative oasis")) {
+      tags.push("cohousing");
+    }
+
+    return {
+      name: p.Name,
+      description: description.length >= 15 ? description : "",
+      primary_url: p.URL,
+      latitude: lat,
+      longitude: lon,
+      country: COUNTRY_FIXES[country] || country,
+      tags,
+    };
+  },
+};
@@ -0,0 +1,92 @@
+/**
+ * Food co-ops from the Grocery Story StorePoint API.
+ * Source: https://grocerystory.coop
+ *
+ * - Entries without coordinates are dropped
+ * - Parses the street address for city, state/province and country
+ *   (US unless the address or province says Canada)
+ */
+
+const { fetchJson } = require("../lib/ingest");
+
+const API_URL = "https://api.storepoint.co/v2/163800a1217c39/locations";
+
+const US_STATES = {
+  AL: "Alabama", AK: "Alaska", AZ: "Arizona", AR: "Arkansas",
+  CA: "California", CO: "Colorado", CT: "Connecticut", DE: "Delaware",
+  FL: "Florida", GA: "Georgia", HI: "Hawaii", ID: "Idaho",
+  IL: "Illinois", IN: "Indiana", IA: "Iowa", KS: "Kansas",
+  KY: "Kentucky", LA: "Louisiana", ME: "Maine", MD: "Maryland",
+  MA: "Massachusetts", MI: "Michigan", MN: "Minnesota", MS: "Mississippi",
+  MO: "Missouri", MT: "Montana", NE: "Nebraska", NV: "Nevada",
+  NH: "New Hampshire", NJ: "New Jersey", NM: "New Mexico", NY: "New York",
+  NC: "North Carolina", ND: "North Dakota", OH: "Ohio", OK: "Oklahoma",
+  OR: "Oregon", PA: "Pennsylvania", RI: "Rhode Island", SC: "South Carolina",
+  SD: "South Dakota", TN: "Tennessee", TX: "Texas", UT: "Utah",
+  VT: "Vermont", VA: "Virginia", WA: "Washington", WV: "West Virginia",
+  WI: "Wisconsin", WY: "Wyoming", DC: "District of Columbia",
+};
+
+const CA_PROVINCES = {
+  AB: "Alberta", BC: "British Columbia", MB: "Manitoba",
+  NB: "New Brunswick", NL: "Newfoundland and Labrador",
+  NS: "Nova Scotia", NT: "Northwest Territories", NU: "Nunavut",
+  ON: "Ontario", PE: "Prince Edward Island", QC: "Quebec",
+  SK: "Saskatchewan", YT: "Yukon",
+};
+
+function findByName(table, name) {
+  const lower = name.toLowerCase();
+  return Object.values(table).find(s => s.toLowerCase() === lower);
+}
+
+/**
+ * Parses a street address like "1612 Sherman Blvd, Ft. Wayne, Indiana 46808"
+ * into { locality, region, country }.
+ */
+function parseAddress(address) {
+  const parts = (address || "").split(",").map(s => s.trim()).filter(Boolean);
+  let country = /\bcanada\b/i.test(address || "") ? "Canada" : "United States";
+  if (parts.length < 2) return { locality: "", region: "", country };
+
+  // Last part is "State ZIP" or "Province PostalCode"
+  const statePart = parts[parts.length - 1]
+    .replace(/\d{5}(-\d{4})?/, "")
+    .replace(/[A-Z]\d[A-Z]\s*\d[A-Z]\d/i, "")
+    .trim();
+  const abbrev = statePart.toUpperCase();
+
+  let region;
+  if (CA_PROVINCES[abbrev] || findByName(CA_PROVINCES, statePart)) {
+    region = CA_PROVINCES[abbrev] || findByName(CA_PROVINCES, statePart);
+    country = "Canada";
+  } else {
+    region = US_STATES[abbrev] || findByName(US_STATES, statePart) || statePart;
+  }
+  return { locality: parts[parts.length - 2], region, country };
+}
+
+module.exports = {
+  label: "Grocery Story co-op map",
+  source: "grocery-coops",
+  outFile: "grocery-coops.json",
+
+  async fetch() {
+    const data = await fetchJson(API_URL);
+    return (data.results && data.results.locations) || [];
+  },
+
+  normalise(loc, ctx) {
+    const lat = parseFloat(loc.loc_lat);
+    const lon = parseFloat(loc.loc_long);
+    if (!lat || !lon) return ctx.skip("no coordinates");
+    return {
+      name: loc.name,
+      primary_url: loc.website,
+      latitude: lat,
+      longitude: lon,
+      ...parseAddress(loc.streetaddress),
+      tags: ["cooperative", "food cooperative"],
+    };
+  },
+};
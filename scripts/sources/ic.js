@@ -0,0 +1,127 @@
+/**
+ * Intentional communities from the ic.org directory API.
+ * Source: https://www.ic.org/directory/
+ *
+ * Pages through the listing endpoint to collect all slugs, then
+ * fetches each entry's details (concurrency 3).
+ *
+ * - Skips disbanded communities
+ * - Strips HTML from descriptions (mission statement as fallback),
+ *   truncated to 500 chars
+ * - Community types map to tags
+ */
+
+const { SOCIAL_DOMAINS, fetchJson, mapInBatches, stripHtml, truncate } = require("../lib/ingest");
+
+const LISTING_URL = "https://www.ic.org/wp-json/v1/directory/entries/";
+const ENTRY_URL = "https://www.ic.org/wp-json/v1/directory/entry/";
+const CONCURRENCY = 3;
+const DELAY_BETWEEN_BATCHES = 200;
+const PER_PAGE = 25;
+const FETCH_TIMEOUT = 15000;
+const MAX_DESCRIPTION = 500;
+
+// communityTypes -> tag
+const TYPE_TAG_MAP = {
+  "ecovillage": "ecovillage",
+  "cohousing": "cohousing",
+  "commune": "commune",
+  "shared housing": "cohousing",
+  "coliving": "cohousing",
+  "spiritual": "intentional community",
+  "student": "cooperative",
+  "transition town": "ecovillage",
+  "indigenous": "intentional community",
+};
+
+function labelOf(value) {
+  if (!value) return "";
+  return (typeof value === "string" ? value : value.name || value.label || String(value)).trim();
+}
+
+function mapTags(typeNames) {
+  const tags = new Set(["intentional community"]);
+  for (const t of typeNames) {
+    const lower = t.toLowerCase();
+    for (const [key, tag] of Object.entries(TYPE_TAG_MAP)) {
+      if (lower.includes(key)) tags.add(tag);
+    }
+  }
+  return [...tags];
+}
+
+// Coordinates turn up under several field names, top-level or nested
+function extractCoords(entry) {
+  const pick = (obj, fields) => {
+    for (const f of fields) {
+      const val = parseFloat(obj?.[f]);
+      if (!isNaN(val) && val !== 0) return val;
+    }
+    return null;
+  };
+  const latFields = ["latitude", "lat", "Latitude", "Lat"];
+  const lonFields = ["longitude", "lng", "lon", "Longitude", "Lng", "Lon"];
+  for (const obj of [entry, entry.location, entry.geo]) {
+    const latitude = pick(obj, latFields);
+    if (latitude !== null) return { latitude, longitude: pick(obj, lonFields) };
+  }
+  return { latitude: null, longitude: null };
+}
+
+async function fetchAllListings() {
+  const listings = [];
+  let totalCount = null;
+  for (let page = 1; ; page++) {
+    const data = await fetchJson(`${LISTING_URL}?page=${page}`, { timeout: FETCH_TIMEOUT });
+    if (totalCount === null) totalCount = data.totalCount || 0;
+    const batch = data.listings || [];
+    if (batch.length === 0) break;
+    listings.push(...batch);
+    process.stdout.write(`\r  Page ${page}: ${listings.length}/${totalCount} listings collected`);
+    if (batch.length < PER_PAGE || listings.length >= totalCount) break;
+  }
+  console.log();
+  return listings;
+}
+
+module.exports = {
+  label: "ic.org directory",
+  source: "ic-directory",
+  outFile: "ic-directory.json",
+  skipDomains: [...SOCIAL_DOMAINS, "meetup.com"],
+
+  async fetch() {
+    const listings = await fetchAllListings();
+    console.log(`  Fetching entry details (concurrency ${CONCURRENCY})...`);
+    const entries = await mapInBatches(
+      listings,
+      (listing) => fetchJson(`${ENTRY_URL}?slug=${encodeURIComponent(listing.slug)}`, { timeout: FETCH_TIMEOUT }).catch(() => null),
+      {
+        concurrency: CONCURRENCY,
+        delay: DELAY_BETWEEN_BATCHES,
+        onBatch: (done, total) => process.stdout.write(`\r  ${done}/${total} fetched`),
+      }
+    );
+    console.log();
+    return entries.filter(Boolean);
+  },
+
+  normalise(entry, ctx) {
+    if (labelOf(entry.communityStatus).toLowerCase().includes("disbanded")) return ctx.skip("disbanded");
+
+    const types = [].concat(entry.communityTypes || []).map(labelOf).filter(Boolean);
+    const description = stripHtml(entry.description) || stripHtml(entry.missionStatement || entry.mission_statement);
+
+    return {
+      name: entry.name,
+      description: truncate(description, MAX_DESCRIPTION),
+      primary_url: entry.websiteUrl || entry.website_url || entry.website,
+      profile_url: entry.slug ? `https://www.ic.org/directory/${entry.slug}/` : "",
+      ...extractCoords(entry),
+      locality: entry.city,
+      region: entry.state,
+      country: entry.country,
+      tags: mapTags(types),
+    };
+  },
+};
@@ -0,0 +1,53 @@
+/**
+ * Repair cafés from the official Repair Café map API.
+ * Source: https://www.repaircafe.org
+ *
+ * - Skips self-referential links to repaircafe.org
+ * - Parses the coordinate string "lat,lng"; entries without one are dropped
+ * - Country is the last address segment, locality the one before it
+ *   (postal code stripped)
+ */
+
+const { SOCIAL_DOMAINS, fetchJson } = require("../lib/ingest");
+
+const API_URL = "https://www.repaircafe.org/wp-json/v1/map";
+
+function parseCoordinates(coordStr) {
+  const parts = (coordStr || "").split(",").map(s => parseFloat(s));
+  if (parts.length !== 2 || parts.some(isNaN)) return null;
+  return { lat: parts[0], lon: parts[1] };
+}
+
+// "Street, Postal City, Country" -> { locality, country }
+function parseAddress(address) {
+  const parts = (address || "").split(",").map(s => s.trim()).filter(Boolean);
+  return {
+    country: parts.length >= 1 ? parts[parts.length - 1] : "",
+    locality: parts.length >= 2 ? parts[parts.length - 2].replace(/^\d+\s*/, "") : "",
+  };
+}
+
+module.exports = {
+  label: "Repair Café map",
+  source: "repair-cafes",
+  outFile: "repair-cafes.json",
+  skipDomains: [...SOCIAL_DOMAINS, "repaircafe.org"],
+
+  fetch: () => fetchJson(API_URL),
+
+  normalise(loc, ctx) {
+    const coords = parseCoordinates(loc.coordinate);
+    if (!coords) return ctx.skip("no coordinates");
+    const { locality, country } = parseAddress(loc.address);
+    return {
+      name: loc.name,
+      primary_url: loc.external_link,
+      profile_url: (loc.link || "").trim(),
+      latitude: coords.lat,
+      longitude: coords.lon,
+      locality,
+      country,
+      tags: ["repair cafe"],
+    };
+  },
+};
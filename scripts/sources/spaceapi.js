@@ -0,0 +1,63 @@
+/**
+ * Hackerspaces from the SpaceAPI directory.
+ * Source: https://directory.spaceapi.io/
+ *
+ * The directory maps space names to SpaceAPI endpoints; each endpoint is
+ * fetched for website, location and description. Spaces whose domain is
+ * already in profiles.json are skipped.
+ */
+
+const { fetchJson, mapInBatches } = require("../lib/ingest");
+
+const DIRECTORY_URL = "https://directory.spaceapi.io/";
+const CONCURRENCY = 10;
+const FETCH_TIMEOUT = 10000;
+
+async function fetchEndpoint([name, endpointUrl]) {
+  try {
+    const data = await fetchJson(endpointUrl, { timeout: FETCH_TIMEOUT });
+    return {
+      name: data.space || data.name || name,
+      url: data.url || data.website || null,
+      description: data.description || "",
+      lat: data.location?.lat ?? null,
+      lon: data.location?.lon ?? null,
+      address: data.location?.address || "",
+    };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  label: "SpaceAPI directory",
+  source: "spaceapi",
+  outFile: "spaceapi-hackerspaces.json",
+  dedupExisting: true,
+
+  async fetch() {
+    const entries = Object.entries(await fetchJson(DIRECTORY_URL));
+    console.log(`  ${entries.length} spaces in directory, fetching endpoints (concurrency ${CONCURRENCY})...`);
+    const spaces = await mapInBatches(entries, fetchEndpoint, {
+      concurrency: CONCURRENCY,
+      onBatch: (done, total) => process.stdout.write(`\r  ${done}/${total} fetched`),
+    });
+    console.log();
+    return spaces.filter(Boolean);
+  },
+
+  normalise(r) {
+    // Country is the last address segment, locality the one before it
+    const addrParts = r.address.split(",").map(s => s.trim()).filter(Boolean);
+    return {
+      name: r.name,
+      description: r.description,
+      primary_url: r.url,
+      latitude: r.lat,
+      longitude: r.lon,
+      locality: addrParts.length >= 2 ? addrParts[addrParts.length - 2].replace(/^\d{4,}\s*/, "") : "",
+      country: addrParts.length > 0 ? addrParts[addrParts.length - 1] : "",
+      tags: ["hackerspace"],
+    };
+  },
+};
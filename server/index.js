@@ -3,8 +3,22 @@ require("dotenv").config();
 const express = require("express");
 const fs = require("fs");
 const path = require("path");
-const Anthropic = require("@anthropic-ai/sdk");
 const { logQuery } = require("../api/_log");
+const { llmAvailable, llmInfo, complete, stream } = require("../api/_llm");
+const { runAgent } = require("../api/_agent");
+const { citationStream } = require("../api/_citations");
+const { understandMessage, ruleBasedUnderstanding } = require("../api/_understand");
+const { buildEmbeddingText, normalizeSubmittedProfile } = require("../api/_overlay");
+const searchEngine = require("../api/_search");
+const { computePenalties } = require("../api/_penalties");
+const { parseArea } = require("../api/_spatial");
+const { exportFormat, streamExport } = require("../api/_export");
+const { isPublishable, toMurmurationsProfile } = require("../api/_murmurations");
+const { similarNearby, parseSimilarQuery, renderOrgPage, renderNotFoundPage } = require("../api/_org");
+const { TAG_CATEGORIES } = require("../api/_facets");
+const { normalizeCountry } = require("../api/_gazetteer");
+const sourcesManifest = require("../api/_sources");
+const { countBySource, describeSources } = sourcesManifest;
 
 const app = express();
 app.use(express.json({ limit: "2mb" }));
@@ -14,63 +28,27 @@ const PROFILES_PATH = path.join(__dirname, "..", "data", "profiles.json");
 let totalProfiles = 0;
 let totalCountries = 0;
 let categoryCounts = "";
+let sourceCounts = [];   // [{ source, count }] in manifest order
+// Country codes in the main dataset (user-submitted ones are added on top in /api/stats)
+const countryCodes = new Set();
+
+// Profiles merged before location normalisation was added lack country_code
+function countryCodeOf(p) {
+  if (p.country_code !== undefined) return p.country_code;
+  return normalizeCountry(p.country)?.code || null;
+}
+
 try {
   const allProfiles = JSON.parse(fs.readFileSync(PROFILES_PATH, "utf8"));
   totalProfiles = allProfiles.length;
-  // Count unique countries — split composites, deduplicate, filter noise
-  const countrySet = new Set();
-  const langDupes = new Set(["deutschland","germania","allemagne","duitsland","frankreich","francia","spanien","espana","españa","italia","italien","italië","nederland","niederlande","schweiz","suisse","svizzera","österreich","zweden","danmark","dänemark","belgien","belgique","norge","brasil","brasilien","brail","polen","kroatien","kenia","indien","bulgarien","griechenland","russland","tansania","bolivien","vereinigte staaten von amerika","verenigde staten","vereinigtes königreich","verenigd koninkrijk","perú"]);
   for (const p of allProfiles) {
-    if (!p.country) continue;
-    const segments = p.country.replace(/&amp;/g, "&").split(/[:|]/).map(s => s.trim().toLowerCase()).filter(s => s.length > 3);
-    for (const s of segments) {
-      if (langDupes.has(s)) continue;
-      if (/[\u0400-\u04FF\u4E00-\u9FFF]/.test(s)) continue;
-      if (s.includes("(")) continue;
-      if (["borders","midlands","the north","south west","london & se","wales & borders"].includes(s)) continue;
-      countrySet.add(s);
-    }
+    const code = countryCodeOf(p);
+    if (code) countryCodes.add(code);
   }
-  totalCountries = countrySet.size;
+  totalCountries = countryCodes.size;
+  sourceCounts = countBySource(allProfiles);
   // Count profiles by category using tags
   const tagCounts = {};
-  const TAG_CATEGORIES = {
-    "nature reserve": "nature reserves",
-    "farm shop": "farm shops",
-    "ngo": "NGOs",
-    "charity shop": "charity shops",
-    "second hand shop": "second hand shops",
-    "free shop": "free shops",
-    "organic shop": "organic shops",
-    "organic": "organic shops",
-    "coworking": "coworking spaces",
-    "hackerspace": "hackerspaces",
-    "makerspace": "makerspaces",
-    "cooperative": "cooperatives",
-    "coop": "cooperatives",
-    "repair cafe": "repair cafes",
-    "zero waste": "zero waste shops",
-    "fair trade": "fair trade shops",
-    "marketplace": "marketplaces",
-    "market": "marketplaces",
-    "social centre": "social centres",
-    "health food shop": "health food shops",
-    "food bank": "food banks",
-    "soup kitchen": "food banks",
-    "vegetarian restaurant": "vegetarian restaurants",
-    "vegan restaurant": "vegan restaurants",
-    "botanical garden": "botanical gardens",
-    "tool library": "tool libraries",
-    "bike workshop": "bike workshops",
-    "bicycle repair": "bike workshops",
-    "national park": "national parks",
-    "bird hide": "bird hides",
-    "birdwatching": "bird hides",
-    "give box": "give boxes",
-    "wildlife sanctuary": "wildlife sanctuaries",
-    "eco campsite": "eco campsites",
-    "citizen network": "citizen network",
-  };
   for (const p of allProfiles) {
     for (const t of (p.tags || [])) {
       const cat = TAG_CATEGORIES[t];
@@ -89,369 +67,216 @@ app.use("/", express.static(path.join(__dirname, "..", "src"), { etag: false, la
 app.use("/data", express.static(path.join(__dirname, "..", "data")));
 
 // -------------------------------------------------------------------
-// Search data — load embeddings + profiles into memory at startup
+// Search engine — shared with the Vercel functions (api/_search.js).
+// Embeddings + profiles are loaded into memory at startup.
 // -------------------------------------------------------------------
 const DATA_DIR = path.join(__dirname, "..", "data");
-const EMBED_DIM = 384;
-const TOP_K_DISPLAY = 20;
-const TOP_K_GEO_BROWSE = 50;
 const TOP_K_LLM = 8;
-const GEO_FILTER_MIN = 5;
-const RELEVANCE_THRESHOLD = 0.35;
-
-let profilesMeta = [];
-let embInt8 = null;
-let embScales = null;
 
+searchEngine.configure({ dataDir: DATA_DIR });
+sourcesManifest.configure({ dataDir: DATA_DIR });
 try {
   console.log("  Loading search data...");
-  profilesMeta = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "profiles-meta.json"), "utf8"));
-  embInt8 = new Int8Array(fs.readFileSync(path.join(DATA_DIR, "embeddings-int8.bin")).buffer);
-  embScales = new Float32Array(fs.readFileSync(path.join(DATA_DIR, "embeddings-scales.bin")).buffer);
-  console.log(`  Loaded ${profilesMeta.length} profiles, ${embInt8.length / EMBED_DIM} embedding vectors (Int8)`);
+  searchEngine.loadData();
+  console.log(`  Loaded ${searchEngine.getProfiles().length} profiles (Int8 embeddings)`);
 } catch (err) {
   console.warn("  Could not load search data:", err.message);
-  console.warn("  Run: python scripts/quantize-embeddings.py");
+  console.warn("  Run: node scripts/build-index.js");
 }
 
 // -------------------------------------------------------------------
-// Geographic search utilities (ported from src/app.js)
+// User-submitted profiles — overlay index searched alongside the main
+// dataset (see api/_overlay.js). Entries are { profile, embedding }.
 // -------------------------------------------------------------------
+const USER_PROFILES_PATH = path.join(__dirname, "..", "data", "user-profiles.json");
 
-const GEO_ALIASES = {
-  uk: ["england", "scotland", "wales", "northern ireland", "united kingdom", "gb"],
-  britain: ["england", "scotland", "wales", "united kingdom", "gb"],
-  "united kingdom": ["england", "scotland", "wales", "northern ireland", "united kingdom", "gb"],
-  england: ["england"], scotland: ["scotland"], wales: ["wales"],
-  "northern ireland": ["northern ireland"],
-  "east anglia": ["norfolk", "suffolk", "cambridgeshire", "east anglia"],
-  "west country": ["devon", "cornwall", "somerset", "dorset"],
-  "home counties": ["surrey", "kent", "essex", "hertfordshire", "buckinghamshire", "berkshire"],
-  midlands: ["west midlands", "east midlands", "warwickshire", "staffordshire", "derbyshire", "nottinghamshire", "leicestershire"],
-  "south east": ["surrey", "kent", "sussex", "hampshire"],
-  "north west": ["lancashire", "cumbria", "merseyside", "greater manchester", "cheshire"],
-  "north east": ["northumberland", "tyne and wear", "county durham"],
-  "greater london": ["london"],
-  us: ["united states", "us", "usa"], usa: ["united states", "us", "usa"],
-  "united states": ["united states", "us", "usa"], america: ["united states", "us", "usa"],
-  france: ["france", "fr", "frankreich"], frankreich: ["france", "fr", "frankreich"],
-  germany: ["germany", "de", "deutschland"], deutschland: ["germany", "de", "deutschland"],
-  spain: ["spain", "es", "españa", "espana"], "españa": ["spain", "es", "españa", "espana"], espana: ["spain", "es", "españa", "espana"],
-  italy: ["italy", "it"], brazil: ["brazil", "br"], canada: ["canada", "ca"],
-  australia: ["australia", "au"], india: ["india", "in"], japan: ["japan", "jp"],
-  netherlands: ["netherlands", "nl"], belgium: ["belgium", "be"],
-  austria: ["austria", "at", "österreich", "oesterreich"], "österreich": ["austria", "at", "österreich", "oesterreich"],
-  switzerland: ["switzerland", "ch", "schweiz", "suisse", "svizzera"], schweiz: ["switzerland", "ch", "schweiz", "suisse", "svizzera"],
-  sweden: ["sweden", "se"], portugal: ["portugal", "pt"], kenya: ["kenya", "ke"],
-  ecuador: ["ecuador", "ec"], ireland: ["ireland", "ie"], "new zealand": ["new zealand", "nz"],
-};
-
-function splitLocationSegments(value) {
-  return value.replace(/&amp;/g, "&").split(/[:|&|]/).map(s => s.trim().toLowerCase()).filter(s => s.length >= 2);
-}
-
-let knownLocations = null;
-
-function buildLocationIndex() {
-  knownLocations = new Set();
-  for (const p of profilesMeta) {
-    if (p.locality) splitLocationSegments(p.locality).forEach(s => knownLocations.add(s));
-    if (p.region) splitLocationSegments(p.region).forEach(s => knownLocations.add(s));
-    if (p.country) splitLocationSegments(p.country).forEach(s => knownLocations.add(s));
+function loadUserProfiles() {
+  try {
+    if (fs.existsSync(USER_PROFILES_PATH)) {
+      return JSON.parse(fs.readFileSync(USER_PROFILES_PATH, "utf-8"));
+    }
+  } catch (err) {
+    console.error("[user-profiles] Failed to load:", err.message);
   }
+  return [];
 }
 
-// Build once at startup
-if (profilesMeta.length > 0) buildLocationIndex();
-
-// Build geo sample for LLM context
-let geoSample = "";
-function buildGeoSample() {
-  const countries = new Set();
-  const regionCounts = {};
-  const cityCounts = {};
-  for (const p of profilesMeta) {
-    if (p.country) splitLocationSegments(p.country).forEach(s => countries.add(s));
-    if (p.region) splitLocationSegments(p.region).forEach(s => regionCounts[s] = (regionCounts[s] || 0) + 1);
-    if (p.locality) splitLocationSegments(p.locality).forEach(s => cityCounts[s] = (cityCounts[s] || 0) + 1);
-  }
-  const topRegions = Object.entries(regionCounts).sort((a, b) => b[1] - a[1]).slice(0, 100).map(([name]) => name);
-  const topCities = Object.entries(cityCounts).sort((a, b) => b[1] - a[1]).slice(0, 100).map(([name]) => name);
-  geoSample = `Countries: ${[...countries].sort().join(", ")}. Regions: ${topRegions.join(", ")}. Cities: ${topCities.join(", ")}`;
+function saveUserProfiles(entries) {
+  fs.mkdirSync(path.dirname(USER_PROFILES_PATH), { recursive: true });
+  fs.writeFileSync(USER_PROFILES_PATH, JSON.stringify(entries, null, 2));
 }
-if (profilesMeta.length > 0) buildGeoSample();
-
-function extractGeoTerms(query) {
-  const q = query.toLowerCase().replace(/['']/g, "");
-  const terms = [];
-  const aliasKeys = Object.keys(GEO_ALIASES).sort((a, b) => b.length - a.length);
-  const matched = new Set();
-  for (const key of aliasKeys) {
-    if (q.includes(key) && !matched.has(key)) {
-      terms.push(...GEO_ALIASES[key]);
-      key.split(/\s+/).forEach(w => matched.add(w));
-      matched.add(key);
+
+let userProfiles = loadUserProfiles();
+searchEngine.setOverlay(userProfiles);
+console.log(`[user-profiles] Loaded ${userProfiles.length} existing entries`);
+
+// -------------------------------------------------------------------
+// Search endpoint
+// -------------------------------------------------------------------
+app.post("/api/search", async (req, res) => {
+  try {
+    const { query, geo, topic, queryType, showAll, near, bbox, filters, offset, limit, userProfiles: clientProfiles } = req.body;
+    const { area, error: areaError } = parseArea(near, bbox);
+    if (areaError) {
+      return res.status(400).json({ error: areaError });
+    }
+    if (!query && !topic && (!geo || geo.length === 0) && !area) {
+      return res.status(400).json({ error: "Missing query" });
     }
-  }
-  if (!knownLocations) buildLocationIndex();
-  const words = q.split(/\s+/).filter(w => w.length >= 3);
-  for (const word of words) {
-    if (terms.includes(word) || matched.has(word)) continue;
-    if (knownLocations.has(word)) terms.push(word);
-  }
-  for (let i = 0; i < words.length - 1; i++) {
-    const pair = words[i] + " " + words[i + 1];
-    if (!terms.includes(pair) && knownLocations.has(pair)) terms.push(pair);
-  }
-  for (let i = 0; i < words.length - 2; i++) {
-    const triple = words[i] + " " + words[i + 1] + " " + words[i + 2];
-    if (!terms.includes(triple) && knownLocations.has(triple)) terms.push(triple);
-  }
-  return terms;
-}
 
-function profileMatchesGeo(profile, geoTerms) {
-  const fields = [profile.country, profile.region, profile.locality].filter(Boolean).map(s => s.toLowerCase());
-  for (const term of geoTerms) {
-    for (const field of fields) {
-      if (field.includes(term)) return true;
+    const searchResult = await searchEngine.search({ query, geo, topic, queryType, showAll, area, filters, offset, limit, userProfiles: clientProfiles });
+
+    // "Load more" pages aren't new queries
+    if (searchResult.offset === 0) {
+      logQuery({
+        type: "search",
+        query: query || "",
+        geo: searchResult.geoTerms,
+        topic: topic || query || "",
+        queryType: searchResult.queryType,
+        resultCount: searchResult.results.length,
+        ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
+      }).catch(() => {});
     }
-  }
-  return false;
-}
 
-const STOPWORDS = new Set([
-  "the","and","for","are","but","not","you","all","can","has","her","was","one","our","out","his","how","its","may","who",
-  "did","get","let","say","she","too","use","with","that","this","from","they","been","have","many","some","them","than","each",
-  "make","like","into","over","such","here","what","about","which","when","there","their","will","would","could","should",
-  "any","does","please","help","want","need","looking","much","got","your","every","most","these","those",
-  "shall","might","just","also","very","really","quite","what's","whats",
-  "show","find","search","list","give","tell","see","orgs","org","know","where",
-  "everything","anything","things","places","stuff",
-  "projects","organisations","organizations","groups","initiatives","based","near","nearby","around","related",
-]);
-
-function extractTopicWords(query, geoTerms) {
-  const geoAliasWords = new Set();
-  for (const [key, vals] of Object.entries(GEO_ALIASES)) {
-    key.split(/\s+/).forEach(w => geoAliasWords.add(w));
-    vals.forEach(v => v.split(/\s+/).forEach(w => geoAliasWords.add(w)));
-  }
-  if (geoTerms) {
-    for (const t of geoTerms) t.split(/\s+/).forEach(w => geoAliasWords.add(w));
+    res.json(searchResult);
+  } catch (err) {
+    console.error("[search] Error:", err.message);
+    res.status(500).json({ error: `Search failed: ${err.message}` });
   }
-  return query.toLowerCase().replace(/['']/g, "").split(/\s+/)
-    .filter(w => w.length >= 3 && !STOPWORDS.has(w) && !geoAliasWords.has(w));
-}
+});
 
-function stemWord(w) {
-  if (w.endsWith("ies") && w.length > 4) return w.slice(0, -3) + "y";
-  if (w.endsWith("ses") || w.endsWith("xes") || w.endsWith("zes") || w.endsWith("ches") || w.endsWith("shes")) return w.slice(0, -2);
-  if (w.endsWith("s") && !w.endsWith("ss") && w.length > 3) return w.slice(0, -1);
-  return w;
-}
+// Every match of a search as CSV, GeoJSON or JSON-LD (same body as /api/search)
+app.post("/api/export", async (req, res) => {
+  try {
+    const { query, geo, topic, queryType, showAll, near, bbox, filters, userProfiles: clientProfiles } = req.body;
+    const format = exportFormat(req.query.format || req.body.format);
+    if (!format) {
+      return res.status(400).json({ error: "format must be csv, geojson or jsonld" });
+    }
+    const { area, error: areaError } = parseArea(near, bbox);
+    if (areaError) {
+      return res.status(400).json({ error: areaError });
+    }
+    if (!query && !topic && (!geo || geo.length === 0) && !area) {
+      return res.status(400).json({ error: "Missing query" });
+    }
 
-function topicKeywordBoost(profile, topicWords) {
-  if (topicWords.length === 0) return 0;
-  const text = [profile.name, profile.description, ...(profile.tags || [])].filter(Boolean).join(" ").toLowerCase();
-  let matches = 0;
-  for (const word of topicWords) {
-    const stem = stemWord(word);
-    if (text.includes(word) || (stem !== word && text.includes(stem))) matches++;
-  }
-  return matches / topicWords.length;
-}
+    const found = await searchEngine.searchAll({ query, geo, topic, queryType, showAll, area, filters, userProfiles: clientProfiles });
 
-// Int8 cosine similarity with dequantization
-function cosineSimilarityInt8(queryVec, idx) {
-  const offset = idx * EMBED_DIM;
-  const scaleOffset = idx * 2;
-  const mn = embScales[scaleOffset];
-  const mx = embScales[scaleOffset + 1];
-  const range = mx - mn || 1;
-  const scale = range / 255;
-  let dot = 0;
-  for (let i = 0; i < EMBED_DIM; i++) {
-    const dequant = (embInt8[offset + i] + 128) * scale + mn;
-    dot += queryVec[i] * dequant;
-  }
-  return dot;
-}
+    logQuery({
+      type: "export",
+      query: query || "",
+      geo: found.geoTerms,
+      topic: topic || query || "",
+      queryType: found.queryType,
+      resultCount: found.totalResults,
+      ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
+    }).catch(() => {});
 
-function searchProfilesServer(queryEmbedding, query, topK, llmParams) {
-  let geoTerms, topicWords, queryType;
-
-  if (llmParams && llmParams.geo) {
-    geoTerms = llmParams.geo.map(g => g.toLowerCase());
-    topicWords = llmParams.topic ? extractTopicWords(llmParams.topic, []) : [];
-    queryType = llmParams.queryType || (geoTerms.length > 0 && topicWords.length > 0 ? "geo+topic" : geoTerms.length > 0 ? "geo-only" : "topic-only");
-  } else {
-    geoTerms = extractGeoTerms(query);
-    topicWords = extractTopicWords(query, geoTerms);
-    const hasTopic = topicWords.length > 0;
-    queryType = geoTerms.length > 0 && !hasTopic ? "geo-only" : geoTerms.length > 0 && hasTopic ? "geo+topic" : "topic-only";
+    await streamExport(res, format, found.results, { query, total: found.totalResults });
+  } catch (err) {
+    console.error("[export] Error:", err.message);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: `Export failed: ${err.message}` });
   }
+});
 
-  let geoNote = null;
-  const hasTopicWords = topicWords.length > 0;
+// -------------------------------------------------------------------
+// Stats endpoint
+// -------------------------------------------------------------------
+app.get("/api/stats", (req, res) => {
+  const countries = new Set(countryCodes);
+  for (const e of userProfiles) {
+    const code = countryCodeOf(e.profile);
+    if (code) countries.add(code);
+  }
+  res.json({
+    totalProfiles: totalProfiles + userProfiles.length,
+    totalCountries: userProfiles.length > 0 ? countries.size : totalCountries,
+    userProfiles: userProfiles.length,
+    sources: userProfiles.length > 0
+      ? [...sourceCounts, { source: "user-submitted", count: userProfiles.length }]
+      : sourceCounts,
+  });
+});
 
-  const queryLower = (query || "").toLowerCase().replace(/[''"""]/g, "").trim();
-  function nameMatchBoost(profile) {
-    if (!queryLower || queryLower.length < 4) return 0;
-    const name = (profile.name || "").toLowerCase();
-    if (name === queryLower) return 2.0;
-    if (name.includes(queryLower) || queryLower.includes(name)) return 1.5;
-    return 0;
+// Data sources with licence, attribution, profile count and last fetch date
+app.get("/api/sources", (req, res) => {
+  try {
+    res.json({ sources: describeSources(searchEngine.getProfiles()) });
+  } catch (err) {
+    console.error("Sources error:", err.message);
+    res.status(500).json({ error: "Could not load sources" });
   }
+});
 
-  function scoreProfile(idx, geoMultiplier) {
-    const semantic = queryEmbedding ? cosineSimilarityInt8(queryEmbedding, idx) : 0;
-    const kwBoost = topicKeywordBoost(profilesMeta[idx], topicWords);
-    const nameBoost = nameMatchBoost(profilesMeta[idx]);
-    const penaltyVal = penalties[profilesMeta[idx].profile_url] ?? 1;
-    const combined = semantic * geoMultiplier * (1 + kwBoost * 1.0 + nameBoost) * penaltyVal;
-    return {
-      idx,
-      profile: profilesMeta[idx],
-      score: combined,
-      rawSemantic: Math.min(1, semantic * (1 + kwBoost * 1.0 + nameBoost)),
-      kwBoost: kwBoost + nameBoost,
-    };
+// One organisation by stable id (api/_ids.js), with similar ones nearby
+app.get("/api/profile/:id", (req, res) => {
+  try {
+    const profile = searchEngine.getProfileById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+    res.json({ profile, similar: similarNearby(profile) });
+  } catch (err) {
+    console.error("Profile error:", err.message);
+    res.status(500).json({ error: "Could not load profile" });
   }
+});
 
-  if (geoTerms.length > 0) {
-    const geoMatchIndices = [];
-    for (let i = 0; i < profilesMeta.length; i++) {
-      if (profileMatchesGeo(profilesMeta[i], geoTerms)) geoMatchIndices.push(i);
+// "More like this": nearest neighbours of a profile's embedding,
+// ?near=country or ?near=<km> around it
+app.get("/api/similar/:id", (req, res) => {
+  try {
+    const profile = searchEngine.getProfileById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
     }
-
-    if (geoMatchIndices.length >= GEO_FILTER_MIN) {
-      if (!hasTopicWords) {
-        const results = geoMatchIndices.map(idx => {
-          const p = profilesMeta[idx];
-          const descLen = (p.description || "").length;
-          return { idx, profile: p, score: descLen, rawSemantic: 0, kwBoost: 0 };
-        });
-        results.sort((a, b) => b.score - a.score);
-        const totalGeoMatches = results.length;
-        return { results: results.slice(0, TOP_K_GEO_BROWSE), geoNote, geoTerms, topicWords, queryType, totalGeoMatches };
-      }
-
-      const scored = geoMatchIndices.map(idx => scoreProfile(idx, 1));
-      scored.sort((a, b) => b.score - a.score);
-
-      // First try: keyword matches within geo (no semantic threshold needed — geo + keyword is strong enough)
-      const kwMatches = scored.filter(r => r.kwBoost > 0);
-      if (kwMatches.length > 0) {
-        const totalKwInGeo = kwMatches.length;
-        return { results: kwMatches.slice(0, topK), geoNote, geoTerms, topicWords, queryType, totalGeoMatches: totalKwInGeo };
-      }
-
-      // Fallback: use semantic relevance within geo results
-      const semanticFallback = scored.filter(r => r.rawSemantic >= RELEVANCE_THRESHOLD).slice(0, topK);
-      if (semanticFallback.length > 0) {
-        return { results: semanticFallback, geoNote, geoTerms, topicWords, queryType: "geo+topic-fallback", totalGeoMatches: geoMatchIndices.length, originalTopicWords: topicWords };
-      }
-      // Last resort: browse by description length
-      const fallbackResults = geoMatchIndices.map(idx => {
-        const p = profilesMeta[idx];
-        const descLen = (p.description || "").length;
-        return { idx, profile: p, score: descLen, rawSemantic: 0, kwBoost: 0 };
-      });
-      fallbackResults.sort((a, b) => b.score - a.score);
-      const totalGeoMatches = fallbackResults.length;
-      return { results: fallbackResults.slice(0, TOP_K_GEO_BROWSE), geoNote, geoTerms, topicWords, queryType: "geo+topic-fallback", totalGeoMatches, originalTopicWords: topicWords };
+    const { options, error } = parseSimilarQuery(profile, req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
-
-    const triedLocations = [...new Set(geoTerms)].map(t => t.charAt(0).toUpperCase() + t.slice(1));
-    geoNote = `No results found matching that location. Searched: ${triedLocations.join(", ")}.`;
-    return { results: [], geoNote, geoTerms, topicWords, queryType };
+    res.json({ id: profile.id, name: profile.name, near: req.query.near || null, results: searchEngine.similarProfiles(profile.id, options) });
+  } catch (err) {
+    console.error("Similar error:", err.message);
+    res.status(500).json({ error: "Could not find similar profiles" });
   }
+});
 
-  // No geo terms — pure topic search
-  const allScored = [];
-  for (let i = 0; i < profilesMeta.length; i++) {
-    allScored.push(scoreProfile(i, 1));
-  }
-  allScored.sort((a, b) => b.score - a.score);
-
-  const topResults = allScored.slice(0, topK);
-  const filtered = topResults.filter(r =>
-    r.rawSemantic >= RELEVANCE_THRESHOLD && (!hasTopicWords || r.kwBoost > 0 || r.rawSemantic >= 0.5)
-  );
-
-  let totalTopicMatches = null;
-  if (hasTopicWords) {
-    totalTopicMatches = 0;
-    for (let i = 0; i < profilesMeta.length; i++) {
-      if (topicKeywordBoost(profilesMeta[i], topicWords) > 0) totalTopicMatches++;
+// Shareable, server-rendered organisation page
+app.get("/org/:id", (req, res) => {
+  try {
+    const profile = searchEngine.getProfileById(req.params.id);
+    if (!profile) {
+      return res.status(404).send(renderNotFoundPage());
     }
+    res.send(renderOrgPage(profile, similarNearby(profile)));
+  } catch (err) {
+    console.error("Org page error:", err.message);
+    res.status(500).send("Could not load this organisation");
   }
+});
 
-  return { results: filtered, geoNote, geoTerms, topicWords, queryType, totalTopicMatches };
-}
-
-// -------------------------------------------------------------------
-// Search endpoint
-// -------------------------------------------------------------------
-app.post("/api/search", async (req, res) => {
+// Non-Murmurations profiles as organizations_schema-v1.0.0 documents, so
+// other Murmurations aggregators can index them (api/_murmurations.js)
+app.get("/profiles/:id.json", (req, res) => {
   try {
-    const { query, geo, topic, queryType, showAll } = req.body;
-    if (!query && !topic && (!geo || geo.length === 0)) {
-      return res.status(400).json({ error: "Missing query" });
-    }
-
-    // Build embedding if we have a topic
-    let queryEmbedding = null;
-    const searchTopic = topic || query || "";
-    const llmParams = (geo || topic || queryType) ? { geo: geo || [], topic: topic || "", queryType: queryType || null, showAll: showAll || false } : null;
-    const effectiveQueryType = llmParams?.queryType || "topic-only";
-
-    if (searchTopic && effectiveQueryType !== "geo-only") {
-      const expanded = "Organisation or project related to: " + searchTopic;
-      const embed = await getEmbedder();
-      const output = await embed(expanded, { pooling: "mean", normalize: true });
-      queryEmbedding = Array.from(output.data);
+    const profile = searchEngine.getProfileById(req.params.id);
+    if (!isPublishable(profile)) {
+      return res.status(404).json({ error: "Profile not found" });
     }
-
-    const searchResult = searchProfilesServer(queryEmbedding, query || searchTopic, TOP_K_DISPLAY, llmParams);
-
-    // Strip internal idx from results, add _relevance
-    const results = searchResult.results.map(r => ({
-      ...r.profile,
-      _relevance: r.rawSemantic > 0 ? Math.round(r.rawSemantic * 100) : null,
-      _idx: r.idx,
-    }));
-
-    logQuery({
-      type: "search",
-      query: query || "",
-      geo: searchResult.geoTerms,
-      topic: searchTopic,
-      queryType: searchResult.queryType,
-      resultCount: results.length,
-      ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
-    }).catch(() => {});
-
-    res.json({
-      results,
-      totalResults: searchResult.totalGeoMatches || searchResult.totalTopicMatches || results.length,
-      geoNote: searchResult.geoNote,
-      queryType: searchResult.queryType,
-      geoTerms: searchResult.geoTerms,
-      topicWords: searchResult.topicWords,
-    });
+    res.set("Access-Control-Allow-Origin", "*");
+    res.json(toMurmurationsProfile(profile));
   } catch (err) {
-    console.error("[search] Error:", err.message);
-    res.status(500).json({ error: `Search failed: ${err.message}` });
+    console.error("Murmurations profile error:", err.message);
+    res.status(500).json({ error: "Could not load profile" });
   }
 });
 
-// -------------------------------------------------------------------
-// Stats endpoint
-// -------------------------------------------------------------------
-app.get("/api/stats", (req, res) => {
-  res.json({ totalProfiles, totalCountries });
+// User-submitted profiles (without embeddings) for the map overlay
+app.get("/api/user-profiles", (req, res) => {
+  res.json(userProfiles.map(e => e.profile));
 });
 
 // -------------------------------------------------------------------
@@ -478,45 +303,15 @@ function saveReports(reports) {
 let reports = loadReports();
 console.log(`[reports] Loaded ${reports.length} existing reports`);
 
-// Module-level penalties map used by search
-let penalties = {};
-
-// Compute penalty map: profile_url -> multiplier
-function computePenalties() {
-  const penaltyMap = {};
-  const deadLinks = {};     // profile_url -> count
-  const irrelevantQs = {};  // profile_url -> Set of unique queries
-
-  for (const r of reports) {
-    if (r.report_type === "dead_link") {
-      deadLinks[r.profile_url] = (deadLinks[r.profile_url] || 0) + 1;
-    } else if (r.report_type === "irrelevant") {
-      if (!irrelevantQs[r.profile_url]) irrelevantQs[r.profile_url] = new Set();
-      irrelevantQs[r.profile_url].add(r.query || "");
-    }
-  }
-
-  for (const [url, count] of Object.entries(deadLinks)) {
-    penaltyMap[url] = 0.1; // dead links get buried
-  }
-
-  for (const [url, queries] of Object.entries(irrelevantQs)) {
-    const factor = Math.max(0.5, Math.pow(0.9, queries.size));
-    penaltyMap[url] = Math.min(penaltyMap[url] ?? 1, factor);
-  }
-
-  return penaltyMap;
-}
-
 // Initialize penalties at startup
-penalties = computePenalties();
+searchEngine.setPenalties(computePenalties(reports));
 
 app.get("/api/reports", (req, res) => {
   res.json(reports);
 });
 
 app.get("/api/penalties", (req, res) => {
-  res.json(computePenalties());
+  res.json(computePenalties(reports));
 });
 
 app.post("/api/report", (req, res) => {
@@ -538,7 +333,7 @@ app.post("/api/report", (req, res) => {
 
   reports.push(report);
   saveReports(reports);
-  penalties = computePenalties();
+  searchEngine.setPenalties(computePenalties(reports));
 
   res.json({ ok: true, id: report.id });
 });
@@ -548,7 +343,7 @@ app.delete("/api/reports/:id", (req, res) => {
   if (idx === -1) return res.status(404).json({ error: "Not found" });
   reports.splice(idx, 1);
   saveReports(reports);
-  penalties = computePenalties();
+  searchEngine.setPenalties(computePenalties(reports));
   res.json({ ok: true });
 });
 
@@ -658,17 +453,6 @@ app.get("/admin", (req, res) => {
 // -------------------------------------------------------------------
 // Query embedding via Transformers.js (loads model on first request)
 // -------------------------------------------------------------------
-let pipeline = null;
-let embedder = null;
-
-async function getEmbedder() {
-  if (embedder) return embedder;
-  const { pipeline: pipelineFn } = await import("@xenova/transformers");
-  pipeline = pipelineFn;
-  embedder = await pipeline("feature-extraction", "Xenova/all-MiniLM-L6-v2");
-  return embedder;
-}
-
 app.post("/api/embed", async (req, res) => {
   try {
     const { query } = req.body;
@@ -676,7 +460,7 @@ app.post("/api/embed", async (req, res) => {
       return res.status(400).json({ error: "Missing query string" });
     }
 
-    const embed = await getEmbedder();
+    const embed = await searchEngine.getEmbedder();
     const output = await embed(query, { pooling: "mean", normalize: true });
     const vector = Array.from(output.data);
 
@@ -695,7 +479,7 @@ function buildSystemPrompt() {
 
 The user searches by talking to you. Their messages trigger searches automatically and you see the results below. You ARE the search tool — never tell users to "visit the Murmurations website" or "search directly." Never say you "don't have access" to data. NEVER refer users to Google, Google Maps, or any external search engine. If you can't find what they want, suggest a related search using terms you do have data for.
 
-The user sees result cards and a map below your message — don't repeat what's visible there.
+The user sees result cards and a map below your message — don't repeat what's visible there. The cards are numbered like the results you see: when you mention one of those organisations, cite its number in square brackets like [2]. Only cite numbers from the results.
 
 STRICT LIMIT: 30 words or fewer. One or two short sentences only. Plain text. No emoji. No markdown. Talk like a knowledgeable friend.
 
@@ -708,37 +492,21 @@ IMPORTANT: You DO cover ALL the categories listed above including national parks
 
 
 app.post("/api/chat", async (req, res) => {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    return res.status(501).json({ error: "No ANTHROPIC_API_KEY configured — chat mode requires an API key. Switch to Search mode." });
+  if (!llmAvailable()) {
+    return res.status(501).json({ error: "No LLM configured — chat mode needs ANTHROPIC_API_KEY or LLM_BASE_URL. Switch to Search mode." });
   }
 
   try {
-    const { query, geo, topic, queryType: reqQueryType, showAll, geoNote: reqGeoNote, history = [] } = req.body;
+    const { query, geo, topic, queryType: reqQueryType, showAll, geoNote: reqGeoNote, history = [], userProfiles: clientProfiles } = req.body;
     if (!query || typeof query !== "string") {
       return res.status(400).json({ error: "Missing query" });
     }
 
     // Run search internally to get top results
-    let queryEmbedding = null;
-    const searchTopic = topic || query;
-    const llmParams = { geo: geo || [], topic: topic || "", queryType: reqQueryType || null, showAll: showAll || false };
-    const effectiveQueryType = llmParams.queryType || "topic-only";
-
-    if (searchTopic && effectiveQueryType !== "geo-only") {
-      const expanded = "Organisation or project related to: " + searchTopic;
-      const embed = await getEmbedder();
-      const output = await embed(expanded, { pooling: "mean", normalize: true });
-      queryEmbedding = Array.from(output.data);
-    }
+    const searchResult = await searchEngine.search({ query, geo: geo || [], topic: topic || "", queryType: reqQueryType || null, showAll, userProfiles: clientProfiles });
+    const profileList = searchResult.results.slice(0, TOP_K_LLM);
 
-    const searchResult = searchProfilesServer(queryEmbedding, query, TOP_K_DISPLAY, llmParams);
-    const profileList = searchResult.results.slice(0, TOP_K_LLM).map(r => ({
-      ...r.profile,
-      _relevance: r.rawSemantic > 0 ? Math.round(r.rawSemantic * 100) : null,
-    }));
-
-    const total = searchResult.totalGeoMatches || searchResult.totalTopicMatches || searchResult.results.length;
+    const total = searchResult.totalResults;
     const geoNote = reqGeoNote || searchResult.geoNote;
     const geoTerms = searchResult.geoTerms || [];
     const topicKeywords = searchResult.topicWords || [];
@@ -785,33 +553,32 @@ app.post("/api/chat", async (req, res) => {
     messages.push({ role: "user", content: userMessage });
 
     const systemPrompt = buildSystemPrompt();
-    const client = new Anthropic();
 
     res.setHeader("Content-Type", "text/event-stream");
     res.setHeader("Cache-Control", "no-cache");
     res.setHeader("Connection", "keep-alive");
 
-    const stream = client.messages.stream({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 120,
-      system: systemPrompt,
-      messages,
-    });
-
-    stream.on("text", (text) => {
-      res.write(`data: ${JSON.stringify({ text })}\n\n`);
-    });
-
-    stream.on("end", () => {
+    // Only refs to the profiles listed above become citations
+    const answer = citationStream(
+      (ref) => profileList[ref - 1],
+      (event) => res.write(`data: ${JSON.stringify(event)}\n\n`)
+    );
+    try {
+      await stream({
+        purpose: "chat",
+        system: systemPrompt,
+        messages,
+        maxTokens: 120,
+        onText: (text) => answer.write(text),
+      });
+      const { rejected } = answer.end();
+      if (rejected.length > 0) console.warn(`[chat] Rejected citations: ${rejected.join(", ")}`);
       res.write("data: [DONE]\n\n");
-      res.end();
-    });
-
-    stream.on("error", (err) => {
+    } catch (err) {
       console.error("[chat] Stream error:", err.message);
       res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
-      res.end();
-    });
+    }
+    res.end();
   } catch (err) {
     console.error("[chat] Error:", err.message);
     if (!res.headersSent) {
@@ -831,18 +598,19 @@ Given the user's message and conversation history, determine what they want and
 
 Return this JSON structure:
 {
-  "action": "search" | "chat",
+  "action": "search" | "chat" | "agent",
   "geo": ["location1"] or [],
   "topic": "search terms" or "",
   "queryType": "geo-only" | "topic-only" | "geo+topic",
   "showAll": true | false,
-  "chatResponse": "only if action is chat, otherwise omit"
+  "chatResponse": "your reply if action is chat, otherwise \"\""
 }
 
 Rules:
 - action is "search" for ANY message that mentions a topic, category, type of org, or location. This tool exists to search. Default to search.
 - action is "chat" ONLY for pure greetings ("hi"), meta-questions about the tool ("what is this", "how does this work"), or feedback ("thanks", "cool")
 - NEVER set action to "chat" when the message contains a searchable noun
+- action is "agent" when one search can't answer the message: comparisons ("compare repair cafes in Berlin and Munich"), several topics or places at once ("food co-ops and community gardens near Leeds"), or counts across groups ("how many makerspaces in France vs Germany"). Fill geo/topic with the first part anyway.
 - geo: extract location names as standard place names — use city/town names ("London", "Berlin"), region names ("Yorkshire", "Bavaria"), or country names ("France", "Germany"). NEVER use informal sub-areas like "North London", "East Berlin", "South Wales" — use the main place name instead ("London", "Berlin", "Wales"). Resolve aliases: "UK" → ["England","Scotland","Wales","Northern Ireland"], "US"/"USA"/"america" → ["United States"], "deutschland" → ["Germany"], etc.
 - topic: extract the subject matter, ignoring location words and filler. If the user asks for something NOT in our categories, use the closest category as topic. "bakery" → topic: "food" or "farm shop". "gym" → topic: "community". Always search — never refuse because a category doesn't match exactly.
 - When the user says "show me all/everything" or "what have you got" with only a location, set showAll: true, queryType: "geo-only", topic: ""
@@ -856,50 +624,42 @@ Rules:
 - For chat responses: be brief and warm. One sentence. Guide them toward searching. No emoji. When suggesting a search, wrap it in quotes like "renewable energy cooperatives" so users can click it.`;
 
 app.post("/api/understand", async (req, res) => {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    return res.json({ action: "search", geo: [], topic: req.body.message, queryType: "topic-only", showAll: false });
+  const { message, history = [] } = req.body;
+  if (!message || typeof message !== "string") {
+    return res.status(400).json({ error: "Missing message" });
   }
 
-  try {
-    const { message, history = [] } = req.body;
-    if (!message || typeof message !== "string") {
-      return res.status(400).json({ error: "Missing message" });
-    }
-
-    const locationContext = geoSample
-      ? `\n\nKnown locations in the database (sample):\n${geoSample}`
-      : "";
-
-    const messages = [];
-    for (const msg of history.slice(-6)) {
-      messages.push({ role: msg.role, content: msg.content });
+  if (!llmAvailable()) {
+    try {
+      return res.json(ruleBasedUnderstanding(message, Array.isArray(history) ? history : []));
+    } catch (err) {
+      console.error("[understand] Error:", err.message);
+      return res.status(500).json({ error: `Understanding failed: ${err.message}` });
     }
-    messages.push({ role: "user", content: message });
-
-    const client = new Anthropic();
-    const result = await client.messages.create({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 200,
-      system: UNDERSTAND_PROMPT + locationContext,
-      messages,
-    });
-
-    const text = (result.content[0]?.text || "").trim();
-    console.log('[understand]', { message, response: text, historyLength: messages.length });
+  }
 
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      console.error('[understand] No JSON found:', text);
-      return res.json({ action: "search", geo: [], topic: message, queryType: "topic-only", showAll: false });
-    }
+  const geoSample = searchEngine.getGeoSample();
+  const locationContext = geoSample
+    ? `\n\nKnown locations in the database (sample):\n${geoSample}`
+    : "";
 
-    const parsed = JSON.parse(jsonMatch[0]);
-    res.json(parsed);
-  } catch (err) {
-    console.error("[understand] Error:", err.message);
-    res.json({ action: "search", geo: [], topic: req.body.message, queryType: "topic-only", showAll: false });
+  const { understanding, failure } = await understandMessage({
+    message,
+    history: Array.isArray(history) ? history : [],
+    system: UNDERSTAND_PROMPT + locationContext,
+  });
+  if (failure) {
+    logQuery({
+      type: "understand_failed",
+      query: message,
+      geo: understanding.geo,
+      topic: understanding.topic,
+      queryType: understanding.queryType,
+      error: failure,
+      ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
+    }).catch(() => {});
   }
+  res.json(understanding);
 });
 
 // -------------------------------------------------------------------
@@ -945,9 +705,8 @@ Examples:
 - "thanks that's helpful" → NOT_A_SEARCH`;
 
 app.post("/api/rewrite", async (req, res) => {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    // No API key — just pass through the query as-is
+  if (!llmAvailable()) {
+    // No LLM — just pass through the query as-is
     return res.json({ query: req.body.query, isChat: false });
   }
 
@@ -963,15 +722,9 @@ app.post("/api/rewrite", async (req, res) => {
     }
     messages.push({ role: "user", content: query });
 
-    const client = new Anthropic();
-    const message = await client.messages.create({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 60,
-      system: REWRITE_PROMPT,
-      messages,
-    });
+    const result = await complete({ purpose: "rewrite", system: REWRITE_PROMPT, messages, maxTokens: 60 });
 
-    const rewritten = (message.content[0]?.text || query).trim().replace(/^["']|["']$/g, "");
+    const rewritten = (result.text || query).trim().replace(/^["']|["']$/g, "");
 
     console.log('[rewrite]', { original: query, rewritten, historyLength: messages.length });
 
@@ -987,13 +740,54 @@ app.post("/api/rewrite", async (req, res) => {
   }
 });
 
+// -------------------------------------------------------------------
+// Chat with tools: several searches per turn (see api/_agent.js)
+// -------------------------------------------------------------------
+app.post("/api/chat-agent", async (req, res) => {
+  if (!llmAvailable()) {
+    return res.status(501).json({ error: "No LLM configured — chat mode needs ANTHROPIC_API_KEY or LLM_BASE_URL. Switch to Search mode." });
+  }
+
+  const { query, history = [], userProfiles: clientProfiles } = req.body;
+  if (!query || typeof query !== "string") {
+    return res.status(400).json({ error: "Missing query" });
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+  try {
+    const { profiles, toolCalls } = await runAgent({
+      query,
+      history,
+      userProfiles: clientProfiles,
+      stats: { totalProfiles, totalCountries },
+      send,
+    });
+    logQuery({
+      type: "agent",
+      query,
+      topic: toolCalls.map((c) => c.input.topic).filter(Boolean).join("; "),
+      queryType: toolCalls.map((c) => c.name).join(","),
+      resultCount: profiles.length,
+      ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
+    }).catch(() => {});
+    res.write("data: [DONE]\n\n");
+  } catch (err) {
+    console.error("[chat-agent] Error:", err.message);
+    send({ error: err.message });
+  }
+  res.end();
+});
+
 // -------------------------------------------------------------------
 // Conversational (non-search) chat
 // -------------------------------------------------------------------
 app.post("/api/chat-conversational", async (req, res) => {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    return res.status(501).json({ error: "No API key configured" });
+  if (!llmAvailable()) {
+    return res.status(501).json({ error: "No LLM configured" });
   }
 
   try {
@@ -1005,16 +799,14 @@ app.post("/api/chat-conversational", async (req, res) => {
     }
     messages.push({ role: "user", content: query });
 
-    const client = new Anthropic();
-    const message = await client.messages.create({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 150,
+    const result = await complete({
+      purpose: "chat-conversational",
+      maxTokens: 150,
       system: `You are CoBot, a friendly search tool combining Murmurations and OpenStreetMap data — a directory of ${totalProfiles.toLocaleString()} co-ops, commons, community organisations, hackerspaces, makerspaces, coworking spaces, repair cafes, zero waste, fair trade, charity and farm shops across ${totalCountries} countries. You help people find organisations by topic and location. Keep responses brief and warm. If someone greets you, say hi and tell them what you can help with. Guide them toward searching. Never use emoji. Never use markdown bold, bullet points, or lists. Talk in plain sentences. One sentence for casual chat. Don't explain what the Murmurations network is unless specifically asked. You ARE the search interface — never tell users to "visit the Murmurations website" or "search directly", they are already searching through you. Never say you "don't have access" to the data. Never claim an organisation is or isn't in the directory — you only see top results, not the full dataset. When suggesting a search, wrap it in quotes like "renewable energy cooperatives" so users can click it.`,
       messages,
     });
 
-    const text = message.content[0]?.text || "";
-    res.json({ response: text });
+    res.json({ response: result.text });
   } catch (err) {
     console.error("[chat-conversational] Error:", err.message);
     res.status(500).json({ error: `Chat failed: ${err.message}` });
@@ -1022,36 +814,17 @@ app.post("/api/chat-conversational", async (req, res) => {
 });
 
 // -------------------------------------------------------------------
-// Check if chat is available (API key configured)
+// Check if chat is available (an LLM provider is configured)
 // -------------------------------------------------------------------
+// Chat works without an LLM (rule-based understanding); `llm` says whether
+// answers are written by a model
 app.get("/api/chat-available", (req, res) => {
-  res.json({ available: !!process.env.ANTHROPIC_API_KEY });
+  res.json({ available: true, llm: llmAvailable() });
 });
 
 // -------------------------------------------------------------------
 // Add profile from URL
 // -------------------------------------------------------------------
-const USER_PROFILES_PATH = path.join(__dirname, "..", "data", "user-profiles.json");
-
-function loadUserProfiles() {
-  try {
-    if (fs.existsSync(USER_PROFILES_PATH)) {
-      return JSON.parse(fs.readFileSync(USER_PROFILES_PATH, "utf-8"));
-    }
-  } catch (err) {
-    console.error("[user-profiles] Failed to load:", err.message);
-  }
-  return [];
-}
-
-function saveUserProfiles(entries) {
-  fs.mkdirSync(path.dirname(USER_PROFILES_PATH), { recursive: true });
-  fs.writeFileSync(USER_PROFILES_PATH, JSON.stringify(entries, null, 2));
-}
-
-let userProfiles = loadUserProfiles();
-console.log(`[user-profiles] Loaded ${userProfiles.length} existing entries`);
-
 app.post("/api/add-profile", async (req, res) => {
   try {
     const { url } = req.body;
@@ -1083,26 +856,11 @@ app.post("/api/add-profile", async (req, res) => {
     }
 
     // Normalize fields to match our schema
-    const geo = profileData.geolocation || {};
-    const tags = profileData.tags || profileData.keywords || [];
-    const profile = {
-      profile_url: url,
-      name: profileData.name || profileData.title || "Unknown",
-      description: profileData.description || profileData.mission || null,
-      latitude: geo.lat != null ? Number(geo.lat) : (profileData.latitude != null ? Number(profileData.latitude) : null),
-      longitude: geo.lon != null ? Number(geo.lon) : (profileData.longitude != null ? Number(profileData.longitude) : null),
-      locality: profileData.locality || null,
-      region: profileData.region || null,
-      country: profileData.country_name || profileData.country || null,
-      tags: Array.isArray(tags) ? tags : [],
-      primary_url: profileData.primary_url || profileData.url || null,
-      image: profileData.image || null,
-      source: "user-submitted",
-    };
+    const profile = normalizeSubmittedProfile(url, profileData);
 
     // Generate embedding
-    const embeddingText = `Organisation or project related to: ${profile.name}. ${profile.description || ""}. Tags: ${profile.tags.join(", ")}`;
-    const embed = await getEmbedder();
+    const embeddingText = buildEmbeddingText(profile);
+    const embed = await searchEngine.getEmbedder();
     const output = await embed(embeddingText, { pooling: "mean", normalize: true });
     const embedding = Array.from(output.data);
 
@@ -1115,6 +873,7 @@ app.post("/api/add-profile", async (req, res) => {
     }
 
     saveUserProfiles(userProfiles);
+    searchEngine.setOverlay(userProfiles);
     console.log(`[user-profiles] ${existingIdx >= 0 ? "Updated" : "Added"}: ${profile.name}`);
 
     res.json({ ok: true, profile });
@@ -1136,5 +895,6 @@ app.listen(PORT, () => {
   console.log(`\n  CoBot running at http://localhost:${PORT}`);
   console.log(`  Admin panel: http://localhost:${PORT}/admin (reports)`);
   console.log(`  Query log:   http://localhost:${PORT}/api/admin (requires ADMIN_PASSWORD)`);
-  console.log(`  ANTHROPIC_API_KEY: ${process.env.ANTHROPIC_API_KEY ? "set" : "NOT SET"}\n`);
+  const llm = llmInfo();
+  console.log(`  LLM: ${llm ? `${llm.provider} (${llm.model})` : "NOT SET (set ANTHROPIC_API_KEY or LLM_BASE_URL)"}\n`);
 });